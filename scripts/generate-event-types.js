@@ -0,0 +1,10 @@
+// Writes src/systems/EventPayloads.d.ts from the schemas in src/systems/EventSchemas.js
+// Usage: npm run types:events
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { generateTypeDeclarations } from '../src/systems/EventSchemas.js';
+
+const outputPath = fileURLToPath(new URL('../src/systems/EventPayloads.d.ts', import.meta.url));
+
+writeFileSync(outputPath, generateTypeDeclarations());
+console.log(`Event payload declarations written to ${outputPath}`);
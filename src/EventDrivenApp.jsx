@@ -6,6 +6,9 @@ import { useStore } from './state/useStore';
 
 // Import event-driven systems
 import EventSystemInitializer from './systems/EventSystemInitializer';
+import DeepLinkSystem from './systems/DeepLinkSystem';
+import TourSystem from './systems/TourSystem';
+import QualitySystem from './systems/QualitySystem';
 import RenderingSystem from './systems/RenderingSystem';
 import SpatialSystem from './systems/SpatialSystem';
 
@@ -21,6 +24,7 @@ import CameraController from './components/Camera/CameraController';
 import CyberpunkCityScene from './components/City/CyberpunkCityScene';
 import CyberpunkEnvironment from './components/Effects/CyberpunkEnvironment';
 import DroneNavigationEvents from './components/Navigation/DroneNavigationEvents';
+import DronePathLine from './components/Navigation/DronePathLine';
 import HotspotManagerEvents from './components/Hotspots/HotspotManagerEvents';
 
 // Import cyberpunk effects
@@ -29,12 +33,15 @@ import { FlyingVehicles, CyberpunkRain, AnimatedBillboards, AtmosphericFog } fro
 // Import event system hooks and types
 import { useEventSystem, EVENT_TYPES, useEventListener } from './systems/EventSystem';
 import OptimizedRendererEvent from './utils/OptimizedRendererEvent';
+import { getQualitySettings, getTierDpr } from './utils/qualityTiers';
 
 function EventDrivenApp() {
-  const { isLoading, debugMode, setLoading, soundEnabled } = useStore();
+  const { isLoading, debugMode, setLoading, soundEnabled, volume, setVolume, qualityTier } = useStore();
   const [audioInitialized, setAudioInitialized] = useState(false);
   const canvasRef = useRef(null);
-  const audio = useAudio({ autoplay: false, volume: 0.5, loop: true });
+  // Volume comes from the persisted store so returning visitors keep their level,
+  // and changes made through the audio hook are written back to it
+  const audio = useAudio({ autoplay: false, volume, loop: true, onVolumeChange: setVolume });
 
   // --- FIX 1: Select emit directly for stable reference ---
   const emit = useEventSystem(state => state.emit);
@@ -102,6 +109,13 @@ function EventDrivenApp() {
     };
   }, [initAudio]); // Depend on initAudio
 
+  // Keep the audio gain in sync with the stored volume
+  useEffect(() => {
+    if (audio && audio.currentVolume !== volume) {
+      audio.setVolume(volume);
+    }
+  }, [volume, audio]);
+
   // Effect to handle soundEnabled changes
   useEffect(() => {
     // Ensure audio object and emit are available, and audio is fully initialized
@@ -158,6 +172,9 @@ function EventDrivenApp() {
     <div className="w-screen h-screen bg-slate-900 overflow-hidden">
       {/* Initialize Core Systems */}
       <EventSystemInitializer />
+      <DeepLinkSystem />
+      <TourSystem dwellTime={15} />
+      <QualitySystem />
 
       {/* Loading Screen */}
       <Suspense fallback={null}>
@@ -176,8 +193,8 @@ function EventDrivenApp() {
           stencil: false, // Disable if not explicitly needed by effects
           depth: true,
         }}
-        // Adjust DPR for performance on high-res screens
-        dpr={Math.min(window.devicePixelRatio, 1.5)}
+        // DPR follows the quality tier (high = up to 1.5)
+        dpr={getTierDpr(getQualitySettings(qualityTier))}
         camera={{
           fov: 60,
           near: 1, // Increase near plane slightly
@@ -210,6 +227,7 @@ function EventDrivenApp() {
 
           {/* Interactive Elements */}
           <DroneNavigationEvents audio={audio} />
+          <DronePathLine />
           <HotspotManagerEvents audio={audio} />
 
           {/* Camera */}
@@ -270,9 +288,6 @@ function EventDrivenApp() {
           <StatsPanelEvent modes={[0]} position="top-left" />
         </Suspense>
       )}
-
-      {/* Global Effects */}
-      <div className="scanline"></div>
     </div>
   );
 }
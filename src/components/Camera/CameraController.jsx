@@ -4,10 +4,38 @@ import { OrbitControls } from '@react-three/drei';
 import * as THREE from 'three';
 import { useStore } from '../../state/useStore';
 import { EVENT_TYPES, PRIORITY } from '../../systems/EventSystem';
+import {
+  easeInOutCubic,
+  createCameraPath,
+  sampleCameraPath,
+  loadCameraPaths,
+  findCameraPath,
+} from '../../utils/cameraPaths';
+import { parseLocation } from '../../utils/deepLink';
 
 // Direct import of the store to avoid subscription re-renders
 import useEventSystem from '../../systems/EventSystem';
 
+export const CAMERA_MODES = ['orbit', 'chase', 'firstPerson', 'cinematic'];
+
+// Hotkeys: 1-4 pick a mode, C cycles through them
+const CAMERA_MODE_KEYS = {
+  Digit1: 'orbit',
+  Digit2: 'chase',
+  Digit3: 'firstPerson',
+  Digit4: 'cinematic',
+};
+
+// Chase camera sits behind and above the drone (drone space, -Z is forward)
+const CHASE_OFFSET = new THREE.Vector3(0, 5, 12);
+const CHASE_STIFFNESS = 30;
+// First-person eye point, slightly ahead of the drone body
+const FIRST_PERSON_OFFSET = new THREE.Vector3(0, 0.4, -1);
+// Seconds for one lap of the cinematic rail
+const CINEMATIC_LAP_TIME = 60;
+// Minimum camera movement (units) before CAMERA_MOVE is emitted
+const CAMERA_MOVE_EPSILON = 0.01;
+
 const CameraController = ({ 
   minDistance = 10,
   maxDistance = 1000,
@@ -15,8 +43,9 @@ const CameraController = ({
   enablePan = false,
   lookAt = [0, 10, 0]
 }) => {
-  const { camera, invalidate } = useThree();
+  const { camera, scene, invalidate } = useThree();
   const { debugMode } = useStore();
+  const cameraMode = useStore(state => state.cameraMode);
   const controlsRef = useRef();
   const targetRef = useRef(new THREE.Vector3(...lookAt));
   const isAnimatingRef = useRef(false);
@@ -26,10 +55,43 @@ const CameraController = ({
   const endPositionRef = useRef(new THREE.Vector3());
   const startTargetRef = useRef(new THREE.Vector3());
   const endTargetRef = useRef(new THREE.Vector3());
+  const startFovRef = useRef(camera.fov);
+  const endFovRef = useRef(camera.fov);
   const lastCameraTrackTimeRef = useRef(0);
   
-  // Track event handlers to prevent duplicates
-  const handlersRegisteredRef = useRef(false);
+  // Follow-mode state
+  const droneObjectRef = useRef(null);
+  const springVelocityRef = useRef(new THREE.Vector3());
+  const lookTargetRef = useRef(new THREE.Vector3());
+  const cinematicRailRef = useRef(null);
+  const cinematicTimeRef = useRef(0);
+  const lastEmittedPositionRef = useRef(new THREE.Vector3());
+  // Keyframed path being played ({ name, path, time }) and a reusable sample target
+  const pathPlaybackRef = useRef(null);
+  const pathPoseRef = useRef({ position: new THREE.Vector3(), target: new THREE.Vector3() });
+  
+  // Near plane from the Canvas config; first-person view needs a closer one
+  const baseNearRef = useRef(camera.near);
+  
+  // Remember the current view so returning visitors resume from it
+  const saveCameraPose = () => {
+    if (!controlsRef.current) return;
+    useStore.getState().setCameraPose({
+      position: camera.position.toArray(),
+      target: controlsRef.current.target.toArray()
+    });
+  };
+  
+  // Restore the persisted camera pose once the controls exist
+  useEffect(() => {
+    const { cameraPose } = useStore.getState();
+    if (!cameraPose || !controlsRef.current) return;
+    camera.position.fromArray(cameraPose.position);
+    controlsRef.current.target.fromArray(cameraPose.target);
+    targetRef.current.fromArray(cameraPose.target);
+    controlsRef.current.update();
+    invalidate();
+  }, [camera, invalidate]);
   
   // Look at a specific target immediately or animate if duration > 0
   const lookAtTarget = (target, duration = 0) => {
@@ -48,19 +110,28 @@ const CameraController = ({
     endTargetRef.current.copy(targetVector);
     startPositionRef.current.copy(camera.position);
     endPositionRef.current.copy(camera.position);
+    startFovRef.current = camera.fov;
+    endFovRef.current = camera.fov;
     animationDurationRef.current = duration;
     animationProgressRef.current = 0;
     isAnimatingRef.current = true;
     invalidate();
   };
   
-  // Move camera to a new position and look at a target, with optional animation
-  const moveCamera = (position, target, duration = 1.5) => {
+  // Move camera to a new position and look at a target, with optional animation.
+  // `fov` (optional) animates the field of view alongside the move.
+  const moveCamera = (position, target, duration = 1.5, fov = null) => {
     const positionVector = position instanceof THREE.Vector3 ? position : new THREE.Vector3(...position);
     const targetVector = target instanceof THREE.Vector3 ? target : new THREE.Vector3(...target);
+    startFovRef.current = camera.fov;
+    endFovRef.current = fov || camera.fov;
     
     if (duration <= 0) {
       camera.position.copy(positionVector);
+      if (fov) {
+        camera.fov = fov;
+        camera.updateProjectionMatrix();
+      }
       if (controlsRef.current) {
         controlsRef.current.target.copy(targetVector);
         targetRef.current.copy(targetVector);
@@ -79,30 +150,206 @@ const CameraController = ({
     invalidate();
   };
   
-  // Cubic easing function for smooth animation
-  const easeInOutCubic = (t) => {
-    return t < 0.5
-      ? 4 * t * t * t
-      : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  // Store the current view as a named bookmark
+  const saveBookmark = (name) => {
+    if (!controlsRef.current) return;
+    useStore.getState().addBookmark({
+      name,
+      position: camera.position.toArray(),
+      target: controlsRef.current.target.toArray(),
+      fov: camera.fov
+    });
   };
   
-  // Set up event listeners and animation frame once on mount
-  useEffect(() => {
-    if (handlersRegisteredRef.current) return;
+  // Play a keyframed path. `request` is the CAMERA_PLAY_PATH payload:
+  // { path: name or inline definition, variant, origin, fromCurrent, fallback }
+  const playPath = async (request) => {
+    let definition = request.path;
+    const name = typeof definition === 'string' ? definition : request.name || 'inline';
+    if (typeof definition === 'string') {
+      const library = await loadCameraPaths();
+      definition = findCameraPath(library, request.path, request.variant);
+    }
     
-    // Register systems directly without hooks to avoid re-renders
-    const eventSystem = useEventSystem.getState();
-    let unregisterFns = [];
-    
-    // Register camera animation system
-    const unregisterAnimation = () => {
-      const systems = [...eventSystem.updateQueue];
-      const index = systems.findIndex(sys => sys.id === 'camera-animation-direct');
-      if (index >= 0) {
-        systems.splice(index, 1);
-        eventSystem.updateQueue = systems;
+    if (!definition) {
+      // No authored shot - fall back to a plain camera move if one was supplied
+      if (request.fallback) {
+        moveCamera(request.fallback.position, request.fallback.target, request.fallback.duration ?? 1.5);
+      } else {
+        console.warn(`Camera path "${name}" not found`);
+      }
+      return;
+    }
+    
+    const startPose = request.fromCurrent && controlsRef.current
+      ? { position: camera.position.clone(), target: controlsRef.current.target.clone() }
+      : null;
+    const path = createCameraPath(definition, { origin: request.origin, startPose });
+    if (!path) return;
+    
+    stopPath(true);
+    isAnimatingRef.current = false;
+    pathPlaybackRef.current = { name, path, time: 0 };
+    invalidate();
+  };
+  
+  // Stop the current path; `interrupted` is reported on the completion event
+  const stopPath = (interrupted = false) => {
+    const playback = pathPlaybackRef.current;
+    if (!playback) return;
+    pathPlaybackRef.current = null;
+    saveCameraPose();
+    useEventSystem.getState().emit(EVENT_TYPES.CAMERA_PATH_COMPLETE, {
+      name: playback.name,
+      interrupted
+    });
+  };
+  
+  // Find the drone group once it exists in the scene
+  const getDrone = () => {
+    if (!droneObjectRef.current || !droneObjectRef.current.parent) {
+      droneObjectRef.current = scene.getObjectByName('drone') || null;
+    }
+    return droneObjectRef.current;
+  };
+  
+  // Closed spline circling the city, rebuilt when the city bounds change
+  const getCinematicRail = () => {
+    const { cityBounds } = useStore.getState();
+    if (cinematicRailRef.current && cinematicRailRef.current.bounds === cityBounds) {
+      return cinematicRailRef.current.curve;
+    }
+    const center = cityBounds
+      ? new THREE.Vector3().addVectors(cityBounds.min, cityBounds.max).multiplyScalar(0.5)
+      : new THREE.Vector3(0, 0, 0);
+    const radius = cityBounds
+      ? Math.max(cityBounds.max.x - cityBounds.min.x, cityBounds.max.z - cityBounds.min.z) * 0.45
+      : 80;
+    const height = cityBounds ? cityBounds.max.y * 0.6 + 10 : 40;
+    const points = [];
+    for (let i = 0; i < 8; i++) {
+      const angle = (i / 8) * Math.PI * 2;
+      // Alternate heights so the rail dips and climbs between towers
+      const y = height + (i % 2 === 0 ? 8 : -4);
+      points.push(new THREE.Vector3(
+        center.x + Math.cos(angle) * radius,
+        y,
+        center.z + Math.sin(angle) * radius
+      ));
+    }
+    const curve = new THREE.CatmullRomCurve3(points, true, 'centripetal');
+    cinematicRailRef.current = { bounds: cityBounds, curve };
+    return curve;
+  };
+  
+  // Move the camera for the follow modes. Returns false in orbit mode.
+  const updateFollowCamera = (mode, deltaTime) => {
+    if (mode === 'orbit') return false;
+    const drone = getDrone();
+    if (!drone) return false;
+    
+    // Large frame gaps would make the spring explode
+    const dt = Math.min(deltaTime, 0.05);
+    const dronePosition = drone.getWorldPosition(new THREE.Vector3());
+    const heading = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), drone.rotation.y);
+    
+    if (mode === 'chase') {
+      const desired = CHASE_OFFSET.clone().applyQuaternion(heading).add(dronePosition);
+      // Critically damped spring toward the chase point
+      const velocity = springVelocityRef.current;
+      const damping = 2 * Math.sqrt(CHASE_STIFFNESS);
+      const acceleration = desired.sub(camera.position).multiplyScalar(CHASE_STIFFNESS)
+        .addScaledVector(velocity, -damping);
+      velocity.addScaledVector(acceleration, dt);
+      camera.position.addScaledVector(velocity, dt);
+      lookTargetRef.current.lerp(dronePosition, 1 - Math.exp(-10 * dt));
+    } else if (mode === 'firstPerson') {
+      camera.position.copy(FIRST_PERSON_OFFSET).applyQuaternion(heading).add(dronePosition);
+      lookTargetRef.current.set(0, 0, -10).applyQuaternion(heading).add(camera.position);
+    } else if (mode === 'cinematic') {
+      cinematicTimeRef.current = (cinematicTimeRef.current + dt / CINEMATIC_LAP_TIME) % 1;
+      const railPoint = getCinematicRail().getPointAt(cinematicTimeRef.current);
+      camera.position.lerp(railPoint, 1 - Math.exp(-2 * dt));
+      lookTargetRef.current.lerp(dronePosition, 1 - Math.exp(-3 * dt));
+    }
+    
+    camera.lookAt(lookTargetRef.current);
+    // Keep the orbit pivot on the drone so switching back to orbit feels continuous
+    if (controlsRef.current) {
+      controlsRef.current.target.copy(lookTargetRef.current);
+    }
+    return true;
+  };
+  
+  // Let the renderer know the view changed (it drops resolution while moving)
+  const emitCameraMove = (mode) => {
+    if (camera.position.distanceToSquared(lastEmittedPositionRef.current) < CAMERA_MOVE_EPSILON ** 2) return;
+    lastEmittedPositionRef.current.copy(camera.position);
+    useEventSystem.getState().emit(EVENT_TYPES.CAMERA_MOVE, {
+      position: camera.position.clone(),
+      mode
+    });
+  };
+  
+  // Prepare the camera when the mode changes
+  useEffect(() => {
+    springVelocityRef.current.set(0, 0, 0);
+    // Keep moves requested together with the switch back to orbit (e.g. bookmarks)
+    if (cameraMode !== 'orbit') {
+      isAnimatingRef.current = false;
+    }
+    if (controlsRef.current) {
+      lookTargetRef.current.copy(controlsRef.current.target);
+    }
+    if (cameraMode === 'cinematic') {
+      // Start the rail at the point nearest the current camera
+      const curve = getCinematicRail();
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let i = 0; i < 64; i++) {
+        const distance = curve.getPointAt(i / 64).distanceToSquared(camera.position);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i / 64;
+        }
+      }
+      cinematicTimeRef.current = best;
+    }
+    camera.near = cameraMode === 'firstPerson' ? Math.min(0.3, baseNearRef.current) : baseNearRef.current;
+    camera.updateProjectionMatrix();
+    invalidate();
+  }, [cameraMode, camera, invalidate]);
+  
+  // Mode hotkeys from the event bus
+  useEffect(() => {
+    const handleKeyPress = (event) => {
+      if (event.repeat) return;
+      const { cameraMode: currentMode, setCameraMode } = useStore.getState();
+      if (CAMERA_MODE_KEYS[event.code]) {
+        setCameraMode(CAMERA_MODE_KEYS[event.code]);
+      } else if (event.code === 'KeyC') {
+        const next = CAMERA_MODES[(CAMERA_MODES.indexOf(currentMode) + 1) % CAMERA_MODES.length];
+        setCameraMode(next);
       }
     };
+    return useEventSystem.getState().subscribe(
+      'camera-mode-keys', EVENT_TYPES.KEY_PRESS, handleKeyPress, PRIORITY.MEDIUM
+    );
+  }, []);
+  
+  // Bookmark requests from the HUD panel
+  useEffect(() => {
+    const handleSaveBookmark = (data) => saveBookmark(data.name);
+    return useEventSystem.getState().subscribe(
+      'camera-save-bookmark', EVENT_TYPES.CAMERA_SAVE_BOOKMARK, handleSaveBookmark, PRIORITY.MEDIUM
+    );
+  }, [camera]);
+  
+  // Set up event listeners and the camera systems; re-registered whenever the deps change
+  useEffect(() => {
+    // Register through the store API directly (not hooks) to avoid re-renders
+    const eventSystem = useEventSystem.getState();
+    const unregisterFns = [];
     
     // Camera animation system without hook dependency
     const cameraAnimationSystem = {
@@ -110,6 +357,33 @@ const CameraController = ({
       updateFn: (context) => {
         const { deltaTime } = context;
         
+        // Authored paths take precedence in orbit mode; switching modes cancels them
+        const mode = useStore.getState().cameraMode;
+        const playback = pathPlaybackRef.current;
+        if (playback && mode !== 'orbit') {
+          stopPath(true);
+        } else if (playback && controlsRef.current) {
+          playback.time += deltaTime;
+          const pose = pathPoseRef.current;
+          const done = sampleCameraPath(playback.path, playback.time, pose);
+          camera.position.copy(pose.position);
+          controlsRef.current.target.copy(pose.target);
+          camera.lookAt(pose.target);
+          emitCameraMove('path');
+          if (done) {
+            stopPath(false);
+          }
+          invalidate();
+          return;
+        }
+        
+        // Follow modes drive the camera every frame
+        if (updateFollowCamera(mode, deltaTime)) {
+          emitCameraMove(mode);
+          invalidate();
+          return;
+        }
+        
         // Skip if not animating
         if (!isAnimatingRef.current || !controlsRef.current) return;
         
@@ -118,8 +392,13 @@ const CameraController = ({
         if (animationProgressRef.current >= 1.0) {
           camera.position.copy(endPositionRef.current);
           controlsRef.current.target.copy(endTargetRef.current);
+          if (camera.fov !== endFovRef.current) {
+            camera.fov = endFovRef.current;
+            camera.updateProjectionMatrix();
+          }
           isAnimatingRef.current = false;
           animationProgressRef.current = 0;
+          saveCameraPose();
           invalidate();
           return;
         }
@@ -127,11 +406,14 @@ const CameraController = ({
         const t = easeInOutCubic(animationProgressRef.current);
         camera.position.lerpVectors(startPositionRef.current, endPositionRef.current, t);
         controlsRef.current.target.lerpVectors(startTargetRef.current, endTargetRef.current, t);
+        if (startFovRef.current !== endFovRef.current) {
+          camera.fov = THREE.MathUtils.lerp(startFovRef.current, endFovRef.current, t);
+          camera.updateProjectionMatrix();
+        }
         controlsRef.current.update();
         invalidate();
       },
-      priority: PRIORITY.HIGH,
-      active: true
+      priority: PRIORITY.HIGH
     };
     
     // Camera debug tracking system without hook dependency
@@ -144,72 +426,63 @@ const CameraController = ({
         if (now - lastCameraTrackTimeRef.current < 500) return;
         lastCameraTrackTimeRef.current = now;
       },
-      priority: PRIORITY.LOW,
-      active: true
+      priority: PRIORITY.LOW
     };
     
-    // Add systems manually
-    const systemsCopy = [...eventSystem.updateQueue];
-    systemsCopy.push(cameraAnimationSystem);
-    systemsCopy.push(cameraTrackingSystem);
-    systemsCopy.sort((a, b) => a.priority - b.priority);
-    eventSystem.updateQueue = systemsCopy;
-    
-    unregisterFns.push(unregisterAnimation);
+    // Register the systems and listeners through the event system API
+    [cameraAnimationSystem, cameraTrackingSystem].forEach(({ id, updateFn, priority }) => {
+      unregisterFns.push(eventSystem.registerSystem(id, updateFn, priority));
+    });
     
-    // Set up camera target event listener manually
     const handleCameraTarget = (data) => {
+      // Follow modes already frame the drone; framing requests apply to orbit only
+      if (useStore.getState().cameraMode !== 'orbit') return;
       if (data.target) {
+        stopPath(true);
         if (data.position) {
-          moveCamera(data.position, data.target, data.duration || 1.5);
+          moveCamera(data.position, data.target, data.duration ?? 1.5, data.fov);
         } else {
-          lookAtTarget(data.target, data.duration || 0);
+          lookAtTarget(data.target, data.duration ?? 0);
         }
       }
     };
     
+    // Paths are orbit-mode shots, like CAMERA_TARGET
+    const handlePlayPath = (data) => {
+      if (useStore.getState().cameraMode !== 'orbit' || !data.path) return;
+      playPath(data);
+    };
+    
+    const handleStopPath = () => stopPath(true);
+    
+    // Intro flythrough for first-time visitors who didn't arrive on a deep link
+    const handleAppLoaded = () => {
+      const { slug, cameraPose } = parseLocation(window.location);
+      if (useStore.getState().cameraPose || slug || cameraPose) return;
+      playPath({ path: 'intro' });
+    };
+    
     const handleDroneMove = (data) => {
       if (data.targetPosition) {
         endTargetRef.current.copy(data.targetPosition);
       }
     };
     
-    // Update the listeners manually
-    const listenersMap = new Map(eventSystem.listeners);
-    const cameraTargetListenerId = 'camera-target-direct';
-    const droneMoveListenerId = 'drone-move-direct';
-    
-    listenersMap.set(cameraTargetListenerId, {
-      id: cameraTargetListenerId,
-      eventType: EVENT_TYPES.CAMERA_TARGET,
-      callback: handleCameraTarget,
-      priority: PRIORITY.MEDIUM,
-      active: true
-    });
-    
-    listenersMap.set(droneMoveListenerId, {
-      id: droneMoveListenerId,
-      eventType: EVENT_TYPES.DRONE_MOVE,
-      callback: handleDroneMove,
-      priority: PRIORITY.MEDIUM,
-      active: true
+    const listeners = {
+      'camera-target-direct': [EVENT_TYPES.CAMERA_TARGET, handleCameraTarget],
+      'drone-move-direct': [EVENT_TYPES.DRONE_MOVE, handleDroneMove],
+      'camera-play-path-direct': [EVENT_TYPES.CAMERA_PLAY_PATH, handlePlayPath],
+      'camera-stop-path-direct': [EVENT_TYPES.CAMERA_STOP_PATH, handleStopPath],
+      'camera-intro-direct': [EVENT_TYPES.APP_LOADED, handleAppLoaded],
+    };
+    Object.entries(listeners).forEach(([id, [eventType, callback]]) => {
+      unregisterFns.push(eventSystem.subscribe(id, eventType, callback, PRIORITY.MEDIUM));
     });
     
-    eventSystem.listeners = listenersMap;
-    
-    handlersRegisteredRef.current = true;
-    
     return () => {
-      // Cleanup listeners manually
-      const currentListeners = new Map(useEventSystem.getState().listeners);
-      currentListeners.delete(cameraTargetListenerId);
-      currentListeners.delete(droneMoveListenerId);
-      useEventSystem.setState({ listeners: currentListeners });
-      
-      // Cleanup systems
       unregisterFns.forEach(fn => fn());
     };
-  }, [camera, debugMode, invalidate]);
+  }, [camera, scene, debugMode, invalidate]);
   
   return (
     <OrbitControls
@@ -222,9 +495,14 @@ const CameraController = ({
       maxDistance={maxDistance}
       enablePan={debugMode && enablePan}
       target={targetRef.current}
+      enabled={cameraMode === 'orbit'}
+      // Grabbing the controls cancels a playing path
+      onStart={() => stopPath(true)}
       onChange={() => {
+        emitCameraMove('orbit');
         invalidate();
       }}
+      onEnd={saveCameraPose}
     />
   );
 };
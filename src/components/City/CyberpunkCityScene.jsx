@@ -4,6 +4,9 @@ import { useGLTF } from '@react-three/drei';
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { useStore } from '../../state/useStore';
+import { useEventSystem, EVENT_TYPES } from '../../systems/EventSystem';
+import { CyberpunkEnhancer } from '../../utils/CyberpunkEnhancer';
+import { batchRepeatedMeshes } from '../../utils/instancing';
 
 const CyberpunkCityScene = () => {
   const { debugMode, setCityBounds, setLoading } = useStore();
@@ -22,6 +25,8 @@ const CyberpunkCityScene = () => {
     
     console.log("Loading city model...");
     setLoading(true);
+    const { emit } = useEventSystem.getState();
+    emit(EVENT_TYPES.ASSET_LOAD_START, { type: 'city' });
     
     // Create a standard GLTFLoader
     const gltfLoader = new GLTFLoader();
@@ -38,6 +43,18 @@ const CyberpunkCityScene = () => {
         // Scale the model if needed
         gltf.scene.scale.set(0.01, 0.01, 0.01);
         
+        // Tag signs, windows, holograms and billboards so they go on the bloom layer
+        const materialTypes = new CyberpunkEnhancer().tagModel(gltf.scene);
+        console.log("City materials tagged:", materialTypes);
+        
+        // Fold repeated props (lampposts, trash, trees, ...) into instanced meshes
+        gltf.scene.updateMatrixWorld(true);
+        const batches = batchRepeatedMeshes(gltf.scene);
+        console.log(
+          `City instancing: ${batches.instances} meshes in ${batches.batches} batches, ` +
+          `draw calls ${batches.drawCalls.before} -> ${batches.drawCalls.after}`
+        );
+        
         // Add to scene
         if (cityRef.current) {
           cityRef.current.add(gltf.scene);
@@ -58,6 +75,7 @@ const CyberpunkCityScene = () => {
           setLoading(false);
           
           console.log("City model added to scene");
+          emit(EVENT_TYPES.ASSET_LOAD_COMPLETE, { type: 'city', object: gltf.scene });
           
           // Trigger a render
           invalidate();
@@ -68,11 +86,13 @@ const CyberpunkCityScene = () => {
       (xhr) => {
         const progress = xhr.loaded / xhr.total;
         console.log(`Model loading progress: ${(progress * 100).toFixed(0)}%`);
+        emit(EVENT_TYPES.ASSET_LOAD_PROGRESS, { type: 'city', progress });
       },
       
       // onError callback
       (error) => {
         console.error("Error loading city model:", error);
+        emit(EVENT_TYPES.ASSET_LOAD_ERROR, { type: 'city', error: error.message });
         setLoadingError(true);
         setLoading(false);
       }
@@ -1,17 +1,28 @@
 import React, { useRef, useEffect } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
+import { useQualitySettings } from '../../hooks/useQualitySettings';
+import { setBloomLayer } from '../../utils/bloomLayers';
+import { createDynamicInstances, enableInstanceEmissive } from '../../utils/instancing';
 
 /**
- * Creates animated vehicles to fly through the cyberpunk city
+ * Creates animated vehicles to fly through the cyberpunk city. Bodies and
+ * trails are drawn as instanced meshes, one per shape, with a per-instance
+ * color; the headlights stay separate point lights.
  */
 export const FlyingVehicles = ({ count = 10, speed = 1.0 }) => {
   const vehiclesRef = useRef();
   const { scene } = useThree();
   const vehiclesData = useRef([]);
+  const instancesRef = useRef(null);
+  // The quality tier scales the fleet size
+  const { vehicleDensity } = useQualitySettings();
+  const vehicleCount = Math.round(count * vehicleDensity);
   
-  // Generate vehicles on component mount
+  // Generate vehicles on mount and whenever the count changes
   useEffect(() => {
+    vehiclesData.current = [];
+    
     // Create container group
     const container = new THREE.Group();
     vehiclesRef.current = container;
@@ -25,123 +36,144 @@ export const FlyingVehicles = ({ count = 10, speed = 1.0 }) => {
       new THREE.Color('#FFFF00')  // Yellow
     ];
     
-    // Create vehicles
-    for (let i = 0; i < count; i++) {
+    // Generate random vehicle data
+    for (let i = 0; i < vehicleCount; i++) {
       // Determine if this is a drone or flying car
       const isDrone = Math.random() > 0.7;
-      
-      // Create vehicle mesh
-      const vehicleMesh = isDrone 
-        ? new THREE.Mesh(
-            new THREE.ConeGeometry(0.5, 1.5, 4),
-            new THREE.MeshStandardMaterial({
-              color: 0x333333,
-              emissive: colors[Math.floor(Math.random() * colors.length)],
-              emissiveIntensity: 1.5,
-              metalness: 0.8,
-              roughness: 0.2
-            })
-          )
-        : new THREE.Mesh(
-            new THREE.BoxGeometry(2, 0.6, 1),
-            new THREE.MeshStandardMaterial({
-              color: 0x333333,
-              emissive: colors[Math.floor(Math.random() * colors.length)],
-              emissiveIntensity: 1.5,
-              metalness: 0.8,
-              roughness: 0.2
-            })
-          );
-      
-      // Generate random path data
-      const radius = 70 + Math.random() * 80; // Distance from center
-      const height = 20 + Math.random() * 80; // Height
-      const speed = 0.5 + Math.random() * 1.5; // Movement speed
-      const startAngle = Math.random() * Math.PI * 2; // Starting position
-      const direction = Math.random() > 0.5 ? 1 : -1; // Direction of travel
+      const color = colors[Math.floor(Math.random() * colors.length)];
       
       // Add lights to vehicles
-      const frontLight = new THREE.PointLight(
-        vehicleMesh.material.emissive,
-        0.5,
-        10
-      );
-      frontLight.position.set(0, 0, 0.6);
-      vehicleMesh.add(frontLight);
-      
-      // Add trail
-      const trail = new THREE.Mesh(
-        new THREE.PlaneGeometry(0.2, isDrone ? 2 : 4),
-        new THREE.MeshBasicMaterial({
-          color: vehicleMesh.material.emissive,
-          transparent: true,
-          opacity: 0.7,
-          side: THREE.DoubleSide
-        })
-      );
-      
-      trail.position.set(0, 0, -0.8);
-      trail.rotation.x = Math.PI / 2;
-      vehicleMesh.add(trail);
+      const frontLight = new THREE.PointLight(color, 0.5, 10);
+      container.add(frontLight);
       
-      // Add to container
-      container.add(vehicleMesh);
-      
-      // Store reference data
       vehiclesData.current.push({
-        mesh: vehicleMesh,
-        trail: trail,
-        radius,
-        height,
-        speed,
-        angle: startAngle,
-        direction,
-        isDrone
+        color,
+        frontLight,
+        radius: 70 + Math.random() * 80, // Distance from center
+        height: 20 + Math.random() * 80, // Height
+        speed: 0.5 + Math.random() * 1.5, // Movement speed
+        angle: Math.random() * Math.PI * 2, // Starting position
+        direction: Math.random() > 0.5 ? 1 : -1, // Direction of travel
+        isDrone,
+        // Slot in the instanced mesh for its shape
+        index: 0
       });
     }
     
+    // Bodies share a material; the instance color tints the emissive glow
+    const bodyMaterial = enableInstanceEmissive(new THREE.MeshStandardMaterial({
+      color: 0x333333,
+      emissive: 0xFFFFFF,
+      emissiveIntensity: 1.5,
+      metalness: 0.8,
+      roughness: 0.2
+    }));
+    const trailMaterial = new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide
+    });
+    const drones = vehiclesData.current.filter(vehicle => vehicle.isDrone);
+    const cars = vehiclesData.current.filter(vehicle => !vehicle.isDrone);
+    drones.forEach((vehicle, i) => { vehicle.index = i; });
+    cars.forEach((vehicle, i) => { vehicle.index = i; });
+    
+    const instances = {
+      drones: createDynamicInstances(new THREE.ConeGeometry(0.5, 1.5, 4), bodyMaterial, drones.length),
+      cars: createDynamicInstances(new THREE.BoxGeometry(2, 0.6, 1), bodyMaterial, cars.length),
+      // Unit-length trail, stretched per vehicle type
+      trails: createDynamicInstances(new THREE.PlaneGeometry(0.2, 1), trailMaterial, vehicleCount)
+    };
+    Object.values(instances).forEach(mesh => container.add(mesh));
+    instancesRef.current = instances;
+    
+    // Emissive bodies and trails glow in the selective bloom pass
+    setBloomLayer(container);
+    
     return () => {
       // Clean up
       scene.remove(container);
+      Object.values(instances).forEach((mesh) => {
+        mesh.geometry.dispose();
+        mesh.dispose();
+      });
+      bodyMaterial.dispose();
+      trailMaterial.dispose();
+      vehiclesData.current = [];
+      instancesRef.current = null;
     };
-  }, [count, scene]);
+  }, [vehicleCount, scene]);
+  
+  // Scratch objects for building instance transforms
+  const transformRef = useRef({
+    vehicle: new THREE.Object3D(),
+    matrix: new THREE.Matrix4(),
+    color: new THREE.Color(),
+    // Trail behind the vehicle, lying flat, for each trail length
+    trailOffsets: {
+      drone: new THREE.Matrix4().compose(
+        new THREE.Vector3(0, 0, -0.8),
+        new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2),
+        new THREE.Vector3(1, 2, 1)
+      ),
+      car: new THREE.Matrix4().compose(
+        new THREE.Vector3(0, 0, -0.8),
+        new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2),
+        new THREE.Vector3(1, 4, 1)
+      )
+    }
+  });
   
   // Animate vehicles
   useFrame((state, delta) => {
-    if (!vehiclesRef.current) return;
+    const instances = instancesRef.current;
+    if (!vehiclesRef.current || !instances) return;
+    
+    const { vehicle: transform, matrix, color, trailOffsets } = transformRef.current;
+    const time = state.clock.elapsedTime;
     
     // Update all vehicles
-    vehiclesData.current.forEach(vehicle => {
+    vehiclesData.current.forEach((vehicle, i) => {
       // Update angle
       vehicle.angle += delta * vehicle.speed * speed * vehicle.direction;
       
       // Calculate new position
       const x = Math.cos(vehicle.angle) * vehicle.radius;
       const z = Math.sin(vehicle.angle) * vehicle.radius;
-      vehicle.mesh.position.set(x, vehicle.height, z);
+      transform.position.set(x, vehicle.height, z);
       
       // Update rotation to face direction of travel
-      const targetRotation = Math.atan2(
+      transform.rotation.y = Math.atan2(
         Math.sin(vehicle.angle + Math.PI/2) * vehicle.direction,
         Math.cos(vehicle.angle + Math.PI/2) * vehicle.direction
       );
-      vehicle.mesh.rotation.y = targetRotation;
       
       // Add some bobbing motion
       if (vehicle.isDrone) {
-        vehicle.mesh.position.y += Math.sin(state.clock.elapsedTime * 2 + vehicle.angle) * 0.2;
+        transform.position.y += Math.sin(time * 2 + vehicle.angle) * 0.2;
       }
+      transform.updateMatrix();
       
-      // Add pulsating to the emissive intensity
-      if (vehicle.mesh.material) {
-        const pulseIntensity = 1.2 + Math.sin(state.clock.elapsedTime * 3 + vehicle.angle * 2) * 0.3;
-        vehicle.mesh.material.emissiveIntensity = pulseIntensity;
-      }
+      const body = vehicle.isDrone ? instances.drones : instances.cars;
+      body.setMatrixAt(vehicle.index, transform.matrix);
       
-      // Animate trail opacity
-      if (vehicle.trail.material) {
-        vehicle.trail.material.opacity = 0.4 + Math.sin(state.clock.elapsedTime * 4 + vehicle.angle) * 0.3;
-      }
+      // Pulse each vehicle's glow on its own phase (relative to the material's 1.5)
+      const pulseIntensity = 1.2 + Math.sin(time * 3 + vehicle.angle * 2) * 0.3;
+      body.setColorAt(vehicle.index, color.copy(vehicle.color).multiplyScalar(pulseIntensity / 1.5));
+      
+      // Trail follows the body; its brightness stands in for the old per-trail opacity
+      matrix.multiplyMatrices(transform.matrix, vehicle.isDrone ? trailOffsets.drone : trailOffsets.car);
+      instances.trails.setMatrixAt(i, matrix);
+      const trailOpacity = 0.4 + Math.sin(time * 4 + vehicle.angle) * 0.3;
+      instances.trails.setColorAt(i, color.copy(vehicle.color).multiplyScalar(trailOpacity / 0.7));
+      
+      // Headlight sits at the nose
+      vehicle.frontLight.position.set(0, 0, 0.6).applyMatrix4(transform.matrix);
+    });
+    
+    Object.values(instances).forEach((mesh) => {
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
     });
   });
   
@@ -149,26 +181,24 @@ export const FlyingVehicles = ({ count = 10, speed = 1.0 }) => {
 };
 
 /**
- * Creates scattered rain effects for a cyberpunk mood
+ * Creates scattered rain effects for a cyberpunk mood. All raindrops are
+ * instances of one mesh.
  */
 export const CyberpunkRain = ({ intensity = 1.0 }) => {
   const rainRef = useRef();
   const rainDropsData = useRef([]);
   const { scene, camera } = useThree();
+  const { rainDensity } = useQualitySettings();
   
-  // Maximum raindrops at a time
-  const maxRaindrops = 300 * intensity;
+  // Maximum raindrops at a time, scaled by the quality tier
+  const maxRaindrops = Math.round(300 * intensity * rainDensity);
   
   // Create raindrop particle system
   useEffect(() => {
-    // Create container
-    const container = new THREE.Group();
-    rainRef.current = container;
-    scene.add(container);
+    rainDropsData.current = [];
     
-    // Create raindrop material
+    // Create raindrop material; the instance colors carry the tint
     const rainMaterial = new THREE.MeshBasicMaterial({
-      color: 0x88CCFF,
       transparent: true,
       opacity: 0.3
     });
@@ -176,28 +206,38 @@ export const CyberpunkRain = ({ intensity = 1.0 }) => {
     // Create raindrop geometry - elongated to simulate motion blur
     const rainGeometry = new THREE.BoxGeometry(0.05, 0.8, 0.05);
     
+    const rain = createDynamicInstances(rainGeometry, rainMaterial, maxRaindrops);
+    rainRef.current = rain;
+    scene.add(rain);
+    
     // Initialize raindrops
+    const baseColor = new THREE.Color(0x88CCFF);
+    const dropColor = new THREE.Color();
     for (let i = 0; i < maxRaindrops; i++) {
-      // Create raindrop mesh
-      const raindrop = new THREE.Mesh(rainGeometry, rainMaterial);
+      const raindrop = {
+        position: new THREE.Vector3(),
+        rotation: new THREE.Euler(),
+        speed: 15 + Math.random() * 15, // Units per second
+        horizontalSpeed: (Math.random() - 0.5) * 2 // Some sideways motion for wind effect
+      };
       
       // Position randomly in a cylinder around the camera
       resetRaindrop(raindrop, camera.position, true);
       
-      // Add to container
-      container.add(raindrop);
+      // Slightly vary the brightness so the rain doesn't look uniform
+      rain.setColorAt(i, dropColor.copy(baseColor).multiplyScalar(0.8 + Math.random() * 0.4));
       
-      // Store reference data with random speed
-      rainDropsData.current.push({
-        mesh: raindrop,
-        speed: 15 + Math.random() * 15, // Units per second
-        horizontalSpeed: (Math.random() - 0.5) * 2 // Some sideways motion for wind effect
-      });
+      rainDropsData.current.push(raindrop);
     }
     
     return () => {
       // Clean up
-      scene.remove(container);
+      scene.remove(rain);
+      rain.dispose();
+      rainGeometry.dispose();
+      rainMaterial.dispose();
+      rainDropsData.current = [];
+      rainRef.current = null;
     };
   }, [scene, camera, maxRaindrops, intensity]);
   
@@ -232,69 +272,83 @@ export const CyberpunkRain = ({ intensity = 1.0 }) => {
     );
   };
   
+  // Scratch objects for building instance transforms
+  const transformRef = useRef({
+    quaternion: new THREE.Quaternion(),
+    scale: new THREE.Vector3(1, 1, 1),
+    matrix: new THREE.Matrix4()
+  });
+  
   // Animate raindrops
   useFrame((state, delta) => {
-    if (!rainRef.current) return;
+    const rain = rainRef.current;
+    if (!rain) return;
     
     // Current camera position
-    const cameraPosition = camera.position.clone();
+    const cameraPosition = camera.position;
+    const { quaternion, scale, matrix } = transformRef.current;
     
     // Update all raindrops
-    rainDropsData.current.forEach(raindrop => {
+    rainDropsData.current.forEach((raindrop, i) => {
       // Move down based on speed
-      raindrop.mesh.position.y -= raindrop.speed * delta;
+      raindrop.position.y -= raindrop.speed * delta;
       
       // Add horizontal movement for wind effect
-      raindrop.mesh.position.x += raindrop.horizontalSpeed * delta;
+      raindrop.position.x += raindrop.horizontalSpeed * delta;
       
       // If raindrop is below ground or too far from camera, reset it
-      if (raindrop.mesh.position.y < -10 || 
-          raindrop.mesh.position.distanceTo(cameraPosition) > 100) {
-        resetRaindrop(raindrop.mesh, cameraPosition);
+      if (raindrop.position.y < -10 || 
+          raindrop.position.distanceTo(cameraPosition) > 100) {
+        resetRaindrop(raindrop, cameraPosition);
       }
+      
+      quaternion.setFromEuler(raindrop.rotation);
+      rain.setMatrixAt(i, matrix.compose(raindrop.position, quaternion, scale));
     });
+    rain.instanceMatrix.needsUpdate = true;
   });
   
   return null;
 };
 
+// Sample cyberpunk-themed advertisements
+const AD_TEXTS = [
+  'NEURAL IMPLANTS',
+  'CYBER ENHANCEMENTS',
+  'MEMORY BOOST',
+  'SYNTHETIC ORGANS',
+  'VR ESCAPE',
+  'AI ASSISTANTS',
+  'BIOHACKING',
+  'QUANTUM TECH',
+  'NANOBOT REPAIR',
+  'GENETIC MODS'
+];
+
+// Slogans that can appear with advertisements
+const SLOGANS = [
+  'THE FUTURE IS NOW',
+  'UPGRADE YOURSELF',
+  'BEYOND HUMAN',
+  'THINK BETTER',
+  'LIVE ENHANCED',
+  'FEEL THE POWER'
+];
+
 /**
- * Creates animated neon billboards with text that changes over time
+ * Creates animated neon billboards with text that changes over time. The
+ * billboard panels are instances of one unit plane, scaled and tinted per
+ * billboard.
  */
 export const AnimatedBillboards = ({ count = 5 }) => {
   const billboardsRef = useRef();
   const { scene } = useThree();
   const billboardsData = useRef([]);
   
-  // Sample cyberpunk-themed advertisements
-  const adTexts = [
-    'NEURAL IMPLANTS',
-    'CYBER ENHANCEMENTS',
-    'MEMORY BOOST',
-    'SYNTHETIC ORGANS',
-    'VR ESCAPE',
-    'AI ASSISTANTS',
-    'BIOHACKING',
-    'QUANTUM TECH',
-    'NANOBOT REPAIR',
-    'GENETIC MODS'
-  ];
-  
-  // Slogans that can appear with advertisements
-  const slogans = [
-    'THE FUTURE IS NOW',
-    'UPGRADE YOURSELF',
-    'BEYOND HUMAN',
-    'THINK BETTER',
-    'LIVE ENHANCED',
-    'FEEL THE POWER'
-  ];
-  
   // Generate billboards on component mount
   useEffect(() => {
     // Create container group
     const container = new THREE.Group();
-    billboardsRef.current = container;
     scene.add(container);
     
     // Clear any existing billboards
@@ -309,6 +363,19 @@ export const AnimatedBillboards = ({ count = 5 }) => {
       new THREE.Color('#B026FF')  // Purple
     ];
     
+    // Shared panel; the instance color sets each billboard's glow
+    const billboardGeometry = new THREE.PlaneGeometry(1, 1);
+    const billboardMaterial = enableInstanceEmissive(new THREE.MeshStandardMaterial({
+      color: 0x111111,
+      emissive: 0xFFFFFF,
+      emissiveIntensity: 1.0,
+      roughness: 0.4,
+      metalness: 0.6
+    }));
+    const panels = createDynamicInstances(billboardGeometry, billboardMaterial, count);
+    billboardsRef.current = panels;
+    container.add(panels);
+    
     // Create billboards
     for (let i = 0; i < count; i++) {
       // Choose random color
@@ -326,26 +393,14 @@ export const AnimatedBillboards = ({ count = 5 }) => {
       const width = 5 + Math.random() * 8;
       const height3d = 2 + Math.random() * 3;
       
-      // Create billboard backing
-      const billboard = new THREE.Mesh(
-        new THREE.PlaneGeometry(width, height3d),
-        new THREE.MeshStandardMaterial({
-          color: 0x111111,
-          emissive: color,
-          emissiveIntensity: 1.0,
-          roughness: 0.4,
-          metalness: 0.6
-        })
-      );
-      
-      // Position the billboard
+      // Position the billboard, facing toward center
+      const billboard = new THREE.Object3D();
       billboard.position.set(x, height, z);
-      
-      // Face toward center
+      billboard.scale.set(width, height3d, 1);
       billboard.lookAt(0, height, 0);
-      
-      // Add to container
-      container.add(billboard);
+      billboard.updateMatrix();
+      panels.setMatrixAt(i, billboard.matrix);
+      panels.setColorAt(i, color);
       
       // Add glow
       const glowIntensity = 2;
@@ -355,8 +410,8 @@ export const AnimatedBillboards = ({ count = 5 }) => {
       container.add(glowLight);
       
       // Select content
-      const adText = adTexts[Math.floor(Math.random() * adTexts.length)];
-      const slogan = Math.random() > 0.5 ? slogans[Math.floor(Math.random() * slogans.length)] : null;
+      const adText = AD_TEXTS[Math.floor(Math.random() * AD_TEXTS.length)];
+      const slogan = Math.random() > 0.5 ? SLOGANS[Math.floor(Math.random() * SLOGANS.length)] : null;
       
       // Store reference data
       billboardsData.current.push({
@@ -369,30 +424,39 @@ export const AnimatedBillboards = ({ count = 5 }) => {
         glowLight
       });
     }
+    if (panels.instanceColor) panels.instanceColor.needsUpdate = true;
+    // Billboards only wobble in place, so their bounds can be computed once
+    panels.computeBoundingSphere();
+    panels.frustumCulled = true;
     
     return () => {
       // Clean up
       scene.remove(container);
+      panels.dispose();
+      billboardGeometry.dispose();
+      billboardMaterial.dispose();
+      billboardsRef.current = null;
     };
-  }, [count, scene, adTexts, slogans]);
+  }, [count, scene]);
   
   // Animate billboards
   useFrame((state) => {
-    if (!billboardsRef.current) return;
+    const panels = billboardsRef.current;
+    if (!panels) return;
     
     const time = state.clock.elapsedTime;
     
     // Update all billboards
-    billboardsData.current.forEach(billboard => {
+    billboardsData.current.forEach((billboard, i) => {
       // Check if it's time to update content
       if (time - billboard.lastChangeTime > billboard.changeTime) {
         // Update advertisement text
-        billboard.adText = adTexts[Math.floor(Math.random() * adTexts.length)];
+        billboard.adText = AD_TEXTS[Math.floor(Math.random() * AD_TEXTS.length)];
         
         // 50% chance to change slogan
         if (Math.random() > 0.5) {
           billboard.slogan = Math.random() > 0.3 ? 
-            slogans[Math.floor(Math.random() * slogans.length)] : null;
+            SLOGANS[Math.floor(Math.random() * SLOGANS.length)] : null;
         }
         
         billboard.lastChangeTime = time;
@@ -404,15 +468,14 @@ export const AnimatedBillboards = ({ count = 5 }) => {
       }
       
       // Add subtle movement to the billboard
-      if (billboard.billboard) {
-        billboard.billboard.rotation.z = Math.sin(time * 0.5) * 0.01;
-      }
-      
-      // Update emissive intensity
-      if (billboard.billboard.material) {
-        billboard.billboard.material.emissiveIntensity = 1.0 + Math.sin(time * 2) * 0.3;
-      }
+      billboard.billboard.rotation.z = Math.sin(time * 0.5) * 0.01;
+      billboard.billboard.updateMatrix();
+      panels.setMatrixAt(i, billboard.billboard.matrix);
     });
+    panels.instanceMatrix.needsUpdate = true;
+    
+    // Update emissive intensity
+    panels.material.emissiveIntensity = 1.0 + Math.sin(time * 2) * 0.3;
   });
   
   return null;
@@ -5,6 +5,7 @@ import { Vector3, Color } from 'three';
 import { Text, Billboard, Html } from '@react-three/drei';
 import { gsap } from 'gsap';
 import { useEventSystem, EVENT_TYPES, PRIORITY, useSystem } from '../../systems/EventSystem';
+import { setBloomLayer } from '../../utils/bloomLayers';
 
 const HotspotEvent = ({ id, position, title, color, projectData, audio }) => {
   const { activeHotspotId, setActiveHotspot, showOverlay } = useStore();
@@ -29,11 +30,16 @@ const HotspotEvent = ({ id, position, title, color, projectData, audio }) => {
   useEffect(() => {
     if (!hotspotRef.current) return;
 
+    // Markers, beams and labels glow in the selective bloom pass
+    setBloomLayer(hotspotRef.current);
+
     // Register hotspot and marker objects with the spatial manager
     emit(EVENT_TYPES.OBJECT_ADDED, {
       object: hotspotRef.current,
       options: {
         important: true,
+        // Bobs up and down, so its place in the spatial index needs refreshing
+        dynamic: true,
         lod: false,
         cullDistance: Infinity,
       },
@@ -127,9 +133,8 @@ const HotspotEvent = ({ id, position, title, color, projectData, audio }) => {
 
   const handleClick = (e) => {
     e.stopPropagation();
-    setActiveHotspot(id);
-    emit(EVENT_TYPES.HOTSPOT_SELECT, {
-      id,
+    // The store emits HOTSPOT_SELECT with these details
+    setActiveHotspot(id, {
       position: position ? new Vector3(...position) : new Vector3(),
       projectData,
     });
@@ -225,4 +230,50 @@ const HotspotEvent = ({ id, position, title, color, projectData, audio }) => {
   );
 };
 
-export default HotspotEvent;
+// Manager component - renders one hotspot per project in the store
+const HotspotManagerEvents = ({ audio }) => {
+  const projects = useStore(state => state.projects);
+  const loadProjects = useStore(state => state.loadProjects);
+  const { emit } = useEventSystem();
+  const { invalidate } = useThree();
+
+  // Fetch the project list once if nothing has populated it yet
+  useEffect(() => {
+    if (projects.length === 0) {
+      loadProjects();
+    }
+  }, []);
+
+  // Only projects with a world position can be placed in the city
+  const placedProjects = projects.filter(
+    project => Array.isArray(project.position) && project.position.length === 3
+  );
+
+  // Let other systems know the hotspot set changed
+  useEffect(() => {
+    emit(EVENT_TYPES.HOTSPOT_LIST_CHANGED, {
+      ids: placedProjects.map(project => project.id),
+      count: placedProjects.length,
+    });
+    invalidate();
+  }, [projects, emit, invalidate]);
+
+  return (
+    <group name="hotspot-manager">
+      {placedProjects.map(project => (
+        <HotspotEvent
+          key={project.id}
+          id={project.id}
+          position={project.position}
+          title={project.title}
+          color={project.color}
+          projectData={project}
+          audio={audio}
+        />
+      ))}
+    </group>
+  );
+};
+
+export { HotspotEvent };
+export default HotspotManagerEvents;
@@ -3,34 +3,66 @@ import { useThree } from '@react-three/fiber';
 import { useGLTF } from '@react-three/drei';
 import * as THREE from 'three';
 import { useStore } from '../../state/useStore';
-import { useEventSystem, EVENT_TYPES, PRIORITY, useSystem } from '../../systems/EventSystem';
+import { useEventSystem, EVENT_TYPES, PRIORITY, useSystem, useInterpolator } from '../../systems/EventSystem';
+import { dampValue, lerpAngle } from '../../utils/mathUtils';
+import {
+  createFlightInput,
+  resolveKeyBindings,
+  isFlightKey,
+  isTextEntryTarget,
+  FLIGHT_TUNING,
+} from '../../utils/flightControls';
 
 const DRONE_MODEL_PATH = '/models/cyberdrone/drone.glb';
+// Radius of the sphere used for collisions against the city
+const DRONE_COLLISION_RADIUS = 0.8;
 
 const DroneNavigationEvents = ({ audio }) => {
   const {
     dronePosition,
     updateDronePosition,
     setActiveHotspot,
+    setFlightMode,
+    isInCityBounds,
     debugMode,
     soundEnabled,
   } = useStore();
 
-  const { scene, camera, invalidate } = useThree();
+  const { scene, camera, gl, invalidate } = useThree();
   const droneRef = useRef();
   const droneModelRef = useRef();
   const propellersRef = useRef([]);
   const droneLightRef = useRef();
   const targetPositionRef = useRef(null);
+  // Waypoints still to visit on the way to targetPositionRef
+  const pathRef = useRef([]);
 
   // Animation state refs
   const propellerSpeed = useRef(0.5);
   const lightIntensity = useRef(1.5);
   const isMovingRef = useRef(false);
 
+  // Manual flight state
+  const flightInputRef = useRef(null);
+  if (!flightInputRef.current) {
+    flightInputRef.current = createFlightInput({
+      getBindings: () => resolveKeyBindings(useStore.getState().keyBindings),
+    });
+  }
+  const velocityRef = useRef(new THREE.Vector3());
+  const headingRef = useRef(0);
+  const yawVelocityRef = useRef(0);
+  // Pose at the start of the current simulation step, for render interpolation
+  const previousPositionRef = useRef(useStore.getState().dronePosition.clone());
+  const previousHeadingRef = useRef(0);
+
+  // Name of the mesh the drone is currently touching (null when clear)
+  const collisionContactRef = useRef(null);
+
   // Vector refs for reuse
   const tempVec = useRef(new THREE.Vector3());
   const directionVec = useRef(new THREE.Vector3());
+  const accelerationVec = useRef(new THREE.Vector3());
 
   // Get the event system's emit function
   const { emit } = useEventSystem();
@@ -107,115 +139,388 @@ const DroneNavigationEvents = ({ audio }) => {
     };
   }, [droneModel, emit, invalidate]);
 
-  // Setup click handler for navigation
+  // Start moving the drone toward a world-space point
+  const beginMove = useCallback((point, heightOffset, payload) => {
+    if (!targetPositionRef.current) {
+      targetPositionRef.current = new THREE.Vector3();
+    }
+    targetPositionRef.current.copy(point);
+    targetPositionRef.current.y = Math.max(point.y + heightOffset, 5);
+    isMovingRef.current = true;
+    velocityRef.current.set(0, 0, 0);
+    setFlightMode('click');
+
+    // Route around buildings; fall back to a straight line until the city grid exists
+    const start = useStore.getState().dronePosition.clone();
+    const route = window.spatialManager?.findPath?.(start, targetPositionRef.current)
+      || [start, targetPositionRef.current.clone()];
+    pathRef.current = route.slice(1);
+
+    emit(EVENT_TYPES.DRONE_MOVE, {
+      targetPosition: targetPositionRef.current.clone(),
+      ...payload,
+    });
+    emit(EVENT_TYPES.DRONE_PATH, { points: route, source: payload?.source });
+    if (audio?.isInitialized && soundEnabled) {
+      audio.playSound('click', { volume: 0.3 });
+    }
+    invalidate();
+  }, [audio, soundEnabled, setFlightMode, emit, invalidate]);
+
+  // Forward window clicks onto the event bus so handlers can cancel each other
   useEffect(() => {
     const handleClick = (event) => {
+      // Clicks on HUD buttons and overlays must not steer the drone
+      if (event.target !== gl.domElement) return;
       const mouse = new THREE.Vector2(
         (event.clientX / window.innerWidth) * 2 - 1,
         -(event.clientY / window.innerHeight) * 2 + 1
       );
       const raycaster = new THREE.Raycaster();
       raycaster.setFromCamera(mouse, camera);
+      emit(EVENT_TYPES.MOUSE_CLICK, { mouse, raycaster, source: 'window' });
+    };
+    window.addEventListener('click', handleClick);
+    return () => window.removeEventListener('click', handleClick);
+  }, [camera, gl, emit]);
 
-      // Check for hotspot intersections
+  // Hotspot clicks run first and stop the ground handler from also firing
+  useEffect(() => {
+    const handleHotspotClick = (event) => {
+      if (!event.raycaster) return;
       const hotspots = scene.children.filter(
         child =>
           child.isObject3D &&
           child.type === 'Group' &&
           child.name.includes('hotspot')
       );
-      const hotspotIntersects = raycaster.intersectObjects(hotspots, true);
-      if (hotspotIntersects.length > 0) {
-        let hotspotObject = hotspotIntersects[0].object;
-        while (hotspotObject && !hotspotObject.name.includes('hotspot')) {
-          hotspotObject = hotspotObject.parent;
-        }
-        if (hotspotObject) {
-          const hotspotId = hotspotObject.name.replace('hotspot-', '');
-          setActiveHotspot(hotspotId);
-          if (!targetPositionRef.current) {
-            targetPositionRef.current = new THREE.Vector3();
-          }
-          targetPositionRef.current.copy(hotspotObject.position);
-          targetPositionRef.current.y = Math.max(hotspotObject.position.y + 2, 5);
-          isMovingRef.current = true;
-          emit(EVENT_TYPES.DRONE_MOVE, {
-            targetPosition: targetPositionRef.current.clone(),
-            source: 'hotspot',
-            hotspotId,
-          });
-          if (audio?.isInitialized && soundEnabled) {
-            audio.playSound('click', { volume: 0.3 });
-          }
-          invalidate();
-          return;
-        }
+      const hotspotIntersects = event.raycaster.intersectObjects(hotspots, true);
+      if (hotspotIntersects.length === 0) return;
+
+      let hotspotObject = hotspotIntersects[0].object;
+      while (hotspotObject && !hotspotObject.name.startsWith('hotspot-')) {
+        hotspotObject = hotspotObject.parent;
       }
+      if (!hotspotObject) return;
 
-      // Check for ground intersection
+      const hotspotId = hotspotObject.name.replace('hotspot-', '');
+      // Hotspot groups are positioned by their inner group, so prefer the project data
+      const project = useStore.getState().projects.find(p => p.id === hotspotId);
+      const hotspotPosition = project?.position
+        ? new THREE.Vector3(...project.position)
+        : hotspotIntersects[0].object.getWorldPosition(new THREE.Vector3());
+
+      event.stopPropagation();
+      setActiveHotspot(hotspotId);
+      beginMove(hotspotPosition, 2, { source: 'hotspot', hotspotId });
+    };
+
+    const handleGroundClick = (event) => {
+      if (!event.raycaster || event.handled) return;
       const groundObjects = scene.children.filter(
         child =>
           child.isObject3D &&
           child.type === 'Mesh' &&
           (child.rotation.x === -Math.PI / 2 || child.name.includes('ground'))
       );
-      if (groundObjects.length > 0) {
-        const intersects = raycaster.intersectObjects(groundObjects, false);
-        if (intersects.length > 0) {
-          if (!targetPositionRef.current) {
-            targetPositionRef.current = new THREE.Vector3();
-          }
-          targetPositionRef.current.copy(intersects[0].point);
-          targetPositionRef.current.y = Math.max(5, targetPositionRef.current.y);
-          isMovingRef.current = true;
-          emit(EVENT_TYPES.DRONE_MOVE, {
-            targetPosition: targetPositionRef.current.clone(),
-            source: 'ground',
-          });
-          if (audio?.isInitialized && soundEnabled) {
-            audio.playSound('click', { volume: 0.3 });
+      if (groundObjects.length === 0) return;
+      const intersects = event.raycaster.intersectObjects(groundObjects, false);
+      if (intersects.length === 0) return;
+
+      event.markHandled();
+      beginMove(intersects[0].point, 0, { source: 'ground' });
+    };
+
+    // Programmatic moves (deep links, autopilot) request a destination with DRONE_FLY_TO
+    const handleFlyTo = (event) => {
+      if (!event.targetPosition) return;
+      const point = Array.isArray(event.targetPosition)
+        ? new THREE.Vector3(...event.targetPosition)
+        : event.targetPosition;
+      beginMove(point, event.hotspotId ? 2 : 0, {
+        source: event.source || 'flyTo',
+        ...(event.hotspotId ? { hotspotId: event.hotspotId } : {}),
+      });
+    };
+
+    const eventSystem = useEventSystem.getState();
+    const unsubscribeFlyTo = eventSystem.subscribe(
+      'drone-fly-to', EVENT_TYPES.DRONE_FLY_TO, handleFlyTo, PRIORITY.HIGH
+    );
+    const unsubscribeHotspot = eventSystem.subscribe(
+      'drone-hotspot-click', EVENT_TYPES.MOUSE_CLICK, handleHotspotClick, PRIORITY.HIGH
+    );
+    const unsubscribeGround = eventSystem.subscribe(
+      'drone-ground-click', EVENT_TYPES.MOUSE_CLICK, handleGroundClick, PRIORITY.LOW
+    );
+    return () => {
+      unsubscribeFlyTo();
+      unsubscribeHotspot();
+      unsubscribeGround();
+    };
+  }, [scene, setActiveHotspot, beginMove]);
+
+  // Move the drone by `displacement`, sliding along city geometry. Emits DRONE_COLLISION
+  // once per new contact rather than every frame spent scraping along a wall.
+  const moveWithCollisions = useCallback((from, displacement) => {
+    const spatialManager = window.spatialManager;
+    if (!spatialManager?.checkCollisions) {
+      return { position: from.clone().add(displacement), hasCollision: false };
+    }
+    const result = spatialManager.checkCollisions(from, displacement, DRONE_COLLISION_RADIUS);
+    if (result.hasCollision) {
+      const contact = result.meshName || '(unnamed)';
+      if (collisionContactRef.current !== contact) {
+        emit(EVENT_TYPES.DRONE_COLLISION, {
+          position: result.position.clone(),
+          normal: result.normal.clone(),
+          meshName: result.meshName || '',
+        });
+      }
+      collisionContactRef.current = contact;
+    } else {
+      collisionContactRef.current = null;
+    }
+    return result;
+  }, [emit]);
+
+  // Track held flight keys from the event bus
+  useEffect(() => {
+    const flightInput = flightInputRef.current;
+    const handleKeyPress = (event) => flightInput.press(event.code);
+    const handleKeyRelease = (event) => flightInput.release(event.code);
+    // Keys released while the window is unfocused never fire keyup
+    const handleBlur = () => flightInput.clear();
+    // Otherwise Space re-clicks the last focused HUD button and arrows scroll;
+    // text fields keep their keys
+    const claimFlightKey = (event) => {
+      if (isTextEntryTarget(event.target)) return;
+      if (isFlightKey(resolveKeyBindings(useStore.getState().keyBindings), event.code)) {
+        event.preventDefault();
+      }
+    };
+
+    const eventSystem = useEventSystem.getState();
+    const unsubscribePress = eventSystem.subscribe(
+      'drone-flight-key-press', EVENT_TYPES.KEY_PRESS, handleKeyPress, PRIORITY.HIGH
+    );
+    const unsubscribeRelease = eventSystem.subscribe(
+      'drone-flight-key-release', EVENT_TYPES.KEY_RELEASE, handleKeyRelease, PRIORITY.HIGH
+    );
+    window.addEventListener('blur', handleBlur);
+    // Buttons activate on Space keyup, so both halves are claimed
+    window.addEventListener('keydown', claimFlightKey);
+    window.addEventListener('keyup', claimFlightKey);
+    return () => {
+      unsubscribePress();
+      unsubscribeRelease();
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('keydown', claimFlightKey);
+      window.removeEventListener('keyup', claimFlightKey);
+      flightInput.clear();
+    };
+  }, []);
+
+  // Manual flight: input -> acceleration, exponential drag, yaw and banking
+  const droneFlightUpdate = useCallback(
+    ({ deltaTime }) => {
+      // First drone system of each step: remember where the step started
+      previousPositionRef.current.copy(useStore.getState().dronePosition);
+      previousHeadingRef.current = headingRef.current;
+
+      const input = flightInputRef.current.read();
+      const velocity = velocityRef.current;
+
+      // Any flight input takes over from click-to-move
+      if (input.active && useStore.getState().flightMode !== 'manual') {
+        isMovingRef.current = false;
+        targetPositionRef.current = null;
+        pathRef.current = [];
+        setFlightMode('manual');
+      }
+      if (useStore.getState().flightMode !== 'manual') return;
+
+      const {
+        acceleration, verticalAcceleration, maxSpeed, maxVerticalSpeed,
+        drag, yawRate, yawResponse, maxBankAngle, bankResponse, minAltitude,
+      } = FLIGHT_TUNING;
+
+      // Yaw eases toward the requested turn rate
+      yawVelocityRef.current = dampValue(yawVelocityRef.current, input.yaw * yawRate, yawResponse, deltaTime);
+      headingRef.current += yawVelocityRef.current * deltaTime;
+
+      // Inputs are relative to the drone's heading
+      const sin = Math.sin(headingRef.current);
+      const cos = Math.cos(headingRef.current);
+      accelerationVec.current.set(
+        (-sin * input.forward + cos * input.strafe) * acceleration,
+        input.lift * verticalAcceleration,
+        (-cos * input.forward - sin * input.strafe) * acceleration
+      );
+      velocity.addScaledVector(accelerationVec.current, deltaTime);
+      velocity.multiplyScalar(Math.exp(-drag * deltaTime));
+
+      const horizontalSpeed = Math.hypot(velocity.x, velocity.z);
+      if (horizontalSpeed > maxSpeed) {
+        velocity.x *= maxSpeed / horizontalSpeed;
+        velocity.z *= maxSpeed / horizontalSpeed;
+      }
+      velocity.y = THREE.MathUtils.clamp(velocity.y, -maxVerticalSpeed, maxVerticalSpeed);
+
+      const isSettled = !input.active && velocity.lengthSq() < 0.0001 && Math.abs(yawVelocityRef.current) < 0.001;
+      if (isSettled) {
+        velocity.set(0, 0, 0);
+      } else {
+        const displacement = velocity.clone().multiplyScalar(deltaTime);
+        const result = moveWithCollisions(useStore.getState().dronePosition, displacement);
+        const newPosition = result.position;
+        // Lose the velocity that points into the surface so the drone slides along it
+        if (result.hasCollision) {
+          const into = velocity.dot(result.normal);
+          if (into < 0) velocity.addScaledVector(result.normal, -into);
+        }
+        if (newPosition.y < minAltitude) {
+          newPosition.y = minAltitude;
+          velocity.y = Math.max(velocity.y, 0);
+        }
+        if (isInCityBounds(newPosition)) {
+          updateDronePosition(newPosition);
+          if (droneRef.current) {
+            droneRef.current.position.copy(newPosition);
           }
+        } else {
+          velocity.set(0, 0, 0);
+        }
+      }
+
+      // Bank into turns and tilt in the direction of travel
+      if (droneRef.current) {
+        droneRef.current.rotation.y = headingRef.current;
+      }
+      if (droneModelRef.current) {
+        const localForward = -sin * velocity.x - cos * velocity.z;
+        const localRight = cos * velocity.x - sin * velocity.z;
+        const targetPitch = -(localForward / maxSpeed) * maxBankAngle;
+        const targetRoll = -(localRight / maxSpeed) * maxBankAngle - yawVelocityRef.current / yawRate * maxBankAngle * 0.5;
+        const model = droneModelRef.current;
+        model.rotation.x = dampValue(model.rotation.x, targetPitch, bankResponse, deltaTime);
+        model.rotation.z = dampValue(model.rotation.z, targetRoll, bankResponse, deltaTime);
+        if (!isSettled || Math.abs(model.rotation.x) > 0.001 || Math.abs(model.rotation.z) > 0.001) {
           invalidate();
         }
       }
-    };
-    window.addEventListener('click', handleClick);
-    return () => window.removeEventListener('click', handleClick);
-  }, [camera, scene, setActiveHotspot, audio, soundEnabled, emit, invalidate]);
+    },
+    [setFlightMode, isInCityBounds, moveWithCollisions, updateDronePosition, invalidate]
+  );
+
+  // Manual flight runs before click-to-move so it can cancel it in the same frame
+  useSystem('drone-flight', droneFlightUpdate, PRIORITY.CRITICAL, true);
 
   // Drone movement update (wrapped in useCallback for stability)
   const droneMovementUpdate = useCallback(
     ({ deltaTime }) => {
       if (!isMovingRef.current || !targetPositionRef.current) return;
 
-      tempVec.current.copy(dronePosition);
-      directionVec.current.copy(targetPositionRef.current).sub(tempVec.current);
-      const distance = directionVec.current.length();
-      if (distance < 1) {
+      // Read the store, not the render closure: fixed steps run several times per render
+      tempVec.current.copy(useStore.getState().dronePosition);
+      const remaining = tempVec.current.distanceTo(targetPositionRef.current);
+      if (remaining < 1) {
         isMovingRef.current = false;
+        pathRef.current = [];
         emit(EVENT_TYPES.DRONE_ARRIVED, { position: tempVec.current.clone() });
         return;
       }
+      // Speed depends on the distance left to travel, not to the next waypoint
+      const speed = Math.min(Math.max(remaining * 0.02, 0.2), 1.5) * deltaTime * 60;
+
+      // Advance past waypoints we have reached this frame
+      const path = pathRef.current;
+      while (path.length > 1 && tempVec.current.distanceTo(path[0]) <= Math.max(speed, 1)) {
+        path.shift();
+      }
+      const waypoint = path.length > 0 ? path[0] : targetPositionRef.current;
+      directionVec.current.copy(waypoint).sub(tempVec.current);
+      const distance = directionVec.current.length();
+      if (distance < 0.0001) return;
       directionVec.current.normalize();
-      const speed = Math.min(Math.max(distance * 0.02, 0.2), 1.5) * deltaTime * 60;
-      directionVec.current.multiplyScalar(speed);
-      const newPosition = tempVec.current.clone().add(directionVec.current);
+
+      // Turn to face the direction of travel so chase cameras can follow the heading
+      if (Math.abs(directionVec.current.x) + Math.abs(directionVec.current.z) > 0.01) {
+        const travelHeading = Math.atan2(-directionVec.current.x, -directionVec.current.z);
+        headingRef.current = lerpAngle(headingRef.current, travelHeading, Math.min(1, deltaTime * 4));
+        if (droneRef.current) {
+          droneRef.current.rotation.y = headingRef.current;
+        }
+      }
+      directionVec.current.multiplyScalar(Math.min(speed, distance));
+      const { position: newPosition, hasCollision } = moveWithCollisions(tempVec.current, directionVec.current);
+      // Blocked by a building with nowhere to slide: stop at the surface
+      if (hasCollision && newPosition.distanceTo(tempVec.current) < speed * 0.1) {
+        isMovingRef.current = false;
+        pathRef.current = [];
+        emit(EVENT_TYPES.DRONE_ARRIVED, { position: newPosition.clone(), blocked: true });
+        return;
+      }
       updateDronePosition(newPosition);
       if (droneRef.current) {
         droneRef.current.position.copy(newPosition);
       }
       invalidate();
     },
-    [dronePosition, updateDronePosition, emit, invalidate]
+    [moveWithCollisions, updateDronePosition, emit, invalidate]
   );
 
   // Register the drone movement system using a stable callback
   useSystem('drone-movement', droneMovementUpdate, PRIORITY.HIGH, true);
 
+  // Console check for headless stepping: step(n) must move a click-to-move
+  // flight forward n times. Restores the drone afterwards.
+  useEffect(() => {
+    const checkStepping = (n = 10) => {
+      const store = useStore.getState();
+      const start = store.dronePosition.clone();
+      const previousMode = store.flightMode;
+      // Straight up, far enough that n steps can't arrive
+      const target = start.clone().add(new THREE.Vector3(0, 40, 0));
+      const distances = [];
+      const unsubscribe = useEventSystem.getState().subscribe(
+        'drone-stepping-check', EVENT_TYPES.DRONE_POSITION,
+        (data) => distances.push(data.newPosition.distanceTo(target))
+      );
+
+      setFlightMode('click');
+      targetPositionRef.current = target;
+      pathRef.current = [];
+      isMovingRef.current = true;
+      try {
+        useEventSystem.getState().step(n);
+      } finally {
+        unsubscribe();
+        isMovingRef.current = false;
+        targetPositionRef.current = null;
+        updateDronePosition(start);
+        setFlightMode(previousMode);
+      }
+
+      const initial = start.distanceTo(target);
+      const advanced = distances.length === n &&
+        distances.every((distance, i) => distance < (i === 0 ? initial : distances[i - 1]));
+      console.assert(advanced, `Drone stepping: expected ${n} advancing moves, got`, distances);
+      return advanced;
+    };
+    window.droneDebug = { checkStepping };
+    return () => {
+      if (window.droneDebug?.checkStepping === checkStepping) {
+        delete window.droneDebug;
+      }
+    };
+  }, [setFlightMode, updateDronePosition]);
+
   // Drone propeller and light animation update (wrapped in useCallback)
   const dronePropellersUpdate = useCallback(
     ({ deltaTime }) => {
-      const targetSpeed = isMovingRef.current ? 2.0 : 0.5;
+      const isFlying = isMovingRef.current || velocityRef.current.lengthSq() > 0.01;
+      const targetSpeed = isFlying ? 2.0 : 0.5;
       propellerSpeed.current += (targetSpeed - propellerSpeed.current) * deltaTime * 5;
       propellersRef.current.forEach((propeller, index) => {
         if (propeller) {
@@ -228,7 +533,7 @@ const DroneNavigationEvents = ({ audio }) => {
         lightIntensity.current += (targetIntensity - lightIntensity.current) * deltaTime * 3;
         droneLightRef.current.intensity = lightIntensity.current;
       }
-      if (isMovingRef.current) {
+      if (isFlying) {
         invalidate();
       }
     },
@@ -238,6 +543,16 @@ const DroneNavigationEvents = ({ audio }) => {
   // Register the drone propellers system using a stable callback
   useSystem('drone-propellers', dronePropellersUpdate, PRIORITY.MEDIUM, true);
 
+  // Draw the drone between its last two simulated poses so a fixed timestep
+  // doesn't stutter at display rates that aren't a multiple of it
+  const droneInterpolate = useCallback(({ alpha }) => {
+    if (!droneRef.current) return;
+    droneRef.current.position.lerpVectors(previousPositionRef.current, useStore.getState().dronePosition, alpha);
+    droneRef.current.rotation.y = lerpAngle(previousHeadingRef.current, headingRef.current, alpha);
+  }, []);
+
+  useInterpolator('drone-interpolation', droneInterpolate);
+
   // Sync the droneRef position with the store (only when dronePosition changes)
   useEffect(() => {
     if (droneRef.current) {
@@ -247,7 +562,7 @@ const DroneNavigationEvents = ({ audio }) => {
 
   return (
     <group>
-      <group ref={droneRef} position={dronePosition.toArray()}>
+      <group ref={droneRef} name="drone" position={dronePosition.toArray()}>
         <group ref={droneModelRef} />
         {!droneModel && (
           <mesh castShadow>
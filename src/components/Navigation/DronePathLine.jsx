@@ -0,0 +1,57 @@
+import React, { useState, useRef, useCallback } from 'react';
+import { useThree } from '@react-three/fiber';
+import { Line } from '@react-three/drei';
+import { useEventListener, useSystem, EVENT_TYPES, PRIORITY } from '../../systems/EventSystem';
+
+// How long the route stays on screen before it has fully faded (seconds)
+const PATH_DISPLAY_TIME = 2.5;
+const PATH_COLOR = '#FF00FF';
+
+// Shows the drone's planned route as a neon line that fades out
+const DronePathLine = () => {
+  const { invalidate } = useThree();
+  const [points, setPoints] = useState(null);
+  const lineRef = useRef();
+  const ageRef = useRef(0);
+
+  const handlePath = useCallback((event) => {
+    if (!Array.isArray(event.points) || event.points.length < 2) return;
+    ageRef.current = 0;
+    setPoints(event.points.map((point) => [point.x, point.y, point.z]));
+    invalidate();
+  }, [invalidate]);
+
+  useEventListener(EVENT_TYPES.DRONE_PATH, handlePath);
+
+  const fadeUpdate = useCallback(({ deltaTime }) => {
+    if (!points) return;
+    ageRef.current += deltaTime;
+    const opacity = Math.max(0, 1 - ageRef.current / PATH_DISPLAY_TIME);
+    if (lineRef.current) {
+      lineRef.current.material.opacity = opacity;
+    }
+    if (opacity === 0) {
+      setPoints(null);
+    }
+    invalidate();
+  }, [points, invalidate]);
+
+  useSystem('drone-path-line', fadeUpdate, PRIORITY.LOW, !!points);
+
+  if (!points) return null;
+
+  return (
+    <Line
+      ref={lineRef}
+      points={points}
+      color={PATH_COLOR}
+      lineWidth={3}
+      transparent
+      opacity={1}
+      toneMapped={false}
+      dashed={false}
+    />
+  );
+};
+
+export default DronePathLine;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { useStore } from '../../state/useStore';
+import { useEventSystem, EVENT_TYPES } from '../../systems/EventSystem';
+import { flyToViewpoint } from '../../utils/navigationUtils';
+
+// Camera bookmarks: authored viewpoints from projects.json plus views the visitor saved
+const BookmarksPanel = () => {
+  const viewpoints = useStore(state => state.viewpoints);
+  const bookmarks = useStore(state => state.bookmarks);
+  const removeBookmark = useStore(state => state.removeBookmark);
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const label = name.trim() || `View ${bookmarks.length + 1}`;
+    useEventSystem.getState().emit(EVENT_TYPES.CAMERA_SAVE_BOOKMARK, { name: label });
+    setName('');
+  };
+
+  const renderEntry = (viewpoint, canRemove) => (
+    <li key={viewpoint.id} className="flex items-center space-x-2">
+      <button
+        className="pointer-events-auto flex-grow text-left px-2 py-1 cyber-button rounded-md text-cyan-300 truncate"
+        onClick={() => flyToViewpoint(viewpoint)}
+      >
+        {viewpoint.name}
+      </button>
+      {canRemove && (
+        <button
+          className="pointer-events-auto px-2 py-1 text-fuchsia-400 hover:text-fuchsia-300"
+          title="Delete bookmark"
+          onClick={() => removeBookmark(viewpoint.id)}
+        >
+          ✕
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="absolute top-28 right-4 w-56 text-xs font-mono text-cyan-500">
+      <button
+        className="pointer-events-auto w-full px-3 py-1 cyber-button rounded-md text-white"
+        onClick={() => setIsOpen(open => !open)}
+      >
+        {isOpen ? '▾' : '▸'} Bookmarks
+      </button>
+
+      {isOpen && (
+        <div className="cyber-container mt-1 p-2 rounded-lg space-y-2">
+          {viewpoints.length > 0 && (
+            <div>
+              <span className="opacity-70">DISTRICTS</span>
+              <ul className="mt-1 space-y-1">
+                {viewpoints.map(viewpoint => renderEntry(viewpoint, false))}
+              </ul>
+            </div>
+          )}
+
+          <div>
+            <span className="opacity-70">SAVED</span>
+            {bookmarks.length === 0 ? (
+              <p className="mt-1 text-cyan-700">No saved views yet</p>
+            ) : (
+              <ul className="mt-1 space-y-1">
+                {bookmarks.map(bookmark => renderEntry(bookmark, true))}
+              </ul>
+            )}
+          </div>
+
+          <form className="flex space-x-1" onSubmit={handleSave}>
+            <input
+              className="pointer-events-auto flex-grow min-w-0 px-2 py-1 bg-slate-900 border border-cyan-800 rounded-md text-cyan-300"
+              placeholder="Name this view"
+              value={name}
+              maxLength={32}
+              onChange={(event) => setName(event.target.value)}
+              // Typing a name shouldn't fly the drone or switch camera modes
+              onKeyDown={(event) => event.stopPropagation()}
+            />
+            <button type="submit" className="pointer-events-auto px-2 py-1 cyber-button rounded-md text-white">
+              Save
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookmarksPanel;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { useStore } from '../../state/useStore';
+import { CAMERA_MODES } from '../Camera/CameraController';
+
+const MODE_LABELS = {
+  orbit: 'Orbit',
+  chase: 'Chase',
+  firstPerson: 'FPV',
+  cinematic: 'Cinematic',
+};
+
+// Camera mode switcher (hotkeys 1-4, C cycles)
+const CameraModeToggle = () => {
+  const cameraMode = useStore(state => state.cameraMode);
+  const setCameraMode = useStore(state => state.setCameraMode);
+
+  return (
+    <div className="absolute top-16 right-14 flex space-x-1 text-xs font-mono">
+      {CAMERA_MODES.map((mode, index) => (
+        <button
+          key={mode}
+          className={`pointer-events-auto px-2 py-1 cyber-button rounded-md ${
+            mode === cameraMode ? 'text-fuchsia-300 neon-text-pink' : 'text-cyan-400 opacity-70'
+          }`}
+          title={`Camera: ${MODE_LABELS[mode]} (${index + 1})`}
+          onClick={() => setCameraMode(mode)}
+        >
+          {index + 1} {MODE_LABELS[mode]}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default CameraModeToggle;
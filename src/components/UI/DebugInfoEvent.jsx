@@ -3,10 +3,23 @@ import * as THREE from 'three';
 import { useThree } from '@react-three/fiber';
 import { useStore } from '../../state/useStore';
 import { useEventSystem, EVENT_TYPES, useEventListener } from '../../systems/EventSystem';
+import { RENDER_PIPELINES } from '../../utils/renderPipelines';
+import { QUALITY_TIERS } from '../../utils/qualityTiers';
 
 // This component will be rendered outside the Canvas
 const DebugInfoEvent = () => {
-  const { debugMode, dronePosition } = useStore();
+  const {
+    debugMode,
+    dronePosition,
+    renderPipeline,
+    setRenderPipeline,
+    qualityTier,
+    setQualityTier,
+    autoQuality,
+    setAutoQuality,
+    postEffects,
+    setPostEffect
+  } = useStore();
   
   // Use state for rendering - but only update it when we receive events
   const [debugInfo, setDebugInfo] = useState({
@@ -16,19 +29,39 @@ const DebugInfoEvent = () => {
     triangles: 0,
     textures: 0,
     geometries: 0,
+    frameTime: 0,
+    resolutionScale: 1,
     cameraPos: [0, 0, 0],
     // SpatialManager metrics
     culledObjects: 0,
     visibleObjects: 0,
-    lodChanges: 0
+    lodChanges: 0,
+    sectors: 0,
+    visibleSectors: 0,
+    occludedSectors: 0,
+    occludedObjects: 0,
+    // Event bus throughput
+    eventsPerSecond: 0,
+    lastEvent: '-'
+  });
+  
+  // Count every event on the bus without re-rendering per event
+  const eventCountRef = useRef(0);
+  const lastEventRef = useRef('-');
+  useEventListener('*', (data) => {
+    eventCountRef.current++;
+    lastEventRef.current = data.type;
   });
   
   // Listen to performance metrics events
   useEventListener('performance:metrics', (data) => {
     setDebugInfo(prev => ({
       ...prev,
-      fps: data.fps || prev.fps
+      fps: data.fps || prev.fps,
+      eventsPerSecond: eventCountRef.current,
+      lastEvent: lastEventRef.current
     }));
+    eventCountRef.current = 0;
   });
   
   // Listen to drone position events
@@ -60,13 +93,15 @@ const DebugInfoEvent = () => {
   });
   
   // Listen to renderer stats events
-  useEventListener('renderer:stats', (data) => {
+  useEventListener(EVENT_TYPES.RENDERER_STATS, (data) => {
     setDebugInfo(prev => ({
       ...prev,
       drawCalls: data.drawCalls || prev.drawCalls,
       triangles: data.triangles || prev.triangles,
       textures: data.textures || prev.textures,
-      geometries: data.geometries || prev.geometries
+      geometries: data.geometries || prev.geometries,
+      frameTime: data.frameTime ?? prev.frameTime,
+      resolutionScale: data.resolutionScale ?? prev.resolutionScale
     }));
   });
   
@@ -76,7 +111,11 @@ const DebugInfoEvent = () => {
       ...prev,
       culledObjects: data.culledObjects || prev.culledObjects,
       visibleObjects: data.visibleObjects || prev.visibleObjects,
-      lodChanges: data.lodChanges || prev.lodChanges
+      lodChanges: data.lodChanges || prev.lodChanges,
+      sectors: data.sectors ?? prev.sectors,
+      visibleSectors: data.visibleSectors ?? prev.visibleSectors,
+      occludedSectors: data.occludedSectors ?? prev.occludedSectors,
+      occludedObjects: data.occludedObjects ?? prev.occludedObjects
     }));
   });
   
@@ -129,8 +168,66 @@ const DebugInfoEvent = () => {
         <div>LOD Changes:</div>
         <div>{debugInfo.lodChanges}</div>
         
+        <div>City Sectors:</div>
+        <div>{debugInfo.visibleSectors} / {debugInfo.sectors} visible</div>
+        
+        <div>Occluded:</div>
+        <div>{debugInfo.occludedSectors} sectors, {debugInfo.occludedObjects} meshes</div>
+        
         <div className="mt-2 font-bold text-cyan-400 col-span-2">Render Stats:</div>
         
+        <div>Pipeline:</div>
+        <div className="flex space-x-1">
+          {Object.keys(RENDER_PIPELINES).map(name => (
+            <button
+              key={name}
+              className={`px-1 rounded ${name === renderPipeline ? 'bg-cyan-700' : 'bg-gray-700'}`}
+              onClick={() => setRenderPipeline(name)}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        
+        <div>Quality:</div>
+        <div className="flex flex-wrap gap-1">
+          <button
+            className={`px-1 rounded ${autoQuality ? 'bg-cyan-700' : 'bg-gray-700'}`}
+            onClick={() => setAutoQuality(!autoQuality)}
+          >
+            auto
+          </button>
+          {QUALITY_TIERS.map(tier => (
+            <button
+              key={tier}
+              className={`px-1 rounded ${tier === qualityTier ? 'bg-cyan-700' : 'bg-gray-700'}`}
+              onClick={() => {
+                // Picking a tier by hand pins it
+                setAutoQuality(false);
+                setQualityTier(tier);
+              }}
+            >
+              {tier}
+            </button>
+          ))}
+        </div>
+        
+        <div>Effects:</div>
+        <div className="flex flex-wrap gap-1">
+          {postEffects.map(entry => (
+            <button
+              key={entry.type}
+              className={`px-1 rounded ${entry.enabled ? 'bg-cyan-700' : 'bg-gray-700'}`}
+              onClick={() => setPostEffect(entry.type, { enabled: !entry.enabled })}
+            >
+              {entry.type}
+            </button>
+          ))}
+        </div>
+        
+        <div>Render Time:</div>
+        <div>{debugInfo.frameTime.toFixed(2)} ms @ {Math.round(debugInfo.resolutionScale * 100)}%</div>
+        
         <div>Draw Calls:</div>
         <div>{debugInfo.drawCalls}</div>
         
@@ -139,6 +236,14 @@ const DebugInfoEvent = () => {
         
         <div>Textures:</div>
         <div>{debugInfo.textures}</div>
+        
+        <div className="mt-2 font-bold text-cyan-400 col-span-2">Event Bus:</div>
+        
+        <div>Events/s:</div>
+        <div>{debugInfo.eventsPerSecond}</div>
+        
+        <div>Last Event:</div>
+        <div>{debugInfo.lastEvent}</div>
       </div>
       
       <div className="mt-2 text-xs text-gray-400">Press H for controls</div>
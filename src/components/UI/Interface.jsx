@@ -3,6 +3,10 @@ import { useStore } from '../../state/useStore';
 import ProjectOverlay from './ProjectOverlay';
 import NavigationHUD from './NavigationHUD';
 import ControlsHelp from './ControlsHelp';
+import TourControls from './TourControls';
+import CameraModeToggle from './CameraModeToggle';
+import BookmarksPanel from './BookmarksPanel';
+import SoundControls from './SoundControls';
 
 const Interface = () => {
   const { isOverlayVisible, overlayContent, activeHotspotId, hideOverlay } = useStore();
@@ -42,6 +46,18 @@ const Interface = () => {
       {/* Navigation HUD */}
       <NavigationHUD activeHotspotId={activeHotspotId} />
       
+      {/* Camera mode switcher */}
+      <CameraModeToggle />
+      
+      {/* Camera bookmarks and authored viewpoints */}
+      <BookmarksPanel />
+      
+      {/* Autopilot tour controls */}
+      <TourControls />
+      
+      {/* Mute toggle and volume */}
+      <SoundControls />
+      
       {/* Controls help overlay */}
       {showControls && <ControlsHelp />}
       
@@ -77,9 +93,6 @@ const Interface = () => {
         </button>
       </nav>
       
-      {/* Scanline element (additional to global scanlines) for stronger effect */}
-      <div className="scanline"></div>
-      
       {/* A simple HUD element to indicate connection status */}
       <div className="absolute bottom-16 left-4 text-xs cyber-container text-green-400 px-2 py-1 flex items-center">
         <div className="w-2 h-2 bg-green-500 rounded-full mr-2 animate-pulse"></div>
@@ -0,0 +1,36 @@
+import React from 'react';
+import { useStore } from '../../state/useStore';
+
+// Mute toggle and master volume slider (both persisted with the session)
+const SoundControls = () => {
+  const soundEnabled = useStore(state => state.soundEnabled);
+  const volume = useStore(state => state.volume);
+  const toggleSound = useStore(state => state.toggleSound);
+  const setVolume = useStore(state => state.setVolume);
+
+  return (
+    <div className="absolute bottom-6 left-4 cyber-container flex items-center space-x-2 px-2 py-1 text-xs font-mono text-cyan-400">
+      <button
+        className="pointer-events-auto px-2 py-1 cyber-button rounded-md"
+        title={soundEnabled ? 'Mute sound' : 'Enable sound'}
+        onClick={() => toggleSound()}
+      >
+        {soundEnabled ? 'SOUND' : 'MUTED'}
+      </button>
+      <input
+        type="range"
+        className="pointer-events-auto w-24"
+        min={0}
+        max={1}
+        step={0.05}
+        value={volume}
+        disabled={!soundEnabled}
+        aria-label="Volume"
+        onChange={(e) => setVolume(parseFloat(e.target.value))}
+      />
+      <span className="w-8 text-right">{Math.round(volume * 100)}%</span>
+    </div>
+  );
+};
+
+export default SoundControls;
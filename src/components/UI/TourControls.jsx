@@ -0,0 +1,68 @@
+import React from 'react';
+import { useStore } from '../../state/useStore';
+import { getTourStops } from '../../utils/navigationUtils';
+
+// Autopilot tour controls: start, pause/resume, skip and stop
+const TourControls = () => {
+  const {
+    tour,
+    tourOrder,
+    projects,
+    startTour,
+    pauseTour,
+    resumeTour,
+    skipTourStop,
+    stopTour,
+  } = useStore();
+
+  const stops = getTourStops(projects, tourOrder);
+  if (stops.length === 0) return null;
+
+  if (tour.status === 'idle') {
+    return (
+      <div className="absolute bottom-6 left-1/2 -translate-x-1/2">
+        <button
+          className="pointer-events-auto px-4 py-2 cyber-button rounded-md text-white"
+          onClick={() => startTour()}
+        >
+          ▶ Autopilot Tour
+        </button>
+      </div>
+    );
+  }
+
+  const currentStop = stops[Math.min(tour.index, stops.length - 1)];
+  const isPlaying = tour.status === 'playing';
+
+  return (
+    <div className="absolute bottom-6 left-1/2 -translate-x-1/2 text-cyan-500 font-mono">
+      <div className="cyber-container px-4 py-2 rounded-lg flex items-center space-x-3">
+        <span className="text-xs opacity-70">AUTOPILOT</span>
+        <span className="text-xs text-cyan-300">
+          {Math.min(tour.index + 1, stops.length)}/{stops.length}
+        </span>
+        <span className="neon-text text-sm max-w-[12rem] truncate">{currentStop.title}</span>
+        <button
+          className="pointer-events-auto px-3 py-1 cyber-button rounded-md text-white text-sm"
+          onClick={() => (isPlaying ? pauseTour() : resumeTour())}
+        >
+          {isPlaying ? '❚❚ Pause' : '▶ Play'}
+        </button>
+        <button
+          className="pointer-events-auto px-3 py-1 cyber-button rounded-md text-white text-sm"
+          onClick={() => skipTourStop()}
+        >
+          ⏭ Skip
+        </button>
+        <button
+          className="pointer-events-auto px-3 py-1 cyber-button rounded-md text-white text-sm"
+          onClick={() => stopTour()}
+        >
+          ■ Stop
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TourControls;
@@ -7,6 +7,7 @@ import { useEffect, useRef, useState } from 'react';
  * @param {boolean} options.autoplay - Whether to autoplay audio (default: false)
  * @param {number} options.volume - Initial volume (0-1, default: 0.5)
  * @param {boolean} options.loop - Whether to loop audio (default: true)
+ * @param {Function} options.onVolumeChange - Called with the new master volume whenever setVolume changes it
  * @returns {Object} Audio controls and state
  */
 const useAudio = (options = {}) => {
@@ -14,6 +15,7 @@ const useAudio = (options = {}) => {
     autoplay = false,
     volume = 0.5,
     loop = true,
+    onVolumeChange,
   } = options;
 
   // State and refs
@@ -191,6 +193,7 @@ const useAudio = (options = {}) => {
   const setVolume = (value) => {
     const newVolume = Math.max(0, Math.min(1, value));
     setCurrentVolume(newVolume);
+    if (onVolumeChange) onVolumeChange(newVolume);
 
     if (audioContextRef.current && gainNodeRef.current) {
       // Apply volume respecting mute state
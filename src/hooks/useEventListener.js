@@ -4,7 +4,7 @@ import { useEventSystem, PRIORITY } from '../systems/EventSystem';
 /**
  * Custom hook to easily subscribe to event system events
  * 
- * @param {string|string[]} eventTypes - Event type or array of event types to listen for
+ * @param {string|string[]} eventTypes - Event type, wildcard pattern ('drone:*', '*') or an array of them
  * @param {function} callback - Callback function to execute when event occurs
  * @param {object} options - Options for the event listener
  * @param {number} options.priority - Event priority (default: PRIORITY.MEDIUM)
@@ -100,7 +100,9 @@ export const useEventListener = (eventTypes, callback, options = {}) => {
  * Custom hook to emit events with proper typing and error handling
  * 
  * @param {string} eventType - Default event type to emit
- * @returns {function} Function to emit events with optional custom type
+ * @returns {function} Function to emit events with optional custom type. It
+ *   returns the dispatched event context from emit (truthy), or false if the
+ *   event was dropped or failed
  */
 export const useEventEmitter = (defaultEventType) => {
   const emit = useEventSystem(state => state.emit);
@@ -0,0 +1,15 @@
+import { useStore } from '../state/useStore';
+import { getQualitySettings } from '../utils/qualityTiers';
+
+/**
+ * Settings for the current quality tier. Components re-render when the tier
+ * changes, so effects can scale themselves from the returned values.
+ *
+ * @returns {Object} Tier settings (see QUALITY_TIER_SETTINGS)
+ */
+export const useQualitySettings = () => {
+  const qualityTier = useStore(state => state.qualityTier);
+  return getQualitySettings(qualityTier);
+};
+
+export default useQualitySettings;
@@ -0,0 +1,135 @@
+import { persist, createJSONStorage } from 'zustand/middleware';
+import { Vector3 } from 'three';
+import { RENDER_PIPELINES } from '../utils/renderPipelines';
+
+export const PERSIST_KEY = 'cyberfolio-session';
+
+// Bump when the persisted shape changes and add a migration for the new version
+export const PERSIST_VERSION = 1;
+
+// Migrations keyed by the version they upgrade *to*. Each receives the state
+// persisted under the previous version and returns the upgraded state.
+export const PERSIST_MIGRATIONS = {
+  // Version 0 is anything written before versioning existed - keep only known keys
+  1: (state) => ({
+    soundEnabled: typeof state.soundEnabled === 'boolean' ? state.soundEnabled : true,
+    debugMode: typeof state.debugMode === 'boolean' ? state.debugMode : true,
+    volume: typeof state.volume === 'number' ? state.volume : 0.5,
+    dronePosition: Array.isArray(state.dronePosition) ? state.dronePosition : null,
+    cameraPose: state.cameraPose || null,
+    visitedHotspotIds: Array.isArray(state.visitedHotspotIds) ? state.visitedHotspotIds : [],
+    keyBindings: {},
+    bookmarks: [],
+    renderPipeline: 'composer',
+    qualityTier: 'high',
+    autoQuality: true,
+  }),
+};
+
+export const migratePersistedState = (persistedState, fromVersion) => {
+  let state = persistedState || {};
+  for (let version = fromVersion + 1; version <= PERSIST_VERSION; version++) {
+    const migration = PERSIST_MIGRATIONS[version];
+    if (migration) {
+      state = migration(state);
+    }
+  }
+  return state;
+};
+
+// Writes waiting on their debounce timer, by storage key
+const pendingWrites = new Map();
+let flushListenersAdded = false;
+
+const writeItem = (name, value) => {
+  try {
+    window.localStorage.setItem(name, value);
+  } catch (error) {
+    console.warn('Failed to persist session state:', error);
+  }
+};
+
+// Write everything still waiting on its timer right away
+const flushPendingWrites = () => {
+  pendingWrites.forEach(({ timer, value }, name) => {
+    clearTimeout(timer);
+    writeItem(name, value);
+  });
+  pendingWrites.clear();
+};
+
+// Drone position changes every frame while flying, so batch writes to localStorage
+const createDebouncedStorage = (delay = 500) => {
+  // Throwing here makes createJSONStorage skip persistence (e.g. headless tests)
+  if (typeof window === 'undefined' || !window.localStorage) {
+    throw new Error('localStorage is not available');
+  }
+  // Closing or backgrounding the tab may never fire the timers, so flush first.
+  // Shared by every storage wrapper, so the listeners only go on once.
+  if (!flushListenersAdded) {
+    flushListenersAdded = true;
+    window.addEventListener('pagehide', flushPendingWrites);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushPendingWrites();
+    });
+  }
+  return {
+    getItem: (name) => window.localStorage.getItem(name),
+    setItem: (name, value) => {
+      if (pendingWrites.has(name)) clearTimeout(pendingWrites.get(name).timer);
+      const timer = setTimeout(() => {
+        pendingWrites.delete(name);
+        writeItem(name, value);
+      }, delay);
+      pendingWrites.set(name, { timer, value });
+    },
+    removeItem: (name) => {
+      if (pendingWrites.has(name)) {
+        clearTimeout(pendingWrites.get(name).timer);
+        pendingWrites.delete(name);
+      }
+      window.localStorage.removeItem(name);
+    },
+  };
+};
+
+// Only preferences and session position are persisted; everything else is runtime state
+const partialize = (state) => ({
+  soundEnabled: state.soundEnabled,
+  debugMode: state.debugMode,
+  volume: state.volume,
+  dronePosition: state.dronePosition ? state.dronePosition.toArray() : null,
+  cameraPose: state.cameraPose,
+  visitedHotspotIds: state.visitedHotspotIds,
+  keyBindings: state.keyBindings,
+  bookmarks: state.bookmarks,
+  renderPipeline: state.renderPipeline,
+  qualityTier: state.qualityTier,
+  autoQuality: state.autoQuality,
+});
+
+// Revive THREE types when rehydrating into the live store
+const merge = (persistedState, currentState) => {
+  const { dronePosition, renderPipeline, ...rest } = persistedState || {};
+  return {
+    ...currentState,
+    ...rest,
+    dronePosition: Array.isArray(dronePosition)
+      ? new Vector3().fromArray(dronePosition)
+      : currentState.dronePosition,
+    // A pipeline saved before it was unlisted (e.g. 'manager') falls back to the default
+    renderPipeline: RENDER_PIPELINES[renderPipeline] ? renderPipeline : currentState.renderPipeline,
+  };
+};
+
+// Store middleware hook (see createAppStore) that persists user preferences and session state
+export const persistMiddleware = (config) => persist(config, {
+  name: PERSIST_KEY,
+  version: PERSIST_VERSION,
+  storage: createJSONStorage(() => createDebouncedStorage()),
+  partialize,
+  merge,
+  migrate: migratePersistedState,
+});
+
+export default persistMiddleware;
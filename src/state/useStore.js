@@ -1,126 +1,389 @@
-import {create} from 'zustand';
-import { Vector3, Box3 } from 'three';
+import { create } from 'zustand';
+import { devtools, subscribeWithSelector } from 'zustand/middleware';
+import { Vector3 } from 'three';
+import { useEventSystem, EVENT_TYPES } from '../systems/EventSystem';
+import { persistMiddleware } from './persistence';
+import { DEFAULT_POST_EFFECTS } from '../utils/postProcessing';
+import { RENDER_PIPELINES, DEFAULT_RENDER_PIPELINE } from '../utils/renderPipelines';
 
-const useStore = create((set, get) => ({
+// Emit through the shared event system so every state change is observable
+const emit = (eventType, data = {}) => useEventSystem.getState().emit(eventType, data);
+
+// Update the tour state and announce it
+const setTour = (set, get, changes) => {
+  const previous = get().tour;
+  const tour = { ...previous, ...changes };
+  set({ tour });
+  emit(EVENT_TYPES.TOUR_STATE, {
+    status: tour.status,
+    index: tour.index,
+    previousStatus: previous.status,
+  });
+};
+
+// Fallback projects used when /data/projects.json is unavailable. Positions
+// match projects.json so the hotspots still appear in the city.
+export const DEFAULT_PROJECTS = [
+  {
+    id: 'project1',
+    title: 'Web Development',
+    description: 'Frontend and backend development using modern frameworks',
+    technologies: ['React', 'Node.js', 'Three.js'],
+    image: '/images/project1.jpg',
+    url: 'https://example.com/project1',
+    position: [25, 5, 25]
+  },
+  {
+    id: 'project2',
+    title: 'Mobile App',
+    description: 'Cross-platform mobile applications',
+    technologies: ['React Native', 'Flutter', 'Firebase'],
+    image: '/images/project2.jpg',
+    url: 'https://example.com/project2',
+    position: [-25, 5, 25]
+  },
+  {
+    id: 'project3',
+    title: '3D Modeling',
+    description: 'Creating immersive 3D experiences',
+    technologies: ['Blender', 'Three.js', 'WebGL'],
+    image: '/images/project3.jpg',
+    url: 'https://example.com/project3',
+    position: [25, 5, -25]
+  },
+  {
+    id: 'project4',
+    title: 'AI Projects',
+    description: 'Intelligent solutions using machine learning',
+    technologies: ['TensorFlow', 'PyTorch', 'OpenAI'],
+    image: '/images/project4.jpg',
+    url: 'https://example.com/project4',
+    position: [-25, 5, -25]
+  },
+  {
+    id: 'project5',
+    title: 'Central Hub',
+    description: 'Central showcase of all available projects and capabilities',
+    technologies: ['Three.js', 'React', 'GSAP', 'WebGL'],
+    image: '/images/central.jpg',
+    url: 'https://example.com/hub',
+    position: [0, 5, 40]
+  }
+];
+
+// Store state and actions - every action emits its matching EVENT_TYPES event
+const storeConfig = (set, get) => ({
   // Application state
   isLoading: true,
   debugMode: true, // Set to true for development
   assets: null, // Store for loaded assets
-  
+
   // Drone position (simplified from main.js approach)
   dronePosition: new Vector3(0, 15, 0),
-  
+
   // City and collision boundaries
   cityBounds: null,  // Will be set when the city model loads
-  
+
   // UI state
   activeHotspotId: null,
   isOverlayVisible: false,
   overlayContent: null,
-  
+
+  // Camera pose { position: [x, y, z], target: [x, y, z] }, restored on the next visit
+  cameraPose: null,
+
+  // Camera mode: 'orbit', 'chase', 'firstPerson' or 'cinematic'
+  cameraMode: 'orbit',
+
+  // Hotspots the visitor has opened at least once
+  visitedHotspotIds: [],
+
+  // Flight: 'click' (point-and-click / autopilot) or 'manual' (keyboard / gamepad)
+  flightMode: 'click',
+
+  // Key binding overrides { action: [KeyboardEvent.code, ...] }, merged over DEFAULT_KEY_BINDINGS
+  keyBindings: {},
+
+  // Guided tour: status is 'idle', 'playing' or 'paused'; index points into the tour stops
+  tour: { status: 'idle', index: 0 },
+  // Project ids in tour order; null visits projects in projects.json order
+  tourOrder: null,
+
+  // Render pipeline name from utils/renderPipelines' RENDER_PIPELINES
+  renderPipeline: DEFAULT_RENDER_PIPELINE,
+
+  // Quality tier from utils/qualityTiers; autoQuality lets the governor pick it from measured FPS
+  qualityTier: 'high',
+  autoQuality: true,
+
+  // Ordered post-processing stack [{ type, enabled, ...params }] (see utils/postProcessing)
+  postEffects: DEFAULT_POST_EFFECTS,
+
   // Audio state
   soundEnabled: true,
-  
+  volume: 0.5,
+
   // Projects data
   projects: [],
-  
+
+  // Camera bookmarks { id, name, position: [x, y, z], target: [x, y, z], fov }.
+  // `viewpoints` ship with projects.json; `bookmarks` are saved by the visitor.
+  viewpoints: [],
+  bookmarks: [],
+
   // Actions
-  setLoading: (isLoading) => set({ isLoading }),
-  toggleDebugMode: () => set((state) => ({ debugMode: !state.debugMode })),
-  
+  setLoading: (isLoading) => {
+    if (get().isLoading === isLoading) return;
+    set({ isLoading });
+    emit(EVENT_TYPES.APP_LOADING_CHANGED, { isLoading });
+  },
+
+  toggleDebugMode: () => {
+    const debugMode = !get().debugMode;
+    set({ debugMode });
+    emit(EVENT_TYPES.DEBUG_MODE, { debugMode });
+  },
+
   // Set assets once loaded
-  setAssets: (assets) => set({ assets }),
-  
+  setAssets: (assets) => {
+    set({ assets });
+    if (assets) {
+      emit(EVENT_TYPES.ASSET_LOAD_COMPLETE, {
+        type: 'assets',
+        assetCount: Object.keys(assets).length
+      });
+    }
+  },
+
   // Simplified drone position update
-  updateDronePosition: (position) => set({ dronePosition: position }),
-  
-  setCityBounds: (bounds) => set({ cityBounds: bounds }),
-  
-  // UI actions
-  setActiveHotspot: (id) => set({ activeHotspotId: id }),
-  showOverlay: (content) => set({ isOverlayVisible: true, overlayContent: content }),
-  hideOverlay: () => set({ isOverlayVisible: false }),
-  
+  updateDronePosition: (position) => {
+    const previousPosition = get().dronePosition;
+    set({ dronePosition: position });
+    emit(EVENT_TYPES.DRONE_POSITION, {
+      previousPosition,
+      newPosition: position
+    });
+  },
+
+  setCityBounds: (bounds) => {
+    set({ cityBounds: bounds });
+    emit(EVENT_TYPES.CITY_BOUNDS, { bounds });
+  },
+
+  // UI actions. `details` (position, projectData) is forwarded on the select event.
+  setActiveHotspot: (id, details = {}) => {
+    const previousId = get().activeHotspotId;
+    if (previousId === id) return;
+    const { visitedHotspotIds } = get();
+    set({
+      activeHotspotId: id,
+      visitedHotspotIds: id && !visitedHotspotIds.includes(id)
+        ? [...visitedHotspotIds, id]
+        : visitedHotspotIds,
+    });
+    if (previousId) {
+      emit(EVENT_TYPES.HOTSPOT_DESELECT, { id: previousId });
+    }
+    if (id) {
+      emit(EVENT_TYPES.HOTSPOT_SELECT, { id, ...details });
+    }
+  },
+
+  showOverlay: (content) => {
+    set({ isOverlayVisible: true, overlayContent: content });
+    emit(EVENT_TYPES.UI_OVERLAY_SHOW, { content });
+  },
+
+  hideOverlay: () => {
+    if (!get().isOverlayVisible) return;
+    set({ isOverlayVisible: false });
+    emit(EVENT_TYPES.UI_OVERLAY_HIDE, {});
+  },
+
+  setCameraPose: (pose) => set({ cameraPose: pose }),
+
+  setCameraMode: (mode) => {
+    const previousMode = get().cameraMode;
+    if (previousMode === mode) return;
+    set({ cameraMode: mode });
+    emit(EVENT_TYPES.CAMERA_MODE, { mode, previousMode });
+  },
+
+  setFlightMode: (mode) => {
+    const previousMode = get().flightMode;
+    if (previousMode === mode) return;
+    set({ flightMode: mode });
+    emit(EVENT_TYPES.DRONE_FLIGHT_MODE, { mode, previousMode });
+  },
+
+  // Rebind a flight action; pass null to restore its default keys
+  setKeyBinding: (action, codes) => {
+    const { [action]: _previous, ...keyBindings } = get().keyBindings;
+    set({ keyBindings: codes ? { ...keyBindings, [action]: codes } : keyBindings });
+  },
+
+  resetKeyBindings: () => set({ keyBindings: {} }),
+
+  // Tour controls - the TourSystem reacts to these and drives the drone, camera and overlay
+  startTour: (index = 0) => setTour(set, get, { status: 'playing', index }),
+
+  pauseTour: () => {
+    if (get().tour.status !== 'playing') return;
+    setTour(set, get, { status: 'paused' });
+  },
+
+  resumeTour: () => {
+    if (get().tour.status !== 'paused') return;
+    setTour(set, get, { status: 'playing' });
+  },
+
+  skipTourStop: () => {
+    const { tour } = get();
+    if (tour.status === 'idle') return;
+    setTour(set, get, { index: tour.index + 1 });
+  },
+
+  stopTour: () => {
+    if (get().tour.status === 'idle') return;
+    setTour(set, get, { status: 'idle', index: 0 });
+  },
+
+  setTourOrder: (tourOrder) => set({ tourOrder }),
+
+  addBookmark: (bookmark) => {
+    const id = bookmark.id || `bookmark-${Date.now().toString(36)}`;
+    set({ bookmarks: [...get().bookmarks.filter(entry => entry.id !== id), { ...bookmark, id }] });
+    return id;
+  },
+
+  removeBookmark: (id) => set({ bookmarks: get().bookmarks.filter(entry => entry.id !== id) }),
+
+  setRenderPipeline: (name) => {
+    const previous = get().renderPipeline;
+    if (previous === name) return;
+    if (!RENDER_PIPELINES[name]) {
+      console.warn(`Unknown render pipeline "${name}"`);
+      return;
+    }
+    set({ renderPipeline: name });
+    emit(EVENT_TYPES.RENDER_PIPELINE, { name, previous });
+  },
+
+  // `reason` is 'governor' for automatic changes, 'user' when picked by hand
+  setQualityTier: (tier, reason = 'user') => {
+    const previousTier = get().qualityTier;
+    if (previousTier === tier) return;
+    set({ qualityTier: tier });
+    emit(EVENT_TYPES.QUALITY_TIER, { tier, previousTier, reason });
+  },
+
+  setAutoQuality: (autoQuality) => set({ autoQuality }),
+
+  // Toggle or tune one pass, e.g. setPostEffect('filmGrain', { enabled: false })
+  setPostEffect: (type, changes) => set({
+    postEffects: get().postEffects.map(entry => (entry.type === type ? { ...entry, ...changes } : entry))
+  }),
+
+  // Reorder the stack; types left out keep their relative order at the end
+  setPostEffectOrder: (types) => {
+    const postEffects = get().postEffects;
+    const ordered = types
+      .map(type => postEffects.find(entry => entry.type === type))
+      .filter(Boolean);
+    set({ postEffects: [...ordered, ...postEffects.filter(entry => !types.includes(entry.type))] });
+  },
+
   // Audio controls
-  toggleSound: () => set((state) => ({ soundEnabled: !state.soundEnabled })),
-  
+  toggleSound: () => {
+    const soundEnabled = !get().soundEnabled;
+    set({ soundEnabled });
+    emit(EVENT_TYPES.AUDIO_TOGGLE, { enabled: soundEnabled });
+  },
+
+  setVolume: (volume) => set({ volume: Math.max(0, Math.min(1, volume)) }),
+
   // Check if a position is inside city bounds
   isInCityBounds: (position) => {
     const { cityBounds } = get();
     if (!cityBounds) return true; // If bounds not set yet, allow movement
-    
-    return (
+
+    const isInBounds = (
       position.x >= cityBounds.min.x && position.x <= cityBounds.max.x &&
       position.y >= cityBounds.min.y && position.y <= cityBounds.max.y &&
       position.z >= cityBounds.min.z && position.z <= cityBounds.max.z
     );
+
+    if (!isInBounds) {
+      emit(EVENT_TYPES.DRONE_OUT_OF_BOUNDS, { position, bounds: cityBounds });
+    }
+
+    return isInBounds;
   },
-  
-  // Load projects from predefined data (fallback if JSON not available)
+
+  // Load projects from JSON, falling back to DEFAULT_PROJECTS
   loadProjects: async () => {
+    emit(EVENT_TYPES.ASSET_LOAD_START, { type: 'projects' });
+
     try {
       // Try to fetch from a JSON file
       const response = await fetch('/data/projects.json');
-      
+
       if (response.ok) {
-        const projects = await response.json();
-        set({ projects });
+        // Either a plain array of projects or { projects, viewpoints }
+        const data = await response.json();
+        const projects = Array.isArray(data) ? data : data.projects || [];
+        const viewpoints = Array.isArray(data?.viewpoints) ? data.viewpoints : [];
+        set({ projects, viewpoints });
+        emit(EVENT_TYPES.ASSET_LOAD_COMPLETE, {
+          type: 'projects',
+          count: projects.length
+        });
       } else {
         // Use default projects if JSON file not found
         console.warn('Projects JSON not found, using default projects');
-        
-        const defaultProjects = [
-          {
-            id: 'project1',
-            title: 'Web Development',
-            description: 'Frontend and backend development using modern frameworks',
-            technologies: ['React', 'Node.js', 'Three.js'],
-            image: '/images/project1.jpg',
-            url: 'https://example.com/project1'
-          },
-          {
-            id: 'project2',
-            title: 'Mobile App',
-            description: 'Cross-platform mobile applications',
-            technologies: ['React Native', 'Flutter', 'Firebase'],
-            image: '/images/project2.jpg',
-            url: 'https://example.com/project2'
-          },
-          {
-            id: 'project3',
-            title: '3D Modeling',
-            description: 'Creating immersive 3D experiences',
-            technologies: ['Blender', 'Three.js', 'WebGL'],
-            image: '/images/project3.jpg',
-            url: 'https://example.com/project3'
-          },
-          {
-            id: 'project4',
-            title: 'AI Projects',
-            description: 'Intelligent solutions using machine learning',
-            technologies: ['TensorFlow', 'PyTorch', 'OpenAI'],
-            image: '/images/project4.jpg',
-            url: 'https://example.com/project4'
-          },
-          {
-            id: 'project5',
-            title: 'Central Hub',
-            description: 'Central showcase of all available projects and capabilities',
-            technologies: ['Three.js', 'React', 'GSAP', 'WebGL'],
-            image: '/images/central.jpg',
-            url: 'https://example.com/hub'
-          }
-        ];
-        
-        set({ projects: defaultProjects });
+        set({ projects: DEFAULT_PROJECTS });
+        emit(EVENT_TYPES.ASSET_LOAD_COMPLETE, {
+          type: 'projects',
+          count: DEFAULT_PROJECTS.length,
+          isDefault: true
+        });
       }
     } catch (error) {
       console.error('Failed to load projects', error);
-      
+
       // Set empty projects array on error
       set({ projects: [] });
+      emit(EVENT_TYPES.ASSET_LOAD_ERROR, {
+        type: 'projects',
+        error: error.message
+      });
     }
   },
-}));
+});
+
+// Only connect devtools when the browser extension is actually present
+const devtoolsMiddleware = (config) => devtools(config, {
+  name: 'cyberfolio',
+  enabled: Boolean(import.meta.env?.DEV) && typeof window !== 'undefined' && !!window.__REDUX_DEVTOOLS_EXTENSION__,
+});
+
+/**
+ * Create the application store
+ *
+ * @param {Object} options - Store options
+ * @param {Function[]} options.middleware - Middleware hooks, outermost first. Each receives
+ *   the store config and returns a wrapped one, e.g. (config) => persist(config, opts)
+ * @returns {Function} Zustand store hook
+ */
+export const createAppStore = ({ middleware = [devtoolsMiddleware, persistMiddleware] } = {}) => {
+  const config = middleware.reduceRight(
+    (wrapped, applyMiddleware) => applyMiddleware(wrapped),
+    subscribeWithSelector(storeConfig)
+  );
+  return create(config);
+};
+
+const useStore = createAppStore();
 
-export { useStore };
\ No newline at end of file
+export { useStore };
+export default useStore;
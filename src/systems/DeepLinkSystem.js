@@ -0,0 +1,133 @@
+import { useEffect, useRef } from 'react';
+import { useStore } from '../state/useStore';
+import { useEventSystem, EVENT_TYPES } from './EventSystem';
+import { flyToProject } from '../utils/navigationUtils';
+import {
+  parseLocation,
+  buildProjectPath,
+  formatCameraHash,
+  findProjectBySlug,
+} from '../utils/deepLink';
+
+/**
+ * Keeps the browser URL and the store in sync:
+ * - /project/:slug opens that project and flies the drone and camera to it
+ * - back/forward moves between visited hotspots
+ * - #cam=x,y,z;tx,ty,tz restores an exact camera view
+ * Mount once, outside the Canvas.
+ */
+const DeepLinkSystem = () => {
+  const projects = useStore(state => state.projects);
+  const isLoading = useStore(state => state.isLoading);
+  const initialRouteAppliedRef = useRef(false);
+  // Set while applying a URL so the resulting store changes don't push history
+  const applyingRouteRef = useRef(false);
+
+  // Apply a location (initial load or popstate) to the store and scene
+  const applyLocation = (location, initial) => {
+    const { slug, cameraPose } = parseLocation(location);
+    const state = useStore.getState();
+    applyingRouteRef.current = true;
+    try {
+      if (slug) {
+        const project = findProjectBySlug(state.projects, slug);
+        if (project) {
+          flyToProject(project, { source: 'deepLink', moveCamera: !cameraPose });
+        } else {
+          console.warn(`Deep link: no project with slug "${slug}"`);
+        }
+      } else if (!initial) {
+        state.hideOverlay();
+      }
+      if (cameraPose) {
+        useEventSystem.getState().emit(EVENT_TYPES.CAMERA_TARGET, {
+          position: cameraPose.position,
+          target: cameraPose.target,
+          duration: initial ? 0 : 1,
+        });
+      }
+    } finally {
+      applyingRouteRef.current = false;
+    }
+  };
+
+  // Navigate to a project path unless the URL already shows it
+  const pushPath = (path) => {
+    if (applyingRouteRef.current || window.location.pathname === path) return;
+    window.history.pushState({ path }, '', path);
+  };
+
+  // Apply the URL once the projects are known and the city has loaded
+  useEffect(() => {
+    if (initialRouteAppliedRef.current || isLoading || projects.length === 0) return;
+    initialRouteAppliedRef.current = true;
+    applyLocation(window.location, true);
+  }, [projects, isLoading]);
+
+  // Browser back/forward and manual hash edits
+  useEffect(() => {
+    const handlePopState = () => applyLocation(window.location, false);
+    const handleHashChange = () => {
+      const { cameraPose } = parseLocation(window.location);
+      if (cameraPose) {
+        useEventSystem.getState().emit(EVENT_TYPES.CAMERA_TARGET, { ...cameraPose, duration: 1 });
+      }
+    };
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('hashchange', handleHashChange);
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+      window.removeEventListener('hashchange', handleHashChange);
+    };
+  }, []);
+
+  // Store -> URL: selecting a hotspot or opening/closing the overlay updates the path
+  useEffect(() => {
+    const slugFor = (id) => {
+      const project = useStore.getState().projects.find(p => p.id === id);
+      return project ? project.slug || project.id : null;
+    };
+
+    const unsubscribeHotspot = useStore.subscribe(
+      state => state.activeHotspotId,
+      (id) => {
+        const slug = id ? slugFor(id) : null;
+        if (slug) pushPath(buildProjectPath(slug));
+      }
+    );
+
+    const unsubscribeOverlay = useStore.subscribe(
+      state => state.isOverlayVisible,
+      (isVisible) => {
+        const { overlayContent } = useStore.getState();
+        if (isVisible && overlayContent) {
+          const slug = overlayContent.slug || overlayContent.id;
+          if (slug) pushPath(buildProjectPath(slug));
+        } else if (!isVisible) {
+          pushPath(buildProjectPath(null));
+        }
+      }
+    );
+
+    // Keep the #cam hash pointing at the current view without adding history entries
+    const unsubscribeCamera = useStore.subscribe(
+      state => state.cameraPose,
+      (pose) => {
+        if (!pose || applyingRouteRef.current) return;
+        const url = `${window.location.pathname}${window.location.search}${formatCameraHash(pose)}`;
+        window.history.replaceState(window.history.state, '', url);
+      }
+    );
+
+    return () => {
+      unsubscribeHotspot();
+      unsubscribeOverlay();
+      unsubscribeCamera();
+    };
+  }, []);
+
+  // This component doesn't render anything
+  return null;
+};
+
+export default DeepLinkSystem;
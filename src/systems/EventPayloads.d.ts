@@ -0,0 +1,214 @@
+// Generated by scripts/generate-event-types.js from src/systems/EventSchemas.js.
+// Do not edit by hand; run `npm run types:events` after changing a schema.
+import type { Object3D, Raycaster, Vector2, Vector3 } from 'three';
+
+export interface EventPayloads {
+  'system:error': {
+    source?: string;
+    message?: string;
+    eventType?: string;
+    errors?: unknown[];
+  };
+  'app:loaded': {
+    timestamp?: number;
+  };
+  'app:loadingChanged': {
+    isLoading: boolean;
+  };
+  'app:debugMode': {
+    debugMode: boolean;
+  };
+  'drone:move': {
+    /** World-space destination */
+    targetPosition: Vector3;
+    /** What triggered the move (hotspot, ground, ...) */
+    source: string;
+    hotspotId?: string;
+  };
+  'drone:flyTo': {
+    /** Requested destination; the drone replies with drone:move */
+    targetPosition: Vector3 | [number, number, number];
+    source?: string;
+    hotspotId?: string;
+  };
+  'drone:path': {
+    /** Route the drone will follow, start to goal (Vector3[]) */
+    points: unknown[];
+    source?: string;
+  };
+  'drone:arrived': {
+    position: Vector3;
+    /** True when a building stopped the drone short of its target */
+    blocked?: boolean;
+  };
+  'drone:position': {
+    previousPosition?: Vector3;
+    newPosition: Vector3;
+  };
+  'drone:outOfBounds': {
+    position: Vector3;
+    bounds: Record<string, unknown>;
+  };
+  'drone:flightMode': {
+    /** click = point-and-click/autopilot, manual = keyboard/gamepad */
+    mode: "click" | "manual";
+    previousMode?: string;
+  };
+  'city:boundsUpdated': {
+    bounds: Record<string, unknown>;
+  };
+  'drone:collision': {
+    /** Drone position after being pushed out of the surface */
+    position: Vector3;
+    /** Contact normal pointing away from the surface */
+    normal: Vector3;
+    meshName?: string;
+  };
+  'camera:target': {
+    target: Vector3 | [number, number, number];
+    position?: Vector3 | [number, number, number];
+    duration?: number;
+    /** Vertical field of view to animate to */
+    fov?: number;
+  };
+  'camera:move': {
+    position?: Vector3;
+    mode?: string;
+  };
+  'camera:mode': {
+    mode: "orbit" | "chase" | "firstPerson" | "cinematic";
+    previousMode?: string;
+  };
+  'camera:playPath': {
+    /** Name in public/data/cameraPaths.json or an inline { keys } definition */
+    path: unknown;
+    /** Prefer "<path>:<variant>" when it exists (e.g. a project id) */
+    variant?: string;
+    /** World offset for relative paths */
+    origin?: Vector3 | [number, number, number];
+    /** Start from the current camera pose */
+    fromCurrent?: boolean;
+    /** { position, target, duration } used when the path is missing */
+    fallback?: Record<string, unknown>;
+  };
+  'camera:stopPath': Record<string, never>;
+  'camera:pathComplete': {
+    name: string;
+    interrupted?: boolean;
+  };
+  'camera:saveBookmark': {
+    /** Label for the current view; the camera adds it to the store bookmarks */
+    name: string;
+  };
+  'camera:position': {
+    position: Vector3;
+  };
+  'hotspot:hover': {
+    id: string;
+    position?: Vector3;
+    action: "enter" | "exit";
+  };
+  'hotspot:select': {
+    id: string;
+    position?: Vector3;
+    /** Entry from projects.json */
+    projectData?: Record<string, unknown>;
+  };
+  'hotspot:deselect': {
+    id: string;
+  };
+  'hotspot:listChanged': {
+    /** Ids of the projects placed as hotspots (string[]) */
+    ids: unknown[];
+    count: number;
+  };
+  'mouse:click': {
+    mouse?: Vector2;
+    raycaster?: Raycaster;
+    source?: string;
+  };
+  'key:press': {
+    key: string;
+    code: string;
+    altKey?: boolean;
+    ctrlKey?: boolean;
+    shiftKey?: boolean;
+    repeat?: boolean;
+    timestamp?: number;
+  };
+  'key:release': {
+    key: string;
+    code: string;
+    timestamp?: number;
+  };
+  'render:quality': {
+    quality: number;
+    isMoving?: boolean;
+  };
+  'render:qualityTier': {
+    tier: "potato" | "low" | "medium" | "high" | "ultra";
+    previousTier?: string;
+    /** 'governor' for automatic changes, 'user' when picked by hand */
+    reason?: string;
+  };
+  'render:pipeline': {
+    /** Pipeline name from utils/renderPipelines */
+    name: string;
+    previous?: string;
+  };
+  'renderer:stats': {
+    pipeline: string;
+    /** Rendered frames per second over the sample window */
+    fps: number;
+    /** Average CPU time (ms) spent in pipeline.render() */
+    frameTime: number;
+    /** Draw calls per frame, all passes included */
+    drawCalls: number;
+    triangles: number;
+    textures: number;
+    geometries: number;
+    resolutionScale: number;
+  };
+  'scene:objectAdded': {
+    object: Object3D;
+    options?: Record<string, unknown>;
+  };
+  'scene:objectRemoved': {
+    object: Object3D;
+  };
+  'asset:loadStart': {
+    type: string;
+  };
+  'asset:loadComplete': {
+    type: string;
+  };
+  'asset:loadError': {
+    type: string;
+    error?: string;
+  };
+  'ui:overlayShow': {
+    content: Record<string, unknown>;
+  };
+  'ui:overlayHide': Record<string, never>;
+  'audio:toggle': {
+    enabled: boolean;
+  };
+  'tour:stateChanged': {
+    status: "idle" | "playing" | "paused";
+    /** Current stop in the tour order */
+    index: number;
+    previousStatus?: string;
+  };
+  'performance:metrics': {
+    fps: number;
+    delta?: number;
+    time?: number;
+  };
+}
+
+export type EventType = keyof EventPayloads;
+
+/** Payload for a known event (extra keys allowed), or a free-form object for custom events */
+export type EventPayload<T extends string> = T extends EventType
+  ? EventPayloads[T] & Record<string, unknown>
+  : Record<string, unknown>;
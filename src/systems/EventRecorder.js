@@ -0,0 +1,262 @@
+import * as THREE from 'three';
+
+export const RECORDING_VERSION = 1;
+
+const MAX_DEPTH = 6;
+
+/**
+ * Convert an event payload into plain JSON-safe data.
+ * THREE math types are tagged so they can be revived; scene objects are
+ * reduced to a reference (uuid/name) since they cannot be rebuilt.
+ *
+ * @param {*} value - Payload or nested value
+ * @param {number} depth - Current recursion depth
+ * @returns {*} JSON-safe value
+ */
+export const serializePayload = (value, depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'function') return undefined;
+  if (typeof value !== 'object') return value;
+  if (depth > MAX_DEPTH) return { __type: 'Truncated' };
+
+  if (value.isVector3) return { __type: 'Vector3', x: value.x, y: value.y, z: value.z };
+  if (value.isVector2) return { __type: 'Vector2', x: value.x, y: value.y };
+  if (value.isQuaternion) {
+    return { __type: 'Quaternion', x: value.x, y: value.y, z: value.z, w: value.w };
+  }
+  if (value.isEuler) {
+    return { __type: 'Euler', x: value.x, y: value.y, z: value.z, order: value.order };
+  }
+  if (value.isColor) return { __type: 'Color', hex: value.getHex() };
+  if (value.isBox3) {
+    return {
+      __type: 'Box3',
+      min: serializePayload(value.min, depth + 1),
+      max: serializePayload(value.max, depth + 1),
+    };
+  }
+  if (value instanceof THREE.Raycaster) {
+    return {
+      __type: 'Raycaster',
+      origin: serializePayload(value.ray.origin, depth + 1),
+      direction: serializePayload(value.ray.direction, depth + 1),
+    };
+  }
+  if (value.isObject3D) return { __type: 'Object3D', uuid: value.uuid, name: value.name };
+
+  // Raw buffers and geometry would expand one index per key; keep a summary only
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    return { __type: 'Truncated', kind: value.constructor.name, length: value.length ?? value.byteLength };
+  }
+  if (value.isBufferAttribute || value.isInterleavedBufferAttribute) {
+    return { __type: 'Truncated', kind: 'BufferAttribute', count: value.count, itemSize: value.itemSize };
+  }
+  if (value.isBufferGeometry) {
+    const attributes = {};
+    Object.keys(value.attributes).forEach((name) => {
+      attributes[name] = value.attributes[name].count;
+    });
+    return {
+      __type: 'Truncated',
+      kind: 'BufferGeometry',
+      uuid: value.uuid,
+      attributes,
+      indexCount: value.index ? value.index.count : 0,
+    };
+  }
+
+  if (Array.isArray(value)) return value.map((item) => serializePayload(item, depth + 1));
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    const serialized = serializePayload(value[key], depth + 1);
+    if (serialized !== undefined) result[key] = serialized;
+  });
+  return result;
+};
+
+/**
+ * Revive a payload produced by serializePayload back into THREE types.
+ * Object3D references stay as { __type, uuid, name } descriptors.
+ *
+ * @param {*} value - Serialized value
+ * @returns {*} Revived value
+ */
+export const deserializePayload = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(deserializePayload);
+
+  switch (value.__type) {
+    case 'Vector3':
+      return new THREE.Vector3(value.x, value.y, value.z);
+    case 'Vector2':
+      return new THREE.Vector2(value.x, value.y);
+    case 'Quaternion':
+      return new THREE.Quaternion(value.x, value.y, value.z, value.w);
+    case 'Euler':
+      return new THREE.Euler(value.x, value.y, value.z, value.order);
+    case 'Color':
+      return new THREE.Color(value.hex);
+    case 'Box3':
+      return new THREE.Box3(deserializePayload(value.min), deserializePayload(value.max));
+    case 'Raycaster':
+      return new THREE.Raycaster(deserializePayload(value.origin), deserializePayload(value.direction));
+    case 'Object3D':
+    case 'Truncated':
+      return { ...value };
+    default: {
+      const result = {};
+      Object.keys(value).forEach((key) => {
+        result[key] = deserializePayload(value[key]);
+      });
+      return result;
+    }
+  }
+};
+
+/**
+ * Create a recorder that EventSystem.emit feeds while recording is active.
+ *
+ * @param {Object} options - Recorder options
+ * @param {Function} options.filter - Optional (eventType) => boolean to skip noisy events
+ * @param {number} options.maxEvents - Stop capturing after this many events (default: 50000)
+ * @returns {Object} Recorder with capture/getRecording/toJSON
+ */
+export const createEventRecorder = (options = {}) => {
+  const { filter = null, maxEvents = 50000 } = options;
+  const startedAt = performance.now();
+  const entries = [];
+
+  return {
+    capture: (eventType, data, timestamp, frameCount) => {
+      if (entries.length >= maxEvents) return;
+      if (filter && !filter(eventType)) return;
+      entries.push({
+        type: eventType,
+        payload: serializePayload(data),
+        timestamp: timestamp - startedAt,
+        frameCount,
+      });
+    },
+    getRecording: () => ({
+      version: RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      duration: entries.length > 0 ? entries[entries.length - 1].timestamp : 0,
+      events: [...entries],
+    }),
+    toJSON: function () {
+      return this.getRecording();
+    },
+    size: () => entries.length,
+  };
+};
+
+/**
+ * Serialize a recording to a JSON string
+ *
+ * @param {Object} recording - Recording from stopRecording/getRecording
+ * @returns {string} JSON text
+ */
+export const exportRecording = (recording) => JSON.stringify(recording, null, 2);
+
+/**
+ * Parse a recording exported with exportRecording
+ *
+ * @param {string|Object} json - JSON text or already-parsed object
+ * @returns {Object} Recording
+ */
+export const importRecording = (json) => {
+  const recording = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!recording || !Array.isArray(recording.events)) {
+    throw new Error('Invalid event recording: missing events array');
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    console.warn(`Event recording version ${recording.version} differs from ${RECORDING_VERSION}`);
+  }
+  return recording;
+};
+
+/**
+ * Replay a recording into an event system at its original timing
+ *
+ * @param {Object} recording - Recording to replay
+ * @param {Object} eventSystem - Store created by createEventSystem (or useEventSystem)
+ * @param {Object} options - Replay options
+ * @param {number} options.speed - Playback speed multiplier (default: 1)
+ * @returns {Object} Controller with stop() and a `finished` promise
+ */
+export const replayRecording = (recording, eventSystem, options = {}) => {
+  const { speed = 1 } = options;
+  const timers = [];
+  let resolveFinished;
+  const finished = new Promise((resolve) => {
+    resolveFinished = resolve;
+  });
+
+  if (recording.events.length === 0) {
+    resolveFinished();
+  }
+
+  recording.events.forEach((entry, index) => {
+    const timer = setTimeout(() => {
+      eventSystem.getState().emit(entry.type, deserializePayload(entry.payload));
+      if (index === recording.events.length - 1) {
+        resolveFinished();
+      }
+    }, entry.timestamp / speed);
+    timers.push(timer);
+  });
+
+  return {
+    finished,
+    stop: () => {
+      timers.forEach(clearTimeout);
+      resolveFinished();
+    },
+  };
+};
+
+/**
+ * Create a stepper that replays a recording one recorded frame at a time
+ *
+ * @param {Object} recording - Recording to replay
+ * @param {Object} eventSystem - Store created by createEventSystem (or useEventSystem)
+ * @returns {Object} Stepper with stepFrame(), stepEvent(), reset() and done()
+ */
+export const createReplayStepper = (recording, eventSystem) => {
+  let cursor = 0;
+  const events = recording.events;
+
+  const emitEntry = (entry) => {
+    eventSystem.getState().emit(entry.type, deserializePayload(entry.payload));
+  };
+
+  return {
+    // Emit every event recorded during the next frame; returns the emitted entries
+    stepFrame: () => {
+      if (cursor >= events.length) return [];
+      const frame = events[cursor].frameCount;
+      const emitted = [];
+      while (cursor < events.length && events[cursor].frameCount === frame) {
+        emitEntry(events[cursor]);
+        emitted.push(events[cursor]);
+        cursor++;
+      }
+      return emitted;
+    },
+    // Emit a single event; returns it or null when finished
+    stepEvent: () => {
+      if (cursor >= events.length) return null;
+      const entry = events[cursor++];
+      emitEntry(entry);
+      return entry;
+    },
+    reset: () => {
+      cursor = 0;
+    },
+    done: () => cursor >= events.length,
+    position: () => cursor,
+  };
+};
+
+export default createEventRecorder;
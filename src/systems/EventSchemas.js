@@ -0,0 +1,314 @@
+// Payload schemas for built-in events.
+// Kept free of imports so scripts/generate-event-types.js can load it in plain Node.
+//
+// A schema maps payload keys to a field type. A field is either a type name
+// ('string', 'number', 'boolean', 'object', 'array', 'function', 'any',
+// 'vector2', 'vector3', 'vec3like', 'object3d', 'raycaster'), the same name
+// with a trailing '?' for optional fields, or an object:
+//   { type, optional, enum, description }
+// Keys not listed in a schema are allowed; set `strict: true` on
+// registerEvent options to reject them.
+
+export const EVENT_SCHEMAS = {
+  'system:error': {
+    source: 'string?',
+    message: 'string?',
+    eventType: 'string?',
+    errors: 'array?',
+  },
+  'app:loaded': {
+    timestamp: 'number?',
+  },
+  'app:loadingChanged': {
+    isLoading: 'boolean',
+  },
+  'app:debugMode': {
+    debugMode: 'boolean',
+  },
+  'drone:move': {
+    targetPosition: { type: 'vector3', description: 'World-space destination' },
+    source: { type: 'string', description: 'What triggered the move (hotspot, ground, ...)' },
+    hotspotId: 'string?',
+  },
+  'drone:flyTo': {
+    targetPosition: { type: 'vec3like', description: 'Requested destination; the drone replies with drone:move' },
+    source: 'string?',
+    hotspotId: 'string?',
+  },
+  'drone:path': {
+    points: { type: 'array', description: 'Route the drone will follow, start to goal (Vector3[])' },
+    source: 'string?',
+  },
+  'drone:arrived': {
+    position: 'vector3',
+    blocked: { type: 'boolean', optional: true, description: 'True when a building stopped the drone short of its target' },
+  },
+  'drone:position': {
+    previousPosition: 'vector3?',
+    newPosition: 'vector3',
+  },
+  'drone:outOfBounds': {
+    position: 'vector3',
+    bounds: 'object',
+  },
+  'drone:flightMode': {
+    mode: { type: 'string', enum: ['click', 'manual'], description: 'click = point-and-click/autopilot, manual = keyboard/gamepad' },
+    previousMode: 'string?',
+  },
+  'city:boundsUpdated': {
+    bounds: 'object',
+  },
+  'drone:collision': {
+    position: { type: 'vector3', description: 'Drone position after being pushed out of the surface' },
+    normal: { type: 'vector3', description: 'Contact normal pointing away from the surface' },
+    meshName: 'string?',
+  },
+  'camera:target': {
+    target: 'vec3like',
+    position: 'vec3like?',
+    duration: 'number?',
+    fov: { type: 'number', optional: true, description: 'Vertical field of view to animate to' },
+  },
+  'camera:move': {
+    position: 'vector3?',
+    mode: 'string?',
+  },
+  'camera:mode': {
+    mode: { type: 'string', enum: ['orbit', 'chase', 'firstPerson', 'cinematic'] },
+    previousMode: 'string?',
+  },
+  'camera:playPath': {
+    path: { type: 'any', description: 'Name in public/data/cameraPaths.json or an inline { keys } definition' },
+    variant: { type: 'string', optional: true, description: 'Prefer "<path>:<variant>" when it exists (e.g. a project id)' },
+    origin: { type: 'vec3like', optional: true, description: 'World offset for relative paths' },
+    fromCurrent: { type: 'boolean', optional: true, description: 'Start from the current camera pose' },
+    fallback: { type: 'object', optional: true, description: '{ position, target, duration } used when the path is missing' },
+  },
+  'camera:stopPath': {},
+  'camera:pathComplete': {
+    name: 'string',
+    interrupted: 'boolean?',
+  },
+  'camera:saveBookmark': {
+    name: { type: 'string', description: 'Label for the current view; the camera adds it to the store bookmarks' },
+  },
+  'camera:position': {
+    position: 'vector3',
+  },
+  'hotspot:hover': {
+    id: 'string',
+    position: 'vector3?',
+    action: { type: 'string', enum: ['enter', 'exit'] },
+  },
+  'hotspot:select': {
+    id: 'string',
+    position: 'vector3?',
+    projectData: { type: 'object', optional: true, description: 'Entry from projects.json' },
+  },
+  'hotspot:deselect': {
+    id: 'string',
+  },
+  'hotspot:listChanged': {
+    ids: { type: 'array', description: 'Ids of the projects placed as hotspots (string[])' },
+    count: 'number',
+  },
+  'mouse:click': {
+    mouse: 'vector2?',
+    raycaster: 'raycaster?',
+    source: 'string?',
+  },
+  'key:press': {
+    key: 'string',
+    code: 'string',
+    altKey: 'boolean?',
+    ctrlKey: 'boolean?',
+    shiftKey: 'boolean?',
+    repeat: 'boolean?',
+    timestamp: 'number?',
+  },
+  'key:release': {
+    key: 'string',
+    code: 'string',
+    timestamp: 'number?',
+  },
+  'render:quality': {
+    quality: 'number',
+    isMoving: 'boolean?',
+  },
+  'render:qualityTier': {
+    tier: { type: 'string', enum: ['potato', 'low', 'medium', 'high', 'ultra'] },
+    previousTier: 'string?',
+    reason: { type: 'string', optional: true, description: "'governor' for automatic changes, 'user' when picked by hand" },
+  },
+  'render:pipeline': {
+    name: { type: 'string', description: 'Pipeline name from utils/renderPipelines' },
+    previous: 'string?',
+  },
+  'renderer:stats': {
+    pipeline: 'string',
+    fps: { type: 'number', description: 'Rendered frames per second over the sample window' },
+    frameTime: { type: 'number', description: 'Average CPU time (ms) spent in pipeline.render()' },
+    drawCalls: { type: 'number', description: 'Draw calls per frame, all passes included' },
+    triangles: 'number',
+    textures: 'number',
+    geometries: 'number',
+    resolutionScale: 'number',
+  },
+  'scene:objectAdded': {
+    object: 'object3d',
+    options: 'object?',
+  },
+  'scene:objectRemoved': {
+    object: 'object3d',
+  },
+  'asset:loadStart': {
+    type: 'string',
+  },
+  'asset:loadComplete': {
+    type: 'string',
+  },
+  'asset:loadError': {
+    type: 'string',
+    error: 'string?',
+  },
+  'ui:overlayShow': {
+    content: 'object',
+  },
+  'ui:overlayHide': {},
+  'audio:toggle': {
+    enabled: 'boolean',
+  },
+  'tour:stateChanged': {
+    status: { type: 'string', enum: ['idle', 'playing', 'paused'] },
+    index: { type: 'number', description: 'Current stop in the tour order' },
+    previousStatus: 'string?',
+  },
+  'performance:metrics': {
+    fps: 'number',
+    delta: 'number?',
+    time: 'number?',
+  },
+};
+
+const normalizeField = (field) => {
+  if (typeof field === 'string') {
+    const optional = field.endsWith('?');
+    return { type: optional ? field.slice(0, -1) : field, optional };
+  }
+  return { optional: false, ...field };
+};
+
+const isVector3 = (value) =>
+  !!value && typeof value.x === 'number' && typeof value.y === 'number' && typeof value.z === 'number';
+
+const TYPE_CHECKS = {
+  any: () => true,
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && !Number.isNaN(value),
+  boolean: (value) => typeof value === 'boolean',
+  function: (value) => typeof value === 'function',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  vector2: (value) => !!value && typeof value.x === 'number' && typeof value.y === 'number',
+  vector3: isVector3,
+  vec3like: (value) =>
+    isVector3(value) ||
+    (Array.isArray(value) && value.length === 3 && value.every((n) => typeof n === 'number')),
+  object3d: (value) => !!value && value.isObject3D === true,
+  raycaster: (value) => !!value && !!value.ray && typeof value.intersectObjects === 'function',
+};
+
+// Validate a payload against a schema; returns a list of human readable problems
+export const validatePayload = (schema, data = {}, options = {}) => {
+  if (!schema) return [];
+  const errors = [];
+  const payload = data || {};
+
+  Object.keys(schema).forEach((key) => {
+    const field = normalizeField(schema[key]);
+    const value = payload[key];
+    if (value === undefined || value === null) {
+      if (!field.optional) errors.push(`missing required field "${key}" (${field.type})`);
+      return;
+    }
+    const check = TYPE_CHECKS[field.type];
+    if (!check) {
+      errors.push(`unknown schema type "${field.type}" for field "${key}"`);
+      return;
+    }
+    if (!check(value)) {
+      errors.push(`field "${key}" should be ${field.type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+      return;
+    }
+    if (field.enum && !field.enum.includes(value)) {
+      errors.push(`field "${key}" should be one of ${field.enum.join(', ')}, got "${value}"`);
+    }
+  });
+
+  if (options.strict) {
+    Object.keys(payload).forEach((key) => {
+      if (!(key in schema)) errors.push(`unexpected field "${key}"`);
+    });
+  }
+
+  return errors;
+};
+
+// TypeScript type for each schema field type, used by the declaration generator
+const TS_TYPES = {
+  any: 'unknown',
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  function: '(...args: unknown[]) => unknown',
+  array: 'unknown[]',
+  object: 'Record<string, unknown>',
+  vector2: 'Vector2',
+  vector3: 'Vector3',
+  vec3like: 'Vector3 | [number, number, number]',
+  object3d: 'Object3D',
+  raycaster: 'Raycaster',
+};
+
+// Build the contents of EventPayloads.d.ts from a set of schemas
+export const generateTypeDeclarations = (schemas = EVENT_SCHEMAS) => {
+  const lines = [
+    '// Generated by scripts/generate-event-types.js from src/systems/EventSchemas.js.',
+    '// Do not edit by hand; run `npm run types:events` after changing a schema.',
+    "import type { Object3D, Raycaster, Vector2, Vector3 } from 'three';",
+    '',
+    'export interface EventPayloads {',
+  ];
+
+  Object.keys(schemas).forEach((eventType) => {
+    const schema = schemas[eventType];
+    const keys = Object.keys(schema);
+    if (keys.length === 0) {
+      lines.push(`  '${eventType}': Record<string, never>;`);
+      return;
+    }
+    lines.push(`  '${eventType}': {`);
+    keys.forEach((key) => {
+      const field = normalizeField(schema[key]);
+      const tsType = field.enum
+        ? field.enum.map((value) => JSON.stringify(value)).join(' | ')
+        : TS_TYPES[field.type] || 'unknown';
+      if (field.description) lines.push(`    /** ${field.description} */`);
+      lines.push(`    ${key}${field.optional ? '?' : ''}: ${tsType};`);
+    });
+    lines.push('  };');
+  });
+
+  lines.push('}');
+  lines.push('');
+  lines.push('export type EventType = keyof EventPayloads;');
+  lines.push('');
+  lines.push('/** Payload for a known event (extra keys allowed), or a free-form object for custom events */');
+  lines.push('export type EventPayload<T extends string> = T extends EventType');
+  lines.push('  ? EventPayloads[T] & Record<string, unknown>');
+  lines.push('  : Record<string, unknown>;');
+  lines.push('');
+  return lines.join('\n');
+};
+
+export default EVENT_SCHEMAS;
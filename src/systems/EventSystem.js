@@ -1,6 +1,8 @@
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
 import React from 'react';
+import { createEventRecorder } from './EventRecorder';
+import { EVENT_SCHEMAS, validatePayload } from './EventSchemas';
 
 export const PRIORITY = {
   CRITICAL: 0,
@@ -10,7 +12,33 @@ export const PRIORITY = {
   IDLE: 4,
 };
 
-export const useEventSystem = create(
+// Wildcard subscriptions: '*' matches every event, 'drone:*' a whole namespace
+const WILDCARD = '*';
+const patternCache = new Map();
+
+const isEventPattern = (eventType) =>
+  typeof eventType === 'string' && eventType.includes(WILDCARD);
+
+const matchesEventType = (pattern, eventType) => {
+  if (pattern === eventType || pattern === WILDCARD) return true;
+  if (!isEventPattern(pattern)) return false;
+  let regex = patternCache.get(pattern);
+  if (!regex) {
+    const source = pattern
+      .split(WILDCARD)
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    regex = new RegExp(`^${source}$`);
+    patternCache.set(pattern, regex);
+  }
+  return regex.test(eventType);
+};
+
+// Payload validation is a development aid; production builds skip it
+const IS_DEV_BUILD = Boolean(import.meta.env?.DEV);
+
+// Factory so tests and replays can run against an isolated event system
+export const createEventSystem = () => create(
   subscribeWithSelector((set, get) => ({
     // Core state
     active: true,
@@ -37,9 +65,20 @@ export const useEventSystem = create(
     events: new Map(),
     listeners: new Map(),
     updateQueue: [],
+    interpolators: [],
     priorityQueue: [],
     needsUpdate: false,
     isProcessing: false,
+    validatePayloads: IS_DEV_BUILD,
+
+    // Fixed-timestep simulation (null = variable delta from the wall clock)
+    fixedTimestep: null,
+    maxSubSteps: 5,
+    accumulator: 0,
+    interpolationAlpha: 0,
+
+    // Active event recorder (see EventRecorder.js), null when not recording
+    recorder: null,
 
     // Initialize the system
     initialize: () => {
@@ -59,13 +98,15 @@ export const useEventSystem = create(
             priority: PRIORITY.MEDIUM,
             throttle: 0,
             lastFired: 0,
+            schema: EVENT_SCHEMAS[type] || null,
           });
           set({ events });
         }
       });
     },
 
-    // Register a new event type
+    // Register a new event type. options.schema describes the payload (see EventSchemas.js);
+    // passing a schema for an already registered event replaces its schema.
     registerEvent: (eventType, options = {}) => {
       if (!get().events.has(eventType)) {
         const events = new Map(get().events);
@@ -74,43 +115,70 @@ export const useEventSystem = create(
           priority: options.priority || PRIORITY.MEDIUM,
           throttle: options.throttle || 0,
           lastFired: 0,
+          schema: EVENT_SCHEMAS[eventType] || null,
+          strict: false,
           ...options,
         });
         set({ events });
         return true;
       }
+      if (options.schema) {
+        const events = new Map(get().events);
+        events.set(eventType, {
+          ...events.get(eventType),
+          schema: options.schema,
+          strict: options.strict || false,
+        });
+        set({ events });
+        return true;
+      }
       return false;
     },
 
+    // Toggle runtime payload validation (on by default in dev builds)
+    setPayloadValidation: (enabled) => set({ validatePayloads: enabled }),
+
     subscribe: (id, eventType, callback, priority = PRIORITY.MEDIUM) => {
-      // Ensure the event is registered
-      if (!get().events.has(eventType)) {
+      // Ensure the event is registered (patterns are matched at emit time)
+      if (!isEventPattern(eventType) && !get().events.has(eventType)) {
         get().registerEvent(eventType);
       }
       const listeners = new Map(get().listeners);
       listeners.set(id, { id, eventType, callback, priority, active: true });
       set({ listeners });
       return () => {
-        const currentState = useEventSystem.getState();
+        const currentState = get();
         if (currentState.listeners.has(id)) {
           const updatedListeners = new Map(currentState.listeners);
           updatedListeners.delete(id);
-          useEventSystem.setState({ listeners: updatedListeners });
+          set({ listeners: updatedListeners });
         }
       };
     },
 
     unsubscribe: (id) => {
-      const store = useEventSystem.getState();
+      const store = get();
       const currentListeners = new Map(store.listeners);
       const result = currentListeners.delete(id);
       if (result) {
-        useEventSystem.setState({ listeners: currentListeners });
+        set({ listeners: currentListeners });
       }
       return result;
     },
 
-    // Emit an event with safe throttling and re-read events after auto-registration
+    /**
+     * Emit an event with safe throttling and re-read events after auto-registration.
+     *
+     * stopPropagation() skips the remaining listeners for the event itself, but
+     * wildcard/pattern observers (recorder, analytics, debug counters) still see it.
+     *
+     * @template {string} T
+     * @param {T} eventType
+     * @param {import('./EventPayloads').EventPayload<T>} [data]
+     * @returns {Object|false} The dispatched event context (check `handled` and
+     *   `propagationStopped`), or false if the event was dropped. This used to be
+     *   `true`; the context is truthy, so `if (emit(...))` checks behave the same.
+     */
     emit: (eventType, data = {}) => {
       const state = get();
       if (!state.active) return false;
@@ -122,10 +190,18 @@ export const useEventSystem = create(
       }
       const event = events.get(eventType);
       const now = performance.now();
+      // Record the raw call before throttling so a replay reproduces it exactly
+      if (state.recorder) {
+        state.recorder.capture(eventType, data, now, state.frameCount);
+      }
       // Check throttling if throttle is set
       if (event.throttle > 0 && now - event.lastFired < event.throttle) {
         return false;
       }
+      // Validate the payload; mismatches are reported but never block delivery
+      const schemaErrors = state.validatePayloads && event.schema && eventType !== EVENT_TYPES.SYSTEM_ERROR
+        ? validatePayload(event.schema, data, { strict: event.strict })
+        : [];
       // Update event's last fired time
       const updatedEvents = new Map(events);
       updatedEvents.set(eventType, { ...event, lastFired: now });
@@ -142,24 +218,46 @@ export const useEventSystem = create(
         frameCount: state.frameCount,
         type: eventType,
         timestamp: now,
+        handled: false,
+        propagationStopped: false,
+        // Let later (lower priority) listeners know someone acted on this event
+        markHandled: () => {
+          context.handled = true;
+        },
+        // Skip the remaining listeners (wildcard observers still run); implies handled
+        stopPropagation: () => {
+          context.handled = true;
+          context.propagationStopped = true;
+        },
       };
-      // Create snapshot of listeners and execute callbacks
-      const relevantListeners = Array.from(state.listeners.values()).filter(
-        (listener) => listener.eventType === eventType && listener.active
-      );
-      relevantListeners.forEach((listener) => {
+      // Create snapshot of exact and wildcard listeners, ordered by priority
+      const relevantListeners = Array.from(state.listeners.values())
+        .filter((listener) => listener.active && matchesEventType(listener.eventType, eventType))
+        .sort((a, b) => a.priority - b.priority);
+      for (const listener of relevantListeners) {
+        // Observers subscribed by pattern keep seeing stopped events
+        if (context.propagationStopped && !isEventPattern(listener.eventType)) continue;
         try {
           listener.callback(context);
         } catch (error) {
           console.error(`Error in listener for ${eventType}:`, error);
         }
-      });
+      }
       set({
         events: updatedEvents,
         performanceMetrics: metrics,
         needsUpdate: true,
       });
-      return true;
+      if (schemaErrors.length > 0) {
+        console.warn(`Invalid payload for ${eventType}:`, schemaErrors);
+        get().emit(EVENT_TYPES.SYSTEM_ERROR, {
+          source: 'schema',
+          message: `Invalid payload for ${eventType}`,
+          eventType,
+          errors: schemaErrors,
+        });
+      }
+      return context;
     },
 
     // Register a system that needs updates each frame
@@ -185,6 +283,16 @@ export const useEventSystem = create(
       return true;
     },
 
+    // Register a per-frame hook that blends between the last two simulation
+    // steps; it runs once every frame with the step fraction in context.alpha
+    registerInterpolator: (id, interpolateFn) => {
+      const interpolators = get().interpolators.filter((entry) => entry.id !== id);
+      set({ interpolators: [...interpolators, { id, interpolateFn }] });
+      return () => {
+        set({ interpolators: get().interpolators.filter((entry) => entry.id !== id) });
+      };
+    },
+
     toggleSystem: (id, active = null) => {
       const systemsCopy = [...get().updateQueue];
       const index = systemsCopy.findIndex((system) => system.id === id);
@@ -204,14 +312,69 @@ export const useEventSystem = create(
       }
     },
 
+    // Switch between variable delta (null) and a fixed simulation step in seconds
+    setFixedTimestep: (step = 1 / 60, options = {}) => {
+      set({
+        fixedTimestep: step && step > 0 ? step : null,
+        maxSubSteps: options.maxSubSteps || get().maxSubSteps,
+        accumulator: 0,
+        interpolationAlpha: 0,
+      });
+    },
+
+    // Run every active system once with the given context
+    runSystems: (context) => {
+      const systemsToUpdate = [...get().updateQueue];
+      systemsToUpdate.forEach((system) => {
+        if (system.active) {
+          try {
+            system.updateFn(context);
+          } catch (error) {
+            console.error(`Error in system ${system.id}:`, error);
+          }
+        }
+      });
+    },
+
+    // Run every interpolator once with the given context
+    runInterpolators: (context) => {
+      [...get().interpolators].forEach((entry) => {
+        try {
+          entry.interpolateFn(context);
+        } catch (error) {
+          console.error(`Error in interpolator ${entry.id}:`, error);
+        }
+      });
+    },
+
+    // Advance the simulation n fixed ticks without a browser or wall clock.
+    // Useful for headless tests: step(60) simulates one second at 60Hz.
+    step: (n = 1, deltaTime = get().fixedTimestep || 1 / 60) => {
+      for (let i = 0; i < n; i++) {
+        const state = get();
+        const elapsedTime = state.elapsedTime + deltaTime;
+        const frameCount = state.frameCount + 1;
+        set({ deltaTime, elapsedTime, frameCount });
+        state.runSystems({
+          time: elapsedTime,
+          deltaTime,
+          frameCount,
+          alpha: 1,
+          fixed: true,
+          subStep: i,
+          isLastStep: i === n - 1,
+        });
+      }
+      get().runInterpolators({ time: get().elapsedTime, alpha: 1, fixed: true });
+      return get().elapsedTime;
+    },
+
     processFrame: (time = performance.now(), invalidate = null) => {
       const state = get();
       if (!state.active || state.isProcessing) return;
       set({ isProcessing: true });
       const lastTime = state.lastTime || time;
       const deltaTime = Math.min((time - lastTime) / 1000, 0.1);
-      const elapsedTime = state.elapsedTime + deltaTime;
-      const frameCount = state.frameCount + 1;
       if (state.throttleFrameRate) {
         const targetDelta = 1 / state.targetFrameRate;
         if (deltaTime < targetDelta) {
@@ -222,22 +385,43 @@ export const useEventSystem = create(
           return;
         }
       }
-      set({ lastTime: time, deltaTime, elapsedTime, frameCount });
-      const systemsToUpdate = [...state.updateQueue];
-      const context = { time: elapsedTime, deltaTime, frameCount };
-      systemsToUpdate.forEach((system) => {
-        if (system.active) {
-          try {
-            system.updateFn(context);
-          } catch (error) {
-            console.error(`Error in system ${system.id}:`, error);
-          }
+      if (state.fixedTimestep) {
+        // Fixed-timestep mode: consume real time in whole steps, carry the remainder
+        const step = state.fixedTimestep;
+        const accumulated = state.accumulator + deltaTime;
+        const steps = Math.min(Math.floor(accumulated / step), state.maxSubSteps);
+        // Drop time we could not simulate so a slow frame doesn't spiral
+        const accumulator = steps === state.maxSubSteps ? accumulated % step : accumulated - steps * step;
+        const alpha = accumulator / step;
+        set({ lastTime: time, accumulator, interpolationAlpha: alpha });
+        for (let i = 0; i < steps; i++) {
+          const current = get();
+          const elapsedTime = current.elapsedTime + step;
+          const frameCount = current.frameCount + 1;
+          set({ deltaTime: step, elapsedTime, frameCount });
+          current.runSystems({
+            time: elapsedTime,
+            deltaTime: step,
+            frameCount,
+            alpha,
+            fixed: true,
+            subStep: i,
+            isLastStep: i === steps - 1,
+          });
         }
-      });
+        // Runs even when no step was due so motion stays smooth between steps
+        get().runInterpolators({ time: get().elapsedTime, alpha, fixed: true });
+      } else {
+        const elapsedTime = state.elapsedTime + deltaTime;
+        const frameCount = state.frameCount + 1;
+        set({ lastTime: time, deltaTime, elapsedTime, frameCount });
+        state.runSystems({ time: elapsedTime, deltaTime, frameCount });
+        state.runInterpolators({ time: elapsedTime, alpha: 1, fixed: false });
+      }
       const frameTime = performance.now() - time;
       const fps = Math.round(1 / deltaTime);
       set({
-        performanceMetrics: { ...state.performanceMetrics, fps, frameTime },
+        performanceMetrics: { ...get().performanceMetrics, fps, frameTime },
         needsUpdate: false,
         isProcessing: false,
       });
@@ -246,6 +430,21 @@ export const useEventSystem = create(
       }
     },
 
+    // Start capturing every emit call; returns the recorder
+    startRecording: (options = {}) => {
+      const recorder = createEventRecorder(options);
+      set({ recorder });
+      return recorder;
+    },
+
+    // Stop capturing and return the finished recording (or null if not recording)
+    stopRecording: () => {
+      const { recorder } = get();
+      if (!recorder) return null;
+      set({ recorder: null });
+      return recorder.getRecording();
+    },
+
     reset: () => {
       set({
         active: false,
@@ -254,13 +453,19 @@ export const useEventSystem = create(
         updateQueue: [],
         frameCount: 0,
         elapsedTime: 0,
+        accumulator: 0,
+        interpolationAlpha: 0,
+        interpolators: [],
         needsUpdate: false,
         isProcessing: false,
+        recorder: null,
       });
     },
   }))
 );
 
+export const useEventSystem = createEventSystem();
+
 // Export hook for event listeners
 export const useEventListener = (eventType, callback, options = {}) => {
   const { priority = PRIORITY.MEDIUM, enabled = true } = options;
@@ -319,6 +524,15 @@ export const useSystem = (id, updateFn, priority = PRIORITY.MEDIUM, enabled = tr
   };
 };
 
+// Helper hook for render-side smoothing between fixed simulation steps
+export const useInterpolator = (id, interpolateFn, enabled = true) => {
+  const registerInterpolator = useEventSystem((state) => state.registerInterpolator);
+  React.useEffect(() => {
+    if (!enabled) return undefined;
+    return registerInterpolator(id, interpolateFn);
+  }, [id, interpolateFn, enabled]);
+};
+
 export const EVENT_TYPES = {
   SYSTEM_INITIALIZED: 'system:initialized',
   SYSTEM_ERROR: 'system:error',
@@ -330,20 +544,38 @@ export const EVENT_TYPES = {
   FRAME_START: 'frame:start',
   FRAME_END: 'frame:end',
   APP_LOADED: 'app:loaded',
+  APP_LOADING_CHANGED: 'app:loadingChanged',
   APP_ERROR: 'app:error',
+  DEBUG_MODE: 'app:debugMode',
   DRONE_MOVE: 'drone:move',
+  DRONE_FLY_TO: 'drone:flyTo',
+  DRONE_PATH: 'drone:path',
+  DRONE_POSITION: 'drone:position',
   DRONE_ARRIVED: 'drone:arrived',
   DRONE_COLLISION: 'drone:collision',
+  DRONE_OUT_OF_BOUNDS: 'drone:outOfBounds',
+  DRONE_FLIGHT_MODE: 'drone:flightMode',
+  CITY_BOUNDS: 'city:boundsUpdated',
   CAMERA_MOVE: 'camera:move',
   CAMERA_TARGET: 'camera:target',
+  CAMERA_MODE: 'camera:mode',
+  CAMERA_PLAY_PATH: 'camera:playPath',
+  CAMERA_STOP_PATH: 'camera:stopPath',
+  CAMERA_PATH_COMPLETE: 'camera:pathComplete',
+  CAMERA_SAVE_BOOKMARK: 'camera:saveBookmark',
   HOTSPOT_HOVER: 'hotspot:hover',
   HOTSPOT_SELECT: 'hotspot:select',
   HOTSPOT_DESELECT: 'hotspot:deselect',
+  HOTSPOT_LIST_CHANGED: 'hotspot:listChanged',
   MOUSE_MOVE: 'mouse:move',
   MOUSE_CLICK: 'mouse:click',
   KEY_PRESS: 'key:press',
+  KEY_RELEASE: 'key:release',
   RENDER_NEEDED: 'render:needed',
   QUALITY_ADJUST: 'render:quality',
+  RENDER_PIPELINE: 'render:pipeline',
+  QUALITY_TIER: 'render:qualityTier',
+  RENDERER_STATS: 'renderer:stats',
   OBJECT_ADDED: 'scene:objectAdded',
   OBJECT_REMOVED: 'scene:objectRemoved',
   VISIBILITY_CHANGED: 'scene:visibility',
@@ -354,6 +586,8 @@ export const EVENT_TYPES = {
   UI_OVERLAY_SHOW: 'ui:overlayShow',
   UI_OVERLAY_HIDE: 'ui:overlayHide',
   UI_INTERACTION: 'ui:interaction',
+  AUDIO_TOGGLE: 'audio:toggle',
+  TOUR_STATE: 'tour:stateChanged',
 };
 
 // Ensure core events are registered on load
@@ -1,11 +1,14 @@
 import React, { useEffect, useRef, useCallback } from 'react';
 import { useEventSystem, EVENT_TYPES } from './EventSystem';
+import { exportRecording, importRecording, replayRecording, createReplayStepper } from './EventRecorder';
 
 /**
  * Component that initializes the event system and registers core events
  * This should be mounted before any other components that use the event system
+ *
+ * @param {number|null} fixedTimestep - Simulation step in seconds for deterministic updates (null = variable)
  */
-const EventSystemInitializer = () => {
+const EventSystemInitializer = ({ fixedTimestep = null }) => {
   // References to track initialization and performance
   const isInitializedRef = useRef(false);
   const frameCountRef = useRef(0);
@@ -32,6 +35,44 @@ const EventSystemInitializer = () => {
     }
   }, [initialize]);
   
+  // Apply the simulation timestep mode
+  useEffect(() => {
+    useEventSystem.getState().setFixedTimestep(fixedTimestep);
+  }, [fixedTimestep]);
+  
+  // Expose the event recorder globally so glitches can be captured from the console
+  useEffect(() => {
+    const recorderAPI = {
+      start: (options) => useEventSystem.getState().startRecording(options),
+      stop: () => useEventSystem.getState().stopRecording(),
+      export: (recording) => exportRecording(recording),
+      // Stop recording and download the result as a JSON file
+      download: (filename = `events-${Date.now()}.json`) => {
+        const recording = useEventSystem.getState().stopRecording();
+        if (!recording) return null;
+        const blob = new Blob([exportRecording(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+        return recording;
+      },
+      replay: (json, eventSystem = useEventSystem, options) =>
+        replayRecording(importRecording(json), eventSystem, options),
+      stepper: (json, eventSystem = useEventSystem) =>
+        createReplayStepper(importRecording(json), eventSystem),
+    };
+    window.eventRecorder = recorderAPI;
+    
+    return () => {
+      if (window.eventRecorder === recorderAPI) {
+        delete window.eventRecorder;
+      }
+    };
+  }, []);
+  
   // Set up performance monitoring in a separate effect
   useEffect(() => {
     // Start performance monitoring
@@ -83,6 +124,18 @@ const EventSystemInitializer = () => {
         altKey: event.altKey,
         ctrlKey: event.ctrlKey,
         shiftKey: event.shiftKey,
+        repeat: event.repeat,
+        timestamp: performance.now()
+      });
+    }
+  }, [active]);
+  
+  // Releases let held-key consumers (flight controls) know when to stop
+  const handleKeyUp = useCallback((event) => {
+    if (active && eventSystemRef.current) {
+      eventSystemRef.current.emit(EVENT_TYPES.KEY_RELEASE, {
+        key: event.key,
+        code: event.code,
         timestamp: performance.now()
       });
     }
@@ -91,8 +144,12 @@ const EventSystemInitializer = () => {
   // CRITICAL FIX: Separate key event handlers to break dependency chain
   useEffect(() => {
     window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handleKeyDown]);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [handleKeyDown, handleKeyUp]);
   
   // This component doesn't render anything
   return null;
@@ -0,0 +1,81 @@
+import { useEffect, useRef } from 'react';
+import { useStore } from '../state/useStore';
+import { useEventListener, EVENT_TYPES } from './EventSystem';
+import { createQualityGovernor, QUALITY_TIERS } from '../utils/qualityTiers';
+
+// A metrics sample only says something about render cost if the canvas was
+// actually drawing for most of it (the frameloop is on demand and idles a lot)
+const MIN_BUSY_RATIO = 0.5;
+
+/**
+ * Quality governor. Watches the rolling `performance:metrics` FPS while the
+ * scene is rendering and steps the store's qualityTier up or down. Effects
+ * react to the tier themselves. Mount once, outside the Canvas.
+ *
+ * @param {Object} governorOptions - Threshold overrides (see QUALITY_GOVERNOR_DEFAULTS)
+ */
+const QualitySystem = ({ governorOptions = {} }) => {
+  const autoQuality = useStore(state => state.autoQuality);
+  const governorRef = useRef(null);
+  if (!governorRef.current) {
+    governorRef.current = createQualityGovernor({
+      tier: useStore.getState().qualityTier,
+      ...governorOptions
+    });
+  }
+  // Frames rendered since the last metrics sample
+  const renderedFramesRef = useRef(0);
+
+  // Start measuring afresh when auto mode is switched back on
+  useEffect(() => {
+    if (autoQuality) {
+      governorRef.current.setTier(useStore.getState().qualityTier);
+    }
+  }, [autoQuality]);
+
+  useEventListener(EVENT_TYPES.FRAME_END, () => {
+    renderedFramesRef.current++;
+  });
+
+  useEventListener('performance:metrics', ({ fps }) => {
+    const renderedFrames = renderedFramesRef.current;
+    renderedFramesRef.current = 0;
+    const { autoQuality: enabled, setQualityTier } = useStore.getState();
+    if (!enabled || !fps || renderedFrames < fps * MIN_BUSY_RATIO) return;
+
+    const tier = governorRef.current.addSample(fps);
+    if (tier) {
+      setQualityTier(tier, 'governor');
+    }
+  });
+
+  // Keep the governor in step with tiers picked elsewhere (settings UI, console)
+  useEventListener(EVENT_TYPES.QUALITY_TIER, ({ tier, reason }) => {
+    if (reason !== 'governor' && governorRef.current.tier !== tier) {
+      governorRef.current.setTier(tier);
+    }
+  });
+
+  // Debug handle: window.qualitySystem.set('low')
+  useEffect(() => {
+    const api = {
+      tiers: QUALITY_TIERS,
+      get tier() {
+        return useStore.getState().qualityTier;
+      },
+      set: (tier) => useStore.getState().setQualityTier(tier),
+      setAuto: (enabled) => useStore.getState().setAutoQuality(enabled),
+    };
+    window.qualitySystem = api;
+    return () => {
+      if (window.qualitySystem === api) {
+        delete window.qualitySystem;
+      }
+    };
+  }, []);
+
+  // This component doesn't render anything
+  return null;
+};
+
+export default QualitySystem;
@@ -1,30 +1,46 @@
 import React, { useRef, useEffect } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
-import * as THREE from 'three';
-import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
-import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
-import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
 
 import { useEventSystem, EVENT_TYPES, PRIORITY } from './EventSystem';
+import { useStore } from '../state/useStore';
+import { createRenderPipeline } from '../utils/renderPipelines';
+import { getQualitySettings } from '../utils/qualityTiers';
 
-// RenderingSystem component - manages the rendering pipeline
+// How often (ms) renderer:stats is emitted
+const STATS_INTERVAL = 1000;
+
+// RenderingSystem component - manages the rendering pipeline. The pipeline
+// (utils/renderPipelines) is picked by the store's renderPipeline and can be
+// switched at runtime with setRenderPipeline. The post-processing stack comes
+// from the `postEffects` prop when given, otherwise from the store.
 const RenderingSystem = ({ 
   enabled = true,
   bloomStrength = 0.7, 
   bloomRadius = 1.0, 
   bloomThreshold = 0,
-  adaptiveResolution = true 
+  adaptiveResolution = true,
+  postEffects
 }) => {
   const { gl, scene, camera, size, invalidate } = useThree();
-  const composerRef = useRef(null);
-  const bloomPassRef = useRef(null);
-  const fxaaPassRef = useRef(null);
+  // The pipeline's render targets are sized for the current DPR (set per quality tier
+  // on the Canvas), so resize them when that changes
+  const dpr = useThree(state => state.viewport.dpr);
+  const pipelineName = useStore(state => state.renderPipeline);
+  const qualityTier = useStore(state => state.qualityTier);
+  const storePostEffects = useStore(state => state.postEffects);
+  const effects = postEffects || storePostEffects;
+  const effectsRef = useRef(effects);
+  effectsRef.current = effects;
+  const pipelineRef = useRef(null);
+  // Per-frame samples accumulated between renderer:stats events
+  const statsRef = useRef({ frames: 0, renderTime: 0, drawCalls: 0, triangles: 0, startedAt: performance.now() });
   const lastRenderTimeRef = useRef(0);
   const framesPendingRef = useRef(0);
   const isMovingRef = useRef(false);
   const qualityLevelRef = useRef(1.0); // 1.0 = full quality, 0.5 = half res, etc.
+  const lastEmittedQualityRef = useRef(1.0);
+  // Cinematic camera mode keeps full resolution while moving
+  const keepFullQualityRef = useRef(false);
   
   // Get event system
   const { 
@@ -46,15 +62,7 @@ const RenderingSystem = ({
     if (!enabled) return;
     
     // Setup post-processing pipeline
-    setupComposer();
-    
-    // Register with EventSystem
-    const renderSystemId = 'system:rendering';
-    const unregister = registerSystem(
-      renderSystemId,
-      performRender,
-      PRIORITY.CRITICAL
-    );
+    setupPipeline();
     
     // Event listeners
     const listenerId = 'rendering-events';
@@ -84,100 +92,163 @@ const RenderingSystem = ({
       queueRender();
     });
     
+    // Follow cameras move every frame; the cinematic rail is slow enough to keep full resolution
+    const unsubscribeCameraMode = subscribe('rendering-camera-mode', EVENT_TYPES.CAMERA_MODE, (data) => {
+      keepFullQualityRef.current = data.mode === 'cinematic';
+      if (keepFullQualityRef.current && qualityLevelRef.current < 1.0) {
+        qualityLevelRef.current = 1.0;
+        updateQuality();
+      }
+      queueRender();
+    });
+    
     // Cleanup on unmount
     return () => {
-      unregister();
       unsubscribeEvents();
       unsubscribeCameraMove();
+      unsubscribeCameraMode();
       
       if (moveTimerRef.current) {
         clearTimeout(moveTimerRef.current);
       }
       
-      // Dispose of composer and passes
-      if (composerRef.current) {
-        composerRef.current.dispose();
+      // Dispose of the pipeline and its render targets
+      if (pipelineRef.current) {
+        pipelineRef.current.dispose();
+        pipelineRef.current = null;
+      }
+      if (window.renderPipeline) {
+        delete window.renderPipeline;
       }
+      gl.info.autoReset = true;
     };
-  }, [enabled, camera, scene, gl, size]);
+  }, [enabled, camera, scene, gl, pipelineName]);
   
-  // Handle resize
+  // Handle resize and DPR changes without rebuilding the pipeline
   useEffect(() => {
-    if (!composerRef.current || !fxaaPassRef.current) return;
+    if (!pipelineRef.current) return;
     
-    composerRef.current.setSize(size.width, size.height);
-    
-    // Update FXAA resolution uniforms
-    const pixelRatio = gl.getPixelRatio();
-    fxaaPassRef.current.material.uniforms.resolution.value.x = 1 / (size.width * pixelRatio);
-    fxaaPassRef.current.material.uniforms.resolution.value.y = 1 / (size.height * pixelRatio);
+    pipelineRef.current.setSize(size.width, size.height);
     
     // Queue a render after resize
     queueRender();
-  }, [size, gl]);
+  }, [size, dpr, gl]);
   
-  // Handle bloom settings changes
+  // Handle bloom settings and quality tier changes
   useEffect(() => {
-    if (!bloomPassRef.current) return;
+    if (!pipelineRef.current) return;
     
-    bloomPassRef.current.strength = bloomStrength;
-    bloomPassRef.current.radius = bloomRadius;
-    bloomPassRef.current.threshold = bloomThreshold;
+    configurePipeline(pipelineRef.current);
     
     // Queue a render with new settings
     queueRender();
-  }, [bloomStrength, bloomRadius, bloomThreshold]);
+  }, [bloomStrength, bloomRadius, bloomThreshold, qualityTier]);
+  
+  // Reorder or retune the post-processing passes
+  useEffect(() => {
+    if (!pipelineRef.current?.setEffects) return;
+    
+    pipelineRef.current.setEffects(effects);
+    queueRender();
+  }, [effects]);
+  
+  // Glitch bursts on the events listed in the glitch entry's triggers
+  const glitchTriggers = (effects.find(entry => entry.type === 'glitch')?.triggers || []).join(',');
+  useEffect(() => {
+    if (!enabled || !glitchTriggers) return;
+    
+    const unsubscribers = glitchTriggers.split(',').map(eventType =>
+      subscribe(`rendering-glitch-${eventType}`, eventType, () => {
+        if (pipelineRef.current?.triggerGlitch?.()) {
+          queueRender();
+        }
+      })
+    );
+    return () => unsubscribers.forEach(unsubscribeTrigger => unsubscribeTrigger());
+  }, [enabled, glitchTriggers]);
+
+  
+  // Apply the bloom props scaled by the current quality tier
+  const configurePipeline = (pipeline) => {
+    const tierSettings = getQualitySettings(useStore.getState().qualityTier);
+    pipeline.configure({
+      bloomStrength: bloomStrength * tierSettings.bloom,
+      bloomRadius,
+      bloomThreshold,
+      fxaa: tierSettings.fxaa
+    });
+  };
   
   // Timer reference for detecting when movement stops
   const moveTimerRef = useRef(null);
   
-  // Setup effect composer
-  const setupComposer = () => {
-    // Create composer
-    const composer = new EffectComposer(gl);
-    composerRef.current = composer;
-    
-    // Add render pass
-    const renderPass = new RenderPass(scene, camera);
-    composer.addPass(renderPass);
-    
-    // Add bloom pass
-    const bloomPass = new UnrealBloomPass(
-      new THREE.Vector2(size.width, size.height),
+  // Create the selected render pipeline
+  const setupPipeline = () => {
+    const pipeline = createRenderPipeline(pipelineName, {
+      gl,
+      scene,
+      camera,
+      size,
       bloomStrength,
       bloomRadius,
       bloomThreshold
-    );
-    bloomPassRef.current = bloomPass;
-    composer.addPass(bloomPass);
+    });
+    pipelineRef.current = pipeline;
+    pipeline.setEffects?.(effectsRef.current);
+    configurePipeline(pipeline);
+    
+    // Keep the current adaptive resolution across pipeline switches
+    if (qualityLevelRef.current < 1.0) {
+      pipeline.setResolutionScale(qualityLevelRef.current);
+    }
     
-    // Add FXAA pass
-    const fxaaPass = new ShaderPass(FXAAShader);
-    const pixelRatio = gl.getPixelRatio();
-    fxaaPass.material.uniforms.resolution.value.x = 1 / (size.width * pixelRatio);
-    fxaaPass.material.uniforms.resolution.value.y = 1 / (size.height * pixelRatio);
-    fxaaPassRef.current = fxaaPass;
-    composer.addPass(fxaaPass);
+    // Count draw calls across every pass of a frame, not just the last one
+    gl.info.autoReset = false;
+    statsRef.current = { frames: 0, renderTime: 0, drawCalls: 0, triangles: 0, startedAt: performance.now() };
     
     // Store globally for debugging
-    window.composer = composer;
+    window.renderPipeline = pipeline;
+    
+    queueRender();
+    return pipeline;
+  };
+  
+  // Accumulate one frame of stats and emit renderer:stats once per STATS_INTERVAL.
+  // Every pipeline is measured here, the same way, so the numbers are comparable.
+  const recordStats = (renderTime) => {
+    const stats = statsRef.current;
+    stats.frames += 1;
+    stats.renderTime += renderTime;
+    stats.drawCalls += gl.info.render.calls;
+    stats.triangles += gl.info.render.triangles;
     
-    return composer;
+    const now = performance.now();
+    const elapsed = now - stats.startedAt;
+    if (elapsed < STATS_INTERVAL) return;
+    
+    emit(EVENT_TYPES.RENDERER_STATS, {
+      pipeline: pipelineRef.current.name,
+      fps: Math.round((stats.frames * 1000) / elapsed),
+      frameTime: stats.renderTime / stats.frames,
+      drawCalls: Math.round(stats.drawCalls / stats.frames),
+      triangles: Math.round(stats.triangles / stats.frames),
+      textures: gl.info.memory.textures,
+      geometries: gl.info.memory.geometries,
+      resolutionScale: qualityLevelRef.current
+    });
+    statsRef.current = { frames: 0, renderTime: 0, drawCalls: 0, triangles: 0, startedAt: now };
   };
   
   // Update rendering quality based on performance
   const updateQuality = () => {
-    if (!adaptiveResolution || !composerRef.current) return;
+    if (!adaptiveResolution || !pipelineRef.current) return;
     
-    // Get current resolution
-    const width = size.width * qualityLevelRef.current;
-    const height = size.height * qualityLevelRef.current;
-    
-    // Update composer and passes
-    composerRef.current.setSize(width, height);
+    // Update the pipeline's render targets
+    pipelineRef.current.setResolutionScale(qualityLevelRef.current);
     
     // Only emit quality change event if significant
-    if (Math.abs(qualityLevelRef.current - qualityLevelRef.current) > 0.05) {
+    if (Math.abs(qualityLevelRef.current - lastEmittedQualityRef.current) > 0.05) {
+      lastEmittedQualityRef.current = qualityLevelRef.current;
       emit(EVENT_TYPES.QUALITY_ADJUST, { 
         quality: qualityLevelRef.current,
         isMoving: isMovingRef.current
@@ -197,15 +268,12 @@ const RenderingSystem = ({
     invalidate();
   };
   
-  // Perform the actual render - this is called by EventSystem
+  // Perform the actual render - called from the R3F frame loop below
   const performRender = ({ time, deltaTime }) => {
-    if (!composerRef.current || !enabled || framesPendingRef.current <= 0) return;
-    
-    // Emit frame start event
-    emit(EVENT_TYPES.FRAME_START, { time, deltaTime });
+    if (!pipelineRef.current || !enabled) return;
     
     // Check if we need to adjust quality based on movement
-    if (adaptiveResolution && isMovingRef.current) {
+    if (adaptiveResolution && isMovingRef.current && !keepFullQualityRef.current) {
       // Lower quality during movement for better performance
       const targetQuality = 0.75; // 75% resolution during movement
       if (Math.abs(qualityLevelRef.current - targetQuality) > 0.05) {
@@ -214,38 +282,36 @@ const RenderingSystem = ({
       }
     }
     
-    // Only render if we have pending frames
-    if (framesPendingRef.current > 0) {
-      try {
-        // Render with composer
-        composerRef.current.render();
-        
-        // Track performance
-        const renderTime = performance.now() - lastRenderTimeRef.current;
-        lastRenderTimeRef.current = performance.now();
-        
-        // Update quality if performance is suffering
-        if (renderTime > 33 && adaptiveResolution) { // 33ms = ~30fps
-          qualityLevelRef.current = Math.max(0.5, qualityLevelRef.current - 0.05);
-          updateQuality();
-        }
-        
-        // Decrement pending frame count
-        framesPendingRef.current--;
-      } catch (error) {
-        console.error('Render error:', error);
-        framesPendingRef.current = 0;
+    // R3F only runs a frame when something invalidated it, and we own the
+    // canvas output, so every frame must be drawn
+    try {
+      // Render with the active pipeline
+      gl.info.reset();
+      const renderStart = performance.now();
+      // Animated passes (a glitch burst) keep asking for frames until they settle
+      if (pipelineRef.current.update?.(deltaTime)) {
+        framesPendingRef.current = Math.max(framesPendingRef.current, 2);
+      }
+      pipelineRef.current.render();
+      recordStats(performance.now() - renderStart);
+      
+      // Sustained slowness is handled by the quality tiers (QualitySystem)
+      lastRenderTimeRef.current = performance.now();
+      
+      // Decrement pending frame count and ask for the next one if needed
+      framesPendingRef.current = Math.max(0, framesPendingRef.current - 1);
+      if (framesPendingRef.current > 0) {
+        invalidate();
       }
+    } catch (error) {
+      console.error('Render error:', error);
+      framesPendingRef.current = 0;
     }
-    
-    // Emit frame end event
-    emit(EVENT_TYPES.FRAME_END, { 
-      renderTime: performance.now() - lastRenderTimeRef.current,
-      quality: qualityLevelRef.current
-    });
   };
   
-  // Connect to R3F's frame loop for compatibility
+  // Connect to R3F's frame loop. Simulation systems advance through processFrame
+  // (variable or fixed timestep); rendering runs once per displayed frame.
+  // A positive priority takes over rendering from R3F while the pipeline is enabled.
   useFrame((state, delta) => {
     // Emit a frame event so that systems can update
     emit(EVENT_TYPES.FRAME_START, { 
@@ -253,21 +319,22 @@ const RenderingSystem = ({
       deltaTime: delta
     });
     
-    // If we have pending frames, trigger the rendering system
-    if (framesPendingRef.current > 0) {
-      performRender({ 
-        time: state.clock.elapsedTime, 
-        deltaTime: delta 
-      });
-    }
+    useEventSystem.getState().processFrame(performance.now());
+    
+    // Draw the frame through the active pipeline
+    performRender({ 
+      time: state.clock.elapsedTime, 
+      deltaTime: delta 
+    });
     
     // Always emit frame end
     emit(EVENT_TYPES.FRAME_END, { 
       time: state.clock.elapsedTime, 
       deltaTime: delta,
-      renderTime: performance.now() - lastRenderTimeRef.current
+      renderTime: performance.now() - lastRenderTimeRef.current,
+      quality: qualityLevelRef.current
     });
-  });
+  }, enabled ? 1 : 0);
   
   // Render nothing - this is just a system component
   return null;
@@ -2,30 +2,92 @@ import React, { useRef, useEffect } from 'react';
 import { useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 import { useEventSystem, EVENT_TYPES, PRIORITY } from './EventSystem';
+import { createCollisionWorld } from '../utils/collisionWorld';
+import { createNavigationGrid, findPath, smoothPath } from '../utils/pathfinding';
+import { useStore } from '../state/useStore';
+import { getQualitySettings } from '../utils/qualityTiers';
+import { generateModelLods } from '../utils/lodGenerator';
+import { createSpatialIndex } from '../utils/spatialIndex';
+import { createCitySectors } from '../utils/citySectors';
+import { createOcclusionCuller, tagOccluders } from '../utils/occlusionCulling';
+
+// Camera turn (radians) that counts as significant movement for re-culling
+const SIGNIFICANT_ROTATION = 0.05;
+
+// City sectors further than this (scaled by the quality tier) are culled.
+// The scene fog hides almost everything past it.
+const SECTOR_CULL_DISTANCE = 1500;
+
+// Curve points per waypoint segment in smoothed paths
+const PATH_SMOOTHING_SAMPLES = 8;
 
 // Spatial management system - handles culling, LOD, and spatial queries
-const SpatialSystem = ({ enabled = true }) => {
-  const { scene, camera } = useThree();
+const SpatialSystem = ({ enabled = true, occlusion = true }) => {
+  const { scene, camera, gl } = useThree();
   const isInitializedRef = useRef(false);
   const lastUpdateTimeRef = useRef(0);
   const updateIntervalRef = useRef(200); // ms between spatial updates
   const objectsMapRef = useRef(new Map());
   const lastCameraPositionRef = useRef(new THREE.Vector3());
+  const lastCameraQuaternionRef = useRef(new THREE.Quaternion());
+  const cameraPositionRef = useRef(new THREE.Vector3());
+  const objectPositionRef = useRef(new THREE.Vector3());
   const frameCountRef = useRef(0);
+  const forceUpdateRef = useRef(false);
+  
+  // Octree over every registered object; dynamic ones are re-measured each update
+  const spatialIndexRef = useRef(null);
+  if (!spatialIndexRef.current) {
+    spatialIndexRef.current = createSpatialIndex();
+  }
+  const dynamicIdsRef = useRef(new Set());
+  // Objects shown by the last update, so the ones that left the view can be hidden
+  const shownIdsRef = useRef(new Set());
+  const inViewRef = useRef([]);
+  
+  // City meshes grouped into grid sectors (utils/citySectors). Sectors are
+  // culled as a whole every frame the camera moves; meshes in visible sectors
+  // get LOD with the regular updates.
+  const citySectorsRef = useRef([]);
+  const lastSectorCameraMatrixRef = useRef(new THREE.Matrix4());
+  const sectorsDirtyRef = useRef(false);
+  
+  // Hierarchical-Z test against the city's own depth (utils/occlusionCulling),
+  // run after the sector frustum test
+  const occlusionCullerRef = useRef(null);
+  
+  // Static collision geometry (city meshes with per-geometry BVHs)
+  const collisionWorldRef = useRef(null);
+  if (!collisionWorldRef.current) {
+    collisionWorldRef.current = createCollisionWorld();
+  }
+  
+  // Voxel grid for drone routes, rebuilt whenever the city bounds change
+  const navigationGridRef = useRef(null);
+  
+  // Quality tier multiplier applied to every object's cullDistance
+  const cullDistanceScaleRef = useRef(getQualitySettings(useStore.getState().qualityTier).cullDistance);
   
   // Frustum for culling
   const frustumRef = useRef(new THREE.Frustum());
   const frustumMatrixRef = useRef(new THREE.Matrix4());
+  const boundsSphereRef = useRef(new THREE.Sphere());
   
   // Performance metrics
   const metricsRef = useRef({
     culledObjects: 0,
     visibleObjects: 0,
     lodChanges: 0,
+    sectors: 0,
+    visibleSectors: 0,
+    culledSectors: 0,
+    occludedSectors: 0,
+    occludedObjects: 0,
     lastUpdateTime: 0,
   });
   
-  // LOD settings
+  // LOD settings. `scale` is the share of triangles kept by the geometry
+  // generated for that level (utils/lodGenerator)
   const lodLevelsRef = useRef({
     FULL: { distance: 0, scale: 1.0 },
     HIGH: { distance: 50, scale: 0.8 },
@@ -69,31 +131,79 @@ const SpatialSystem = ({ enabled = true }) => {
       }
     });
     
-    const unsubscribeObjectRemoved = subscribe(objectsListenerId, EVENT_TYPES.OBJECT_REMOVED, (data) => {
+    const unsubscribeObjectRemoved = subscribe(`${objectsListenerId}-removed`, EVENT_TYPES.OBJECT_REMOVED, (data) => {
       if (data.object) {
         unregisterObject(data.object);
       }
     });
     
+    // Build collision BVHs once the city geometry is in the scene
+    const unsubscribeCityLoaded = subscribe('spatial-collision', EVENT_TYPES.ASSET_LOAD_COMPLETE, (data) => {
+      if (data.type === 'city' && data.object) {
+        const count = collisionWorldRef.current.addObject(data.object);
+        console.log(`Collision: indexed ${count} city meshes`);
+        // Occupancy cached before the city existed is stale
+        if (navigationGridRef.current) navigationGridRef.current.reset();
+        buildCitySectors(data.object);
+        // A failed simplifier (WASM init or odd geometry) only costs the LODs;
+        // meshes without lodGeometries keep drawing at full detail
+        generateCityLods(data.object).catch((error) => {
+          console.warn('LOD: city simplification failed, keeping full-detail geometry:', error);
+        });
+      }
+    });
+    
+    const unsubscribeCityBounds = subscribe('spatial-navigation', EVENT_TYPES.CITY_BOUNDS, (data) => {
+      if (!data.bounds) return;
+      navigationGridRef.current = createNavigationGrid(
+        data.bounds,
+        (center, radius) => !!collisionWorldRef.current.getContact(center, radius)
+      );
+    });
+    
+    // Lower quality tiers pull the cull distance in
+    const unsubscribeQualityTier = subscribe('spatial-quality', EVENT_TYPES.QUALITY_TIER, (data) => {
+      cullDistanceScaleRef.current = getQualitySettings(data.tier).cullDistance;
+      // Re-cull on the next update even if the camera hasn't moved
+      forceUpdateRef.current = true;
+      forceSectorUpdate();
+    });
+    
+    if (occlusion) {
+      occlusionCullerRef.current = createOcclusionCuller(gl);
+      if (!occlusionCullerRef.current.supported) {
+        console.warn('Spatial: float render targets are unavailable, occlusion culling is off');
+      }
+    }
+    
     // Initialize
     scanScene();
     isInitializedRef.current = true;
+    forceSectorUpdate();
     
     // Expose API globally for compatibility with existing code
     exposeGlobalAPI();
     
     // Clean up on unmount
     return () => {
+      isInitializedRef.current = false;
       unregister();
       unsubscribeObjectAdded();
       unsubscribeObjectRemoved();
+      unsubscribeCityLoaded();
+      unsubscribeCityBounds();
+      unsubscribeQualityTier();
+      if (occlusionCullerRef.current) {
+        occlusionCullerRef.current.dispose();
+        occlusionCullerRef.current = null;
+      }
       
       // Clean up global reference
       if (window.spatialManager === globalAPI) {
         delete window.spatialManager;
       }
     };
-  }, [enabled, scene, camera]);
+  }, [enabled, occlusion, scene, camera, gl]);
   
   // Scan the scene for objects to manage
   const scanScene = () => {
@@ -101,18 +211,73 @@ const SpatialSystem = ({ enabled = true }) => {
     
     // Clear existing objects
     objectsMapRef.current.clear();
+    spatialIndexRef.current.clear();
+    dynamicIdsRef.current.clear();
+    shownIdsRef.current.clear();
     
     // Traverse the scene
     scene.traverse((object) => {
+      // City meshes are registered through their sectors
+      if (object.userData.sectorId) return;
       if (object.isMesh && !object.userData.excludeFromSpatialManager) {
         // Auto-register with default settings
         registerObject(object);
       }
     });
+    registerSectorMeshes();
     
     console.log(`Found ${objectsMapRef.current.size} objects to manage`);
   };
   
+  // Partition the city into grid sectors. Culling happens per sector, so the
+  // meshes themselves are registered without a cull distance or frustum cull.
+  const buildCitySectors = (city) => {
+    citySectorsRef.current.forEach(sector => sector.meshes.forEach(unregisterObject));
+    
+    const { sectors } = createCitySectors(city);
+    citySectorsRef.current = sectors;
+    registerSectorMeshes();
+    metricsRef.current.sectors = sectors.length;
+    const occluders = tagOccluders(city);
+    forceSectorUpdate();
+    
+    console.log(`Spatial: partitioned the city into ${sectors.length} sectors, ${occluders} occluder meshes`);
+  };
+  
+  const registerSectorMeshes = () => {
+    citySectorsRef.current.forEach((sector) => {
+      sector.meshes.forEach((mesh) => {
+        registerObject(mesh, { sector, cullDistance: Infinity, frustumCull: false });
+      });
+    });
+  };
+  
+  // Re-test every sector on the next frame even if the camera hasn't moved
+  const forceSectorUpdate = () => {
+    sectorsDirtyRef.current = true;
+  };
+  
+  // Build simplified geometry for the city. Registered sector meshes pick it
+  // up on their next LOD pass.
+  const generateCityLods = async (city) => {
+    const startTime = performance.now();
+    const stats = await generateModelLods(city, { levels: lodLevelsRef.current });
+    if (!isInitializedRef.current) return;
+    
+    // Meshes still draw their original geometry, whatever level they were given
+    city.traverse((object) => {
+      const data = objectsMapRef.current.get(object.uuid);
+      if (data && object.userData.lodGeometries) data.lodLevel = 'FULL';
+    });
+    forceUpdateRef.current = true;
+    
+    const { FULL, VERY_LOW = FULL } = stats.triangles;
+    console.log(
+      `LOD: simplified ${stats.meshes} city meshes in ${(performance.now() - startTime).toFixed(0)}ms ` +
+      `(${Math.round(FULL / 1000)}k triangles at full detail, ${Math.round(VERY_LOW / 1000)}k at the lowest level)`
+    );
+  };
+  
   // Register an object for spatial management
   const registerObject = (object, options = {}) => {
     if (!object || !object.uuid) return false;
@@ -123,6 +288,7 @@ const SpatialSystem = ({ enabled = true }) => {
         dynamic: false,       // Dynamic objects move frequently
         lod: true,            // Whether to apply LOD to this object
         cullDistance: 500,    // Distance at which to cull this object
+        frustumCull: true,    // Hide the object while it is outside the view frustum
         active: true          // Currently active for processing
       };
       
@@ -135,14 +301,21 @@ const SpatialSystem = ({ enabled = true }) => {
       }
       
       // Store object with settings
-      objectsMapRef.current.set(object.uuid, {
+      const data = {
         object,
         settings,
         visible: true,
         lodLevel: 'FULL',
         lastLodCheck: 0,
         distanceToCamera: 0
-      });
+      };
+      objectsMapRef.current.set(object.uuid, data);
+      spatialIndexRef.current.insert(object.uuid, object, data);
+      if (settings.dynamic) {
+        dynamicIdsRef.current.add(object.uuid);
+      } else {
+        dynamicIdsRef.current.delete(object.uuid);
+      }
       
       return true;
     } catch (error) {
@@ -156,12 +329,26 @@ const SpatialSystem = ({ enabled = true }) => {
     if (!object || !object.uuid) return false;
     
     try {
-      // Restore original material if exists
+      // Restore original material and geometry if they were swapped for LOD
       if (object.userData.originalMaterial) {
         object.material = object.userData.originalMaterial;
       }
+      if (object.userData.originalGeometry) {
+        object.geometry = object.userData.originalGeometry;
+      }
       
-      // Remove from map
+      // Leave its sector, and don't stay hidden with it
+      const data = objectsMapRef.current.get(object.uuid);
+      const sector = data?.settings.sector;
+      if (sector) {
+        sector.meshes = sector.meshes.filter(mesh => mesh !== object);
+        object.visible = true;
+      }
+      
+      // Remove from map and index
+      spatialIndexRef.current.remove(object.uuid);
+      dynamicIdsRef.current.delete(object.uuid);
+      shownIdsRef.current.delete(object.uuid);
       const result = objectsMapRef.current.delete(object.uuid);
       return result;
     } catch (error) {
@@ -177,6 +364,9 @@ const SpatialSystem = ({ enabled = true }) => {
     // Increment frame counter
     frameCountRef.current++;
     
+    // Sector culling is cheap and must keep up with the camera
+    updateSectorVisibility();
+    
     // Check if we need to update based on time interval
     const now = performance.now();
     if (now - lastUpdateTimeRef.current < updateIntervalRef.current) {
@@ -184,16 +374,18 @@ const SpatialSystem = ({ enabled = true }) => {
     }
     
     // Get camera position
-    const cameraPosition = camera.position.clone();
+    const cameraPosition = cameraPositionRef.current.copy(camera.position);
     
-    // Calculate distance moved since last update
+    // Calculate distance moved (or angle turned) since last update
     const cameraMovement = cameraPosition.distanceTo(lastCameraPositionRef.current);
-    const significantMovement = cameraMovement > 1.0;
+    const significantMovement = cameraMovement > 1.0 ||
+      camera.quaternion.angleTo(lastCameraQuaternionRef.current) > SIGNIFICANT_ROTATION;
     
     // Skip update if camera hasn't moved much and we're not forcing update
-    if (!significantMovement && frameCountRef.current % 10 !== 0) {
+    if (!significantMovement && !forceUpdateRef.current && frameCountRef.current % 10 !== 0) {
       return;
     }
+    forceUpdateRef.current = false;
     
     // Reset metrics
     metricsRef.current.culledObjects = 0;
@@ -204,11 +396,16 @@ const SpatialSystem = ({ enabled = true }) => {
     // Update frustum for culling
     updateFrustum();
     
+    // Move dynamic objects to their new place in the index
+    dynamicIdsRef.current.forEach(id => spatialIndexRef.current.update(id));
+    
     // Process all managed objects
     processSpatialObjects(cameraPosition);
+    processSectorMeshes(cameraPosition);
     
-    // Store camera position for next update
+    // Store camera pose for next update
     lastCameraPositionRef.current.copy(cameraPosition);
+    lastCameraQuaternionRef.current.copy(camera.quaternion);
     lastUpdateTimeRef.current = now;
     
     // Request a render if we made changes
@@ -222,6 +419,8 @@ const SpatialSystem = ({ enabled = true }) => {
   
   // Update frustum for culling
   const updateFrustum = () => {
+    // The camera may have moved since the last render updated its matrices
+    camera.updateMatrixWorld();
     frustumMatrixRef.current.multiplyMatrices(
       camera.projectionMatrix,
       camera.matrixWorldInverse
@@ -229,14 +428,19 @@ const SpatialSystem = ({ enabled = true }) => {
     frustumRef.current.setFromProjectionMatrix(frustumMatrixRef.current);
   };
   
-  // Process all spatial objects
+  // Process the objects in view. The index hands back only what intersects
+  // the frustum; objects shown last time that aren't in view any more are hidden.
   const processSpatialObjects = (cameraPosition) => {
-    // First, handle frustum culling (fast)
-    objectsMapRef.current.forEach((data, uuid) => {
+    const inView = inViewRef.current;
+    inView.length = 0;
+    spatialIndexRef.current.queryFrustum(frustumRef.current, inView);
+    
+    const shownIds = new Set();
+    inView.forEach(({ id, data }) => {
       const { object, settings } = data;
       
-      // Skip inactive objects
-      if (!settings.active) return;
+      // Skip inactive objects and city meshes (see processSectorMeshes)
+      if (!settings.active || settings.sector) return;
       
       // Important objects are always visible
       if (settings.important) {
@@ -246,12 +450,11 @@ const SpatialSystem = ({ enabled = true }) => {
       }
       
       // Simple distance check
-      const objectPosition = getObjectPosition(object);
-      const distance = objectPosition.distanceTo(cameraPosition);
+      const distance = getObjectDistance(object, cameraPosition);
       data.distanceToCamera = distance;
       
       // Cull distant objects
-      if (distance > settings.cullDistance) {
+      if (distance > settings.cullDistance * cullDistanceScaleRef.current) {
         if (object.visible) {
           object.visible = false;
           metricsRef.current.culledObjects++;
@@ -259,24 +462,11 @@ const SpatialSystem = ({ enabled = true }) => {
         return;
       }
       
-      // Frustum culling when object has geometry
-      if (object.geometry && object.geometry.boundingSphere) {
-        const sphere = object.geometry.boundingSphere.clone();
-        sphere.applyMatrix4(object.matrixWorld);
-        
-        if (!frustumRef.current.intersectsSphere(sphere)) {
-          if (object.visible) {
-            object.visible = false;
-            metricsRef.current.culledObjects++;
-          }
-          return;
-        }
-      }
-      
       // If we got here, object is potentially visible
       if (!object.visible) {
         object.visible = true;
       }
+      shownIds.add(id);
       
       // Apply LOD if enabled
       if (settings.lod) {
@@ -285,13 +475,116 @@ const SpatialSystem = ({ enabled = true }) => {
       
       metricsRef.current.visibleObjects++;
     });
+    
+    // Frustum culling for objects that left the view
+    shownIdsRef.current.forEach((id) => {
+      if (shownIds.has(id)) return;
+      const data = objectsMapRef.current.get(id);
+      if (!data || !data.settings.active || !data.settings.frustumCull) return;
+      if (data.object.visible) {
+        data.object.visible = false;
+        metricsRef.current.culledObjects++;
+      }
+    });
+    shownIdsRef.current = shownIds;
+  };
+  
+  // Show or hide whole city sectors by frustum and distance, then by
+  // occlusion: first the sector's bounds, then each mesh in a sector that is
+  // still visible. Runs every frame the camera moved or a new occlusion depth
+  // readback landed, so nothing that turns into view shows up late.
+  const updateSectorVisibility = () => {
+    const sectors = citySectorsRef.current;
+    if (sectors.length === 0) return;
+    
+    camera.updateMatrixWorld();
+    const culler = occlusionCullerRef.current;
+    // Polls the readback and starts a new capture once the camera moved far enough
+    if (culler && culler.update(scene, camera)) sectorsDirtyRef.current = true;
+    if (!sectorsDirtyRef.current && camera.matrixWorld.equals(lastSectorCameraMatrixRef.current)) return;
+    sectorsDirtyRef.current = false;
+    lastSectorCameraMatrixRef.current.copy(camera.matrixWorld);
+    updateFrustum();
+    
+    const cameraPosition = cameraPositionRef.current.setFromMatrixPosition(camera.matrixWorld);
+    const cullDistance = SECTOR_CULL_DISTANCE * cullDistanceScaleRef.current;
+    const occlusionReady = !!culler && culler.supported;
+    const metrics = metricsRef.current;
+    let visibleSectors = 0;
+    let changed = false;
+    metrics.occludedSectors = 0;
+    metrics.occludedObjects = 0;
+    
+    sectors.forEach((sector) => {
+      const inView = sector.box.distanceToPoint(cameraPosition) <= cullDistance &&
+        frustumRef.current.intersectsBox(sector.box);
+      const occluded = inView && occlusionReady && culler.isOccluded(sector.box);
+      const visible = inView && !occluded;
+      if (visible) visibleSectors++;
+      if (occluded) metrics.occludedSectors++;
+      
+      // Hidden before and after: its meshes are already hidden
+      if (!visible && !sector.visible) return;
+      sector.visible = visible;
+      
+      sector.meshes.forEach((mesh) => {
+        const data = objectsMapRef.current.get(mesh.uuid);
+        if (!data || !data.settings.active) return;
+        
+        let meshVisible = visible;
+        if (visible && occlusionReady) {
+          const entry = spatialIndexRef.current.get(mesh.uuid);
+          if (entry && culler.isOccluded(entry.box)) {
+            meshVisible = false;
+            metrics.occludedObjects++;
+          }
+        }
+        if (mesh.visible !== meshVisible) {
+          mesh.visible = meshVisible;
+          changed = true;
+        }
+      });
+    });
+    
+    metrics.visibleSectors = visibleSectors;
+    metrics.culledSectors = sectors.length - visibleSectors;
+    if (changed) emit(EVENT_TYPES.RENDER_NEEDED);
+  };
+  
+  // Per-mesh LOD, only for meshes in sectors that passed the sector tests
+  const processSectorMeshes = (cameraPosition) => {
+    citySectorsRef.current.forEach((sector) => {
+      if (!sector.visible) return;
+      sector.meshes.forEach((mesh) => {
+        const data = objectsMapRef.current.get(mesh.uuid);
+        if (!data || !data.settings.active) return;
+        
+        const distance = getObjectDistance(mesh, cameraPosition);
+        data.distanceToCamera = distance;
+        if (data.settings.lod) {
+          applyLOD(mesh, distance);
+        }
+        // Occluded meshes keep their LOD current but don't count as visible
+        if (mesh.visible) metricsRef.current.visibleObjects++;
+      });
+    });
   };
   
   // Helper to get object position
-  const getObjectPosition = (object) => {
-    const position = new THREE.Vector3();
-    object.getWorldPosition(position);
-    return position;
+  const getObjectPosition = (object) => object.getWorldPosition(objectPositionRef.current);
+  
+  // Distance from the camera to an object's bounds. Meshes in imported models
+  // often share the model's origin, far from their own vertices.
+  const getObjectDistance = (object, cameraPosition) => {
+    const { geometry } = object;
+    if (!geometry?.attributes?.position) {
+      return getObjectPosition(object).distanceTo(cameraPosition);
+    }
+    // Instanced meshes are measured by all of their instances
+    const bounds = object.isInstancedMesh ? object : geometry;
+    if (!bounds.boundingSphere) bounds.computeBoundingSphere();
+    const sphere = boundsSphereRef.current.copy(bounds.boundingSphere).applyMatrix4(object.matrixWorld);
+    return Math.max(0, sphere.distanceToPoint(cameraPosition));
   };
   
   // Determine LOD level based on distance
@@ -319,11 +612,14 @@ const SpatialSystem = ({ enabled = true }) => {
     data.lodLevel = lodLevel;
     metricsRef.current.lodChanges++;
     
-    // Apply LOD changes here
-    // This could involve changing materials, geometries, etc.
-    // For compatibility with existing code, we'll check for 
-    // userData.lodMaterials and use those if available
+    // Swap in the generated geometry for this level (utils/lodGenerator);
+    // FULL and levels without one use the original
+    const { lodGeometries, originalGeometry } = object.userData;
+    if (lodGeometries) {
+      object.geometry = lodGeometries[lodLevel] || originalGeometry;
+    }
     
+    // Material swaps for objects that provide userData.lodMaterials
     if (object.userData.lodMaterials && object.userData.lodMaterials[lodLevel]) {
       object.material = object.userData.lodMaterials[lodLevel];
     } else if (lodLevel === 'FULL' && object.userData.originalMaterial) {
@@ -337,10 +633,45 @@ const SpatialSystem = ({ enabled = true }) => {
     registerObject: (object, options) => registerObject(object, options),
     unregisterObject: (object) => unregisterObject(object),
     getPerformanceMetrics: () => ({ ...metricsRef.current }),
-    checkCollisions: (position, velocity, distance = 0.5) => {
-      // Simplified collision detection
-      return { hasCollision: false };
+    // City sectors: { id, x, z, box, meshes, visible }
+    getSectors: () => citySectorsRef.current,
+    // Spatial queries over registered objects (bounds-level, see utils/spatialIndex)
+    queryRadius: (point, radius) =>
+      spatialIndexRef.current.queryRadius(point, radius).map(entry => entry.object),
+    // Defaults to the camera frustum from the last spatial update
+    queryFrustum: (frustum = frustumRef.current) =>
+      spatialIndexRef.current.queryFrustum(frustum).map(entry => entry.object),
+    // Triangle-accurate hits by default, nearest first: raycast(ray, { far, precise, filter })
+    raycast: (ray, { filter, ...options } = {}) =>
+      spatialIndexRef.current.raycast(ray, { ...options, filter: filter && (entry => filter(entry.object)) }),
+    // Closest registered object to a point, optionally only those passing filter(object)
+    nearest: (point, filter) => {
+      const result = spatialIndexRef.current.nearest(point, filter && (entry => filter(entry.object)));
+      return result ? { object: result.entry.object, distance: result.distance } : null;
+    },
+    // Move a sphere of radius `distance` from `position` by `velocity` (this frame's
+    // displacement) against the city. Returns the resolved position and the contact.
+    checkCollisions: (position, velocity, distance = 0.5, options) => {
+      const result = collisionWorldRef.current.moveSphere(position, velocity, distance, options);
+      return {
+        hasCollision: result.hasCollision,
+        position: result.position,
+        normal: result.normal,
+        point: result.point,
+        meshName: result.mesh ? result.mesh.name : null,
+      };
+    },
+    // Collision-free route from start to goal as a smoothed list of points
+    // (start and goal included), or null when there is no grid or no route
+    findPath: (start, goal, { smooth = true } = {}) => {
+      const grid = navigationGridRef.current;
+      if (!grid) return null;
+      const waypoints = findPath(grid, start, goal);
+      if (!waypoints) return null;
+      return smooth ? smoothPath(waypoints, PATH_SMOOTHING_SAMPLES, grid) : waypoints;
     },
+    addCollider: (object) => collisionWorldRef.current.addObject(object),
+    removeCollider: (object) => collisionWorldRef.current.removeObject(object),
     addUpdateCallback: (callback) => {
       // Not implemented in this version
       return () => {};
@@ -0,0 +1,154 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { useStore } from '../state/useStore';
+import { useEventListener, EVENT_TYPES } from './EventSystem';
+import { flyToProject, getTourStops } from '../utils/navigationUtils';
+
+// Give up waiting for DRONE_ARRIVED after this long (ms) and show the stop anyway
+const ARRIVAL_TIMEOUT = 12000;
+
+/**
+ * Guided tour / autopilot. Drives the drone, camera and overlay through every
+ * project while the store's tour status is 'playing'. Controls live in the
+ * store (startTour, pauseTour, resumeTour, skipTourStop, stopTour).
+ * Mount once, outside the Canvas.
+ *
+ * @param {number} dwellTime - Seconds each project overlay stays open
+ */
+const TourSystem = ({ dwellTime = 15 }) => {
+  const status = useStore(state => state.tour.status);
+  const index = useStore(state => state.tour.index);
+
+  // 'flying' -> 'arrived' -> 'dwelling' for the current stop
+  const phaseRef = useRef(null);
+  const stopIndexRef = useRef(-1);
+  const projectRef = useRef(null);
+  const timerRef = useRef(null);
+  const dwellRemainingRef = useRef(0);
+  const dwellStartedRef = useRef(0);
+  // Set while the tour itself hides the overlay so it isn't mistaken for the visitor closing it
+  const hidingOverlayRef = useRef(false);
+
+  const clearTimer = () => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+  };
+
+  const hideOverlay = () => {
+    hidingOverlayRef.current = true;
+    useStore.getState().hideOverlay();
+    hidingOverlayRef.current = false;
+  };
+
+  const beginDwell = useCallback((remaining) => {
+    const project = projectRef.current;
+    if (!project) return;
+    clearTimer();
+    phaseRef.current = 'dwelling';
+    dwellRemainingRef.current = remaining;
+    dwellStartedRef.current = performance.now();
+    const store = useStore.getState();
+    if (!store.isOverlayVisible) {
+      store.showOverlay(project);
+    }
+    timerRef.current = setTimeout(() => {
+      timerRef.current = null;
+      useStore.getState().skipTourStop();
+    }, remaining);
+  }, []);
+
+  const handleArrival = useCallback(() => {
+    if (phaseRef.current !== 'flying') return;
+    clearTimer();
+    phaseRef.current = 'arrived';
+    if (useStore.getState().tour.status === 'playing') {
+      beginDwell(dwellTime * 1000);
+    }
+  }, [beginDwell, dwellTime]);
+
+  // Advance, pause and resume whenever the tour state changes
+  useEffect(() => {
+    if (status === 'idle') {
+      clearTimer();
+      phaseRef.current = null;
+      stopIndexRef.current = -1;
+      projectRef.current = null;
+      return;
+    }
+
+    if (status === 'paused') {
+      clearTimer();
+      if (phaseRef.current === 'dwelling') {
+        const elapsed = performance.now() - dwellStartedRef.current;
+        dwellRemainingRef.current = Math.max(0, dwellRemainingRef.current - elapsed);
+      }
+      return;
+    }
+
+    const flyToStop = () => {
+      phaseRef.current = 'flying';
+      flyToProject(projectRef.current, { openOverlay: false, source: 'tour', duration: 2.5 });
+      timerRef.current = setTimeout(() => {
+        timerRef.current = null;
+        handleArrival();
+      }, ARRIVAL_TIMEOUT);
+    };
+
+    // Playing: resume the current stop
+    if (stopIndexRef.current === index) {
+      if (phaseRef.current === 'arrived') {
+        beginDwell(dwellTime * 1000);
+      } else if (phaseRef.current === 'dwelling') {
+        beginDwell(dwellRemainingRef.current);
+      } else {
+        // The flight may have been interrupted (e.g. by manual control) - fly again
+        flyToStop();
+      }
+      return;
+    }
+
+    // Playing: start a new stop
+    const { projects, tourOrder, stopTour } = useStore.getState();
+    const stops = getTourStops(projects, tourOrder);
+    clearTimer();
+    hideOverlay();
+    if (index >= stops.length) {
+      stopTour();
+      return;
+    }
+
+    stopIndexRef.current = index;
+    projectRef.current = stops[index];
+    flyToStop();
+  }, [status, index, dwellTime, beginDwell, handleArrival]);
+
+  // Clear pending timers on unmount
+  useEffect(() => clearTimer, []);
+
+  // Event listeners subscribe once, so call through a ref to see the latest dwellTime
+  const handleArrivalRef = useRef(handleArrival);
+  handleArrivalRef.current = handleArrival;
+  useEventListener(EVENT_TYPES.DRONE_ARRIVED, () => handleArrivalRef.current());
+
+  // Closing the overlay by hand skips ahead to the next stop
+  useEventListener(EVENT_TYPES.UI_OVERLAY_HIDE, () => {
+    if (hidingOverlayRef.current || phaseRef.current !== 'dwelling') return;
+    const { tour, skipTourStop } = useStore.getState();
+    if (tour.status === 'playing') {
+      skipTourStop();
+    }
+  });
+
+  // Taking the controls pauses the autopilot
+  useEventListener(EVENT_TYPES.DRONE_FLIGHT_MODE, (event) => {
+    if (event.mode === 'manual') {
+      useStore.getState().pauseTour();
+    }
+  });
+
+  // This component doesn't render anything
+  return null;
+};
+
+export default TourSystem;
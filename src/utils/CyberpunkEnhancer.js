@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { BLOOM_LAYER, BLOOM_MATERIAL_TYPES } from './bloomLayers';
 
 /**
  * CyberpunkEnhancer provides utilities for enhancing 3D models with a cyberpunk aesthetic
@@ -221,7 +222,7 @@ export class CyberpunkEnhancer {
     model.traverse((object) => {
       if (object.isMesh && object.material) {
         // Determine material type based on object characteristics
-        const materialType = this.determineMaterialType(object);
+        const materialType = this.tagObject(object);
         
         // Store original material if not already done
         if (!object.userData.originalMaterial) {
@@ -247,6 +248,39 @@ export class CyberpunkEnhancer {
     };
   }
 
+  /**
+   * Record an object's material type in userData.materialType and put
+   * glowing types on the bloom layer
+   * 
+   * @param {THREE.Object3D} object - The 3D object to tag
+   * @returns {string} Material type identifier
+   */
+  tagObject(object) {
+    const materialType = this.determineMaterialType(object);
+    object.userData.materialType = materialType;
+    if (BLOOM_MATERIAL_TYPES.includes(materialType)) {
+      object.layers.enable(BLOOM_LAYER);
+    }
+    return materialType;
+  }
+
+  /**
+   * Tag every mesh in a model without touching its materials
+   * 
+   * @param {THREE.Object3D} model - The model to tag
+   * @returns {Object} Mesh counts by material type
+   */
+  tagModel(model) {
+    const counts = {};
+    model.traverse((object) => {
+      if (object.isMesh) {
+        const materialType = this.tagObject(object);
+        counts[materialType] = (counts[materialType] || 0) + 1;
+      }
+    });
+    return counts;
+  }
+
   /**
    * Add environment maps to all materials in a model
    * 
@@ -8,13 +8,24 @@ import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPa
  * and optimized texture operations.
  */
 class RenderingManager {
-  constructor(renderer, scene, camera) {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+   * @param {THREE.Scene} scene - Scene to render
+   * @param {THREE.Camera} camera - Camera to render from
+   * @param {Object} options - Optional size overrides (defaults to the window)
+   * @param {number} options.width - Drawing width in CSS pixels
+   * @param {number} options.height - Drawing height in CSS pixels
+   * @param {number} options.pixelRatio - Device pixel ratio
+   */
+  constructor(renderer, scene, camera, options = {}) {
     this.renderer = renderer;
     this.scene = scene;
     this.camera = camera;
     
     // Initialize properties
-    this.pixelRatio = window.devicePixelRatio;
+    this.width = options.width ?? window.innerWidth;
+    this.height = options.height ?? window.innerHeight;
+    this.pixelRatio = options.pixelRatio ?? window.devicePixelRatio;
     this.moving = false;
     this.adaptiveResolution = true;
     this.lastFrameTime = performance.now();
@@ -22,6 +33,10 @@ class RenderingManager {
     this.resolutionScale = 1.0;
     this.initialized = false;
     
+    // Bloom settings used by the composite pass
+    this.bloomStrength = 1.0;
+    this.bloomThreshold = 0.25;
+    
     // Performance monitoring
     this.drawCallsPerFrame = 0;
     this.trianglesPerFrame = 0;
@@ -38,6 +53,7 @@ class RenderingManager {
     this.render = this.render.bind(this);
     this.updateMovingState = this.updateMovingState.bind(this);
     this.resize = this.resize.bind(this);
+    this.setSize = this.setSize.bind(this);
     
     // Mark as initialized
     this.initialized = true;
@@ -48,8 +64,8 @@ class RenderingManager {
    */
   _setupRenderTargets() {
     // Calculate size
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const width = this.width;
+    const height = this.height;
     
     // Shared parameters for render targets
     const parameters = {
@@ -69,19 +85,6 @@ class RenderingManager {
       parameters
     );
     
-    // Depth pre-pass target (for optimizing deferred operations)
-    this.depthTarget = new THREE.WebGLRenderTarget(
-      width * this.pixelRatio * this.resolutionScale, 
-      height * this.pixelRatio * this.resolutionScale,
-      {
-        ...parameters,
-        depthTexture: new THREE.DepthTexture(
-          width * this.pixelRatio * this.resolutionScale,
-          height * this.pixelRatio * this.resolutionScale
-        )
-      }
-    );
-    
     // Lower resolution targets for post-processing
     // Half-res bloom target
     this.bloomTargetHalfRes = new THREE.WebGLRenderTarget(
@@ -162,7 +165,7 @@ class RenderingManager {
     
     // Create bloom pass
     this.bloomPass = new UnrealBloomPass(
-      new THREE.Vector2(window.innerWidth, window.innerHeight),
+      new THREE.Vector2(this.width, this.height),
       0.7, // strength
       0.5, // radius
       0.4  // threshold
@@ -172,7 +175,7 @@ class RenderingManager {
     this.horizontalBlurPass = new ShaderPass({
       uniforms: {
         "tDiffuse": { value: null },
-        "h": { value: 1.0 / (window.innerWidth * this.pixelRatio * 0.25) }
+        "h": { value: 1.0 / (this.width * this.pixelRatio * 0.25) }
       },
       vertexShader: `
         varying vec2 vUv;
@@ -205,7 +208,7 @@ class RenderingManager {
     this.verticalBlurPass = new ShaderPass({
       uniforms: {
         "tDiffuse": { value: null },
-        "v": { value: 1.0 / (window.innerHeight * this.pixelRatio * 0.25) }
+        "v": { value: 1.0 / (this.height * this.pixelRatio * 0.25) }
       },
       vertexShader: `
         varying vec2 vUv;
@@ -281,7 +284,7 @@ class RenderingManager {
   }
   
   /**
-   * Handle window resize events
+   * Handle window resize events when the manager owns the canvas
    */
   resize() {
     if (!this.initialized) return;
@@ -298,21 +301,28 @@ class RenderingManager {
     // Update renderer
     this.renderer.setSize(width, height);
     
+    this.setSize(width, height);
+  }
+  
+  /**
+   * Resize the render targets only. Use this when something else (e.g. R3F)
+   * manages the canvas, camera aspect and renderer size.
+   *
+   * @param {number} width - Drawing width in CSS pixels
+   * @param {number} height - Drawing height in CSS pixels
+   */
+  setSize(width = this.width, height = this.height) {
+    if (!this.initialized) return;
+    
+    this.width = width;
+    this.height = height;
+    
     // Resize render targets with current resolution scale
     this.sceneTarget.setSize(
       width * this.pixelRatio * this.resolutionScale, 
       height * this.pixelRatio * this.resolutionScale
     );
     
-    this.depthTarget.setSize(
-      width * this.pixelRatio * this.resolutionScale, 
-      height * this.pixelRatio * this.resolutionScale
-    );
-    
-    // Resize depth texture
-    this.depthTarget.depthTexture.image.width = width * this.pixelRatio * this.resolutionScale;
-    this.depthTarget.depthTexture.image.height = height * this.pixelRatio * this.resolutionScale;
-    
     // Resize bloom target
     this.bloomTargetHalfRes.setSize(
       Math.floor(width * this.pixelRatio * 0.5), 
@@ -344,6 +354,29 @@ class RenderingManager {
     if (this.onResize) this.onResize(width, height);
   }
   
+  /**
+   * Set the scene resolution scale (bloom and blur targets keep their fixed ratios)
+   *
+   * @param {number} scale - Fraction of full resolution (0-1)
+   */
+  setResolutionScale(scale) {
+    if (Math.abs(scale - this.resolutionScale) < 0.001) return;
+    this.resolutionScale = scale;
+    this.setSize();
+  }
+  
+  /**
+   * Update bloom settings
+   *
+   * @param {Object} options - Bloom options
+   * @param {number} options.bloomStrength - Bloom intensity in the composite pass
+   * @param {number} options.bloomThreshold - Luminance above which pixels bloom
+   */
+  configure({ bloomStrength, bloomThreshold } = {}) {
+    if (typeof bloomStrength === 'number') this.bloomStrength = bloomStrength;
+    if (typeof bloomThreshold === 'number') this.bloomThreshold = bloomThreshold;
+  }
+  
   /**
    * Update the moving state based on velocity
    * @param {THREE.Vector3} velocity - Current velocity
@@ -358,45 +391,11 @@ class RenderingManager {
       
       // Adjust resolution scale based on movement for adaptive resolution
       if (this.adaptiveResolution) {
-        this.resolutionScale = this.moving ? 0.7 : 1.0;
-        this.resize();
+        this.setResolutionScale(this.moving ? 0.7 : 1.0);
       }
     }
   }
   
-  /**
-   * Perform a depth pre-pass for optimized rendering
-   */
-  renderDepthPrePass() {
-    // Set render target
-    this.renderer.setRenderTarget(this.depthTarget);
-    
-    // Clear depth buffer
-    this.renderer.clearDepth();
-    
-    // Create a copy of the scene with only objects that cast shadows
-    const depthScene = new THREE.Scene();
-    this.scene.traverse((object) => {
-      if (object.isMesh && object.castShadow) {
-        depthScene.add(object.clone());
-      }
-    });
-    
-    // Set material override for depth rendering
-    const depthMaterial = new THREE.MeshDepthMaterial({
-      depthPacking: THREE.RGBADepthPacking,
-      side: THREE.DoubleSide
-    });
-    
-    depthScene.overrideMaterial = depthMaterial;
-    
-    // Render depth only
-    this.renderer.render(depthScene, this.camera);
-    
-    // Reset render target
-    this.renderer.setRenderTarget(null);
-  }
-  
   /**
    * Update cache of uniforms that should only be updated when needed
    * @param {Object} material - Material to update
@@ -443,85 +442,88 @@ class RenderingManager {
     if (this.adaptiveResolution && this.moving) {
       if (this.fps < 30 && this.resolutionScale > 0.5) {
         // Decrease resolution scale
-        this.resolutionScale = Math.max(0.5, this.resolutionScale - 0.05);
-        this.resize();
+        this.setResolutionScale(Math.max(0.5, this.resolutionScale - 0.05));
       } else if (this.fps > 50 && this.resolutionScale < 0.7) {
         // Increase resolution scale
-        this.resolutionScale = Math.min(0.7, this.resolutionScale + 0.05);
-        this.resize();
+        this.setResolutionScale(Math.min(0.7, this.resolutionScale + 0.05));
       }
     } else if (this.adaptiveResolution && !this.moving && this.resolutionScale < 1.0) {
       // When not moving, gradually restore full resolution
-      this.resolutionScale = Math.min(1.0, this.resolutionScale + 0.02);
-      this.resize();
+      this.setResolutionScale(Math.min(1.0, this.resolutionScale + 0.02));
     }
     
-    // Get draw call stats
+    // Draw call stats for the previous frame (the host decides when renderer.info resets)
     this.drawCallsPerFrame = this.renderer.info.render.calls;
     this.trianglesPerFrame = this.renderer.info.render.triangles;
-    
-    // Reset renderer stats for next frame
-    this.renderer.info.reset();
   }
   
   /**
-   * Main render function that manages the multi-pass rendering pipeline
+   * Threshold the scene into the half-res bloom target and blur it in place
    */
-  render() {
-    if (!this.initialized) return;
-    
-    // Monitor performance
-    this._monitorPerformance();
-    
-    // Store original clear color
-    const originalClearColor = this.renderer.getClearColor(new THREE.Color());
-    const originalClearAlpha = this.renderer.getClearAlpha();
-    
-    // 1. Optional: Depth pre-pass for complex scenes
-    // Uncomment if needed for optimization
-    // this.renderDepthPrePass();
-    
-    // 2. Render scene to main render target
-    this.renderer.setRenderTarget(this.sceneTarget);
-    this.renderer.setClearColor(0x000000, 1.0);
-    this.renderer.clear();
-    this.renderer.render(this.scene, this.camera);
-    
-    // 3. Extract bright areas for bloom using the threshold pass
+  _renderBloom() {
+    // Extract bright areas for bloom using the threshold pass
     this.renderer.setRenderTarget(this.bloomTargetHalfRes);
     this.renderer.clear();
     
     // Set uniforms for threshold pass
     this.thresholdPass.uniforms.tDiffuse.value = this.sceneTarget.texture;
-    this.thresholdPass.uniforms.luminosityThreshold.value = 0.25;
+    this.thresholdPass.uniforms.luminosityThreshold.value = this.bloomThreshold;
     this.thresholdPass.uniforms.smoothWidth.value = 0.01;
     
-    // Render threshold pass
-    this.thresholdPass.render(this.renderer, this.bloomTargetHalfRes);
+    // Render threshold pass (ShaderPass reads tDiffuse from the read buffer)
+    this.thresholdPass.render(this.renderer, this.bloomTargetHalfRes, this.sceneTarget);
     
-    // 4. Apply ping-pong Gaussian blur for bloom effect
+    // Apply ping-pong Gaussian blur for bloom effect
     // Horizontal blur: bloomTargetHalfRes -> blurTargetA
     this.renderer.setRenderTarget(this.blurTargetA);
     this.renderer.clear();
     this.horizontalBlurPass.uniforms.tDiffuse.value = this.bloomTargetHalfRes.texture;
-    this.horizontalBlurPass.render(this.renderer, this.blurTargetA);
+    this.horizontalBlurPass.render(this.renderer, this.blurTargetA, this.bloomTargetHalfRes);
     
     // Vertical blur: blurTargetA -> blurTargetB
     this.renderer.setRenderTarget(this.blurTargetB);
     this.renderer.clear();
     this.verticalBlurPass.uniforms.tDiffuse.value = this.blurTargetA.texture;
-    this.verticalBlurPass.render(this.renderer, this.blurTargetB);
+    this.verticalBlurPass.render(this.renderer, this.blurTargetB, this.blurTargetA);
     
     // Another pass of blur for better quality
     this.renderer.setRenderTarget(this.blurTargetA);
     this.renderer.clear();
     this.horizontalBlurPass.uniforms.tDiffuse.value = this.blurTargetB.texture;
-    this.horizontalBlurPass.render(this.renderer, this.blurTargetA);
+    this.horizontalBlurPass.render(this.renderer, this.blurTargetA, this.blurTargetB);
     
     this.renderer.setRenderTarget(this.bloomTargetHalfRes);
     this.renderer.clear();
     this.verticalBlurPass.uniforms.tDiffuse.value = this.blurTargetA.texture;
-    this.verticalBlurPass.render(this.renderer, this.bloomTargetHalfRes);
+    this.verticalBlurPass.render(this.renderer, this.bloomTargetHalfRes, this.blurTargetA);
+  }
+  
+  /**
+   * Main render function that manages the multi-pass rendering pipeline
+   */
+  render() {
+    if (!this.initialized) return;
+    
+    // Monitor performance
+    this._monitorPerformance();
+    
+    // Store original clear color
+    const originalClearColor = this.renderer.getClearColor(new THREE.Color());
+    const originalClearAlpha = this.renderer.getClearAlpha();
+    
+    // 1. Occlusion culling already ran in SpatialSystem (utils/occlusionCulling),
+    // so occluded city meshes are hidden by now
+    
+    // 2. Render scene to main render target
+    this.renderer.setRenderTarget(this.sceneTarget);
+    this.renderer.setClearColor(0x000000, 1.0);
+    this.renderer.clear();
+    this.renderer.render(this.scene, this.camera);
+    
+    // 3-4. Threshold and blur for bloom (skipped entirely when bloom is off)
+    if (this.bloomStrength > 0) {
+      this._renderBloom();
+    }
     
     // 5. Final composition pass
     this.renderer.setRenderTarget(null); // Render to screen
@@ -530,11 +532,12 @@ class RenderingManager {
     // Set uniforms for final composition
     this.compositePass.uniforms.tScene.value = this.sceneTarget.texture;
     this.compositePass.uniforms.tBloom.value = this.bloomTargetHalfRes.texture;
-    this.compositePass.uniforms.bloomStrength.value = this.moving ? 0.8 : 1.0; // Reduce bloom when moving
+    this.compositePass.uniforms.bloomStrength.value = this.bloomStrength * (this.moving ? 0.8 : 1.0); // Reduce bloom when moving
     this.compositePass.uniforms.toneMappingExposure.value = 1.0;
     this.compositePass.uniforms.vignetteAmount.value = this.moving ? 0.8 : 0.7; // Enhance vignette when moving
     
     // Render to screen
+    this.compositePass.renderToScreen = true;
     this.compositePass.render(this.renderer, null);
     
     // Restore original clear color
@@ -547,12 +550,18 @@ class RenderingManager {
   dispose() {
     // Dispose render targets
     this.sceneTarget.dispose();
-    this.depthTarget.dispose();
     this.bloomTargetHalfRes.dispose();
     this.blurTargetA.dispose();
     this.blurTargetB.dispose();
     this.finalTarget.dispose();
     
+    // Dispose pass materials
+    this.thresholdPass.dispose();
+    this.bloomPass.dispose();
+    this.horizontalBlurPass.dispose();
+    this.verticalBlurPass.dispose();
+    this.compositePass.dispose();
+    
     // Clear cache
     this.uniformCache.clear();
   }
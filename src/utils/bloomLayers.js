@@ -0,0 +1,51 @@
+/**
+ * Selective bloom membership.
+ *
+ * Only objects on BLOOM_LAYER glow; everything else is drawn black into the
+ * bloom pass so it still hides glowing objects behind it. Objects keep layer 0
+ * as well, so joining the bloom layer doesn't change how they render normally.
+ *
+ * Per-object control: `object.userData.bloom = true | false` overrides the
+ * layer, e.g. `<mesh userData={{ bloom: false }}>` to keep one sign from glowing.
+ */
+
+export const BLOOM_LAYER = 1;
+
+// CyberpunkEnhancer material types that go on the bloom layer
+export const BLOOM_MATERIAL_TYPES = ['neon', 'hologram', 'billboard', 'window'];
+
+/**
+ * Whether an object glows in the selective bloom pass
+ *
+ * @param {THREE.Object3D} object - Object to test
+ * @returns {boolean} True if the object blooms
+ */
+export const isBloomObject = (object) => {
+  if (typeof object.userData.bloom === 'boolean') {
+    return object.userData.bloom;
+  }
+  return object.layers.isEnabled(BLOOM_LAYER);
+};
+
+/**
+ * Add an object and all its descendants to (or remove them from) the bloom layer
+ *
+ * @param {THREE.Object3D} object - Root object
+ * @param {boolean} enabled - Join or leave the bloom layer
+ */
+export const setBloomLayer = (object, enabled = true) => {
+  object.traverse((child) => {
+    if (enabled) {
+      child.layers.enable(BLOOM_LAYER);
+    } else {
+      child.layers.disable(BLOOM_LAYER);
+    }
+  });
+};
+
+export default {
+  BLOOM_LAYER,
+  BLOOM_MATERIAL_TYPES,
+  isBloomObject,
+  setBloomLayer,
+};
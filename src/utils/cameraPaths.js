@@ -0,0 +1,177 @@
+import { CatmullRomCurve3, Vector3 } from 'three';
+
+/**
+ * Keyframed camera paths.
+ *
+ * A path is a list of keys, each with a camera position and look-at target.
+ * Positions and targets are each interpolated along their own Catmull-Rom
+ * spline, so the camera passes exactly through every key. Each key after the
+ * first has a `duration` (seconds to travel from the previous key) and an
+ * `easing` applied across that segment.
+ *
+ * JSON format (see public/data/cameraPaths.json):
+ *   {
+ *     "version": 1,
+ *     "paths": {
+ *       "intro": { "keys": [{ "position": [x, y, z], "target": [x, y, z] },
+ *                           { "position": [...], "target": [...], "duration": 3, "easing": "easeInOutCubic" }] },
+ *       "reveal": { "relative": true, "keys": [...] }
+ *     }
+ *   }
+ * Relative paths are offsets from an origin passed when playing them
+ * (e.g. a hotspot position), so one reveal shot works for every project.
+ */
+
+export const CAMERA_PATHS_URL = '/data/cameraPaths.json';
+export const CAMERA_PATHS_VERSION = 1;
+
+/**
+ * Cubic easing function for smooth animation
+ *
+ * @param {number} t - Progress (0-1)
+ * @returns {number} Eased progress
+ */
+export const easeInOutCubic = (t) => {
+  return t < 0.5
+    ? 4 * t * t * t
+    : 1 - Math.pow(-2 * t + 2, 3) / 2;
+};
+
+// Easing functions available to path keys by name
+export const EASINGS = {
+  linear: (t) => t,
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic,
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+};
+
+const DEFAULT_SEGMENT_DURATION = 2;
+
+const toVector = (value, origin) => {
+  const vector = Array.isArray(value) ? new Vector3(...value) : new Vector3().copy(value);
+  return origin ? vector.add(origin) : vector;
+};
+
+/**
+ * Build a playable path from its JSON description
+ *
+ * @param {Object} definition - Path JSON ({ keys, relative })
+ * @param {Object} options - Path options
+ * @param {Vector3|number[]} options.origin - Offset for relative paths
+ * @param {{position: Vector3, target: Vector3}} options.startPose - Start from this pose
+ *   (usually the current camera) and reach the first key after its `duration`
+ * @returns {Object|null} Path with curves, segment timings and total duration
+ */
+export const createCameraPath = (definition, { origin = null, startPose = null } = {}) => {
+  let keys = definition?.keys;
+  if (!Array.isArray(keys) || keys.length < (startPose ? 1 : 2)) {
+    console.warn('Camera path needs at least two keys', definition);
+    return null;
+  }
+
+  const offset = definition.relative && origin ? toVector(origin) : null;
+  const positions = keys.map((key) => toVector(key.position, offset));
+  const targets = keys.map((key) => toVector(key.target, offset));
+  if (startPose) {
+    positions.unshift(toVector(startPose.position));
+    targets.unshift(toVector(startPose.target));
+    keys = [{}, ...keys];
+  }
+
+  let totalDuration = 0;
+  const segments = keys.slice(1).map((key, index) => {
+    const duration = key.duration > 0 ? key.duration : DEFAULT_SEGMENT_DURATION;
+    const easing = EASINGS[key.easing] || easeInOutCubic;
+    const segment = { start: totalDuration, duration, easing, index };
+    totalDuration += duration;
+    return segment;
+  });
+
+  return {
+    positionCurve: new CatmullRomCurve3(positions, false, 'centripetal'),
+    targetCurve: new CatmullRomCurve3(targets, false, 'centripetal'),
+    segments,
+    duration: totalDuration,
+  };
+};
+
+/**
+ * Camera pose at a time along a path
+ *
+ * @param {Object} path - Path from createCameraPath
+ * @param {number} time - Seconds since the path started
+ * @param {{position: Vector3, target: Vector3}} target - Output pose
+ * @returns {boolean} True once the end of the path is reached
+ */
+export const sampleCameraPath = (path, time, target) => {
+  const { segments, positionCurve, targetCurve } = path;
+  const done = time >= path.duration;
+  const clamped = Math.min(Math.max(time, 0), path.duration);
+
+  let segment = segments[segments.length - 1];
+  for (let i = 0; i < segments.length; i++) {
+    if (clamped < segments[i].start + segments[i].duration) {
+      segment = segments[i];
+      break;
+    }
+  }
+
+  const local = Math.min(1, (clamped - segment.start) / segment.duration);
+  // Key i sits at u = i / (keys - 1) on a uniform Catmull-Rom curve
+  const u = (segment.index + segment.easing(local)) / segments.length;
+  positionCurve.getPoint(u, target.position);
+  targetCurve.getPoint(u, target.target);
+  return done;
+};
+
+let pathLibraryPromise = null;
+
+/**
+ * Load the shared path library (cached after the first request)
+ *
+ * @returns {Promise<Object>} Map of path name -> definition
+ */
+export const loadCameraPaths = () => {
+  if (!pathLibraryPromise) {
+    pathLibraryPromise = fetch(CAMERA_PATHS_URL)
+      .then((response) => (response.ok ? response.json() : { paths: {} }))
+      .then((library) => {
+        if (library.version && library.version > CAMERA_PATHS_VERSION) {
+          console.warn(`Camera paths version ${library.version} is newer than supported (${CAMERA_PATHS_VERSION})`);
+        }
+        return library.paths || {};
+      })
+      .catch((error) => {
+        console.warn('Failed to load camera paths:', error);
+        pathLibraryPromise = null;
+        return {};
+      });
+  }
+  return pathLibraryPromise;
+};
+
+/**
+ * Resolve a path by name, preferring a project-specific variant
+ * ("reveal:project1") over the generic one ("reveal")
+ *
+ * @param {Object} library - Loaded path library
+ * @param {string} name - Path name
+ * @param {string} variant - Optional variant, e.g. a project id
+ * @returns {Object|null} Path definition
+ */
+export const findCameraPath = (library, name, variant = null) => {
+  if (variant && library[`${name}:${variant}`]) {
+    return library[`${name}:${variant}`];
+  }
+  return library[name] || null;
+};
+
+export default {
+  EASINGS,
+  easeInOutCubic,
+  createCameraPath,
+  sampleCameraPath,
+  loadCameraPaths,
+  findCameraPath,
+};
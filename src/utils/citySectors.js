@@ -0,0 +1,67 @@
+import { Box3, Vector3 } from 'three';
+import { getObjectBounds } from './spatialIndex';
+
+/**
+ * Grid sectors for a large static model such as the city.
+ *
+ * Meshes are bucketed on the ground plane (X/Z) by the center of their
+ * world-space bounds, and each sector's bounds are the union of its meshes',
+ * so a merged mesh whose origin sits far from its vertices still lands where
+ * its geometry is. SpatialSystem tests whole sectors against the frustum and
+ * cull distance before doing any per-mesh work.
+ */
+
+// Sectors per side of the grid
+export const DEFAULT_SECTOR_GRID = 8;
+
+const center = new Vector3();
+const size = new Vector3();
+
+/**
+ * Partition a model's meshes into grid sectors
+ *
+ * @param {Object3D} root - Model to partition
+ * @param {Object} options
+ * @param {number} options.gridSize - Sectors per side
+ * @returns {{bounds: Box3, gridSize: number, sectors: Array}} Sectors
+ *   { id, x, z, box, meshes, visible }, only for cells that hold meshes
+ */
+export const createCitySectors = (root, { gridSize = DEFAULT_SECTOR_GRID } = {}) => {
+  root.updateWorldMatrix(true, true);
+
+  const meshBounds = new Map();
+  const bounds = new Box3();
+  root.traverse((object) => {
+    if (!object.isMesh || !object.geometry?.attributes?.position) return;
+    const box = getObjectBounds(object, new Box3());
+    meshBounds.set(object, box);
+    bounds.union(box);
+  });
+
+  bounds.getSize(size);
+  const cellX = size.x / gridSize || 1;
+  const cellZ = size.z / gridSize || 1;
+  const toCell = (value, min, cell) => Math.min(gridSize - 1, Math.max(0, Math.floor((value - min) / cell)));
+
+  const sectors = new Map();
+  meshBounds.forEach((box, mesh) => {
+    box.getCenter(center);
+    const x = toCell(center.x, bounds.min.x, cellX);
+    const z = toCell(center.z, bounds.min.z, cellZ);
+    const id = `sector-${x}-${z}`;
+    if (!sectors.has(id)) {
+      sectors.set(id, { id, x, z, box: new Box3(), meshes: [], visible: true });
+    }
+    const sector = sectors.get(id);
+    sector.box.union(box);
+    sector.meshes.push(mesh);
+    mesh.userData.sectorId = id;
+  });
+
+  return { bounds, gridSize, sectors: [...sectors.values()] };
+};
+
+export default {
+  DEFAULT_SECTOR_GRID,
+  createCitySectors,
+};
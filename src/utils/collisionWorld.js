@@ -0,0 +1,282 @@
+import { Box3, Matrix4, Quaternion, Triangle, Vector3 } from 'three';
+import { MeshBVH } from 'three-mesh-bvh';
+import { createSpatialIndex } from './spatialIndex';
+
+/**
+ * Sphere-vs-mesh collision queries against static scene geometry.
+ *
+ * Every collidable mesh gets a BVH over its own geometry (kept in
+ * geometry.boundsTree so it is shared between clones). Queries run in the
+ * mesh's local space, so the city can be scaled and positioned freely.
+ * Each instance of an InstancedMesh is its own collider sharing one BVH.
+ * An octree over the colliders' world boxes picks the few meshes worth testing.
+ * Movement is sub-stepped so a sphere can never pass through a surface
+ * between checks. Meshes are assumed static after they are added - call
+ * refresh() if they move.
+ */
+
+// Largest step a sphere may move before collisions are re-checked, as a
+// fraction of its radius. Keeps fast movement from tunnelling through walls.
+const MAX_STEP_FRACTION = 0.5;
+const MAX_RESOLVE_ITERATIONS = 4;
+const SKIN = 0.001;
+
+const tempBox = new Box3();
+const localCenter = new Vector3();
+const worldPoint = new Vector3();
+const worldNormal = new Vector3();
+const offset = new Vector3();
+const triangle = new Triangle();
+const scaleVec = new Vector3();
+const tempQuaternion = new Quaternion();
+const instanceMatrix = new Matrix4();
+const hitInfo = { point: new Vector3(), distance: 0, faceIndex: 0 };
+const nearbyEntries = [];
+
+/**
+ * Whether a mesh should take part in collisions
+ *
+ * @param {Object3D} object - Candidate object
+ * @returns {boolean} True for visible static meshes (instanced or not) with position data
+ */
+const isCollidable = (object) =>
+  object.isMesh &&
+  !object.isSkinnedMesh &&
+  !object.userData.noCollision &&
+  !!object.geometry?.attributes?.position;
+
+/**
+ * Build (or reuse) the BVH for a geometry
+ *
+ * @param {BufferGeometry} geometry - Mesh geometry
+ * @returns {MeshBVH} Bounds tree
+ */
+const ensureBoundsTree = (geometry) => {
+  if (!geometry.boundsTree) {
+    geometry.boundsTree = new MeshBVH(geometry);
+  }
+  return geometry.boundsTree;
+};
+
+/**
+ * World-space normal of a triangle in a collider
+ *
+ * @param {Object} collider - Collider record
+ * @param {number} faceIndex - Triangle index from the BVH
+ * @param {Vector3} target - Output normal
+ * @returns {Vector3} Normal in world space
+ */
+const getFaceNormal = (collider, faceIndex, target) => {
+  const { geometry } = collider;
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const i0 = index ? index.getX(faceIndex * 3) : faceIndex * 3;
+  const i1 = index ? index.getX(faceIndex * 3 + 1) : faceIndex * 3 + 1;
+  const i2 = index ? index.getX(faceIndex * 3 + 2) : faceIndex * 3 + 2;
+  triangle.a.fromBufferAttribute(position, i0);
+  triangle.b.fromBufferAttribute(position, i1);
+  triangle.c.fromBufferAttribute(position, i2);
+  triangle.getNormal(target);
+  return target.transformDirection(collider.matrixWorld);
+};
+
+/**
+ * Create a collision world
+ *
+ * @returns {Object} Collision API: addObject, removeObject, refresh, clear,
+ *   getContact, moveSphere, size
+ */
+export const createCollisionWorld = () => {
+  const colliders = new Map();
+  const index = createSpatialIndex({
+    getBounds: (collider, target) => target.copy(collider.worldBox),
+  });
+
+  // Colliders are keyed by mesh uuid, plus the instance for instanced meshes
+  const getColliderIds = mesh => (mesh.isInstancedMesh
+    ? Array.from({ length: mesh.count }, (_, i) => `${mesh.uuid}:${i}`)
+    : [mesh.uuid]);
+
+  const updateCollider = (collider) => {
+    const { mesh, matrixWorld } = collider;
+    mesh.updateWorldMatrix(true, false);
+    matrixWorld.copy(mesh.matrixWorld);
+    if (collider.instanceId !== null) {
+      mesh.getMatrixAt(collider.instanceId, instanceMatrix);
+      matrixWorld.multiply(instanceMatrix);
+    }
+    collider.inverseMatrix.copy(matrixWorld).invert();
+    matrixWorld.decompose(offset, tempQuaternion, scaleVec);
+    collider.minScale = Math.min(Math.abs(scaleVec.x), Math.abs(scaleVec.y), Math.abs(scaleVec.z)) || 1;
+    if (!collider.geometry.boundingBox) collider.geometry.computeBoundingBox();
+    collider.worldBox.copy(collider.geometry.boundingBox).applyMatrix4(matrixWorld);
+  };
+
+  /**
+   * Deepest contact between a sphere and any collider
+   *
+   * @param {Vector3} center - Sphere center in world space
+   * @param {number} radius - Sphere radius
+   * @returns {{point: Vector3, normal: Vector3, depth: number, mesh: Mesh, instanceId: number|null}|null}
+   */
+  const getContact = (center, radius) => {
+    let best = null;
+
+    nearbyEntries.length = 0;
+    index.queryRadius(center, radius, nearbyEntries).forEach(({ data: collider }) => {
+      localCenter.copy(center).applyMatrix4(collider.inverseMatrix);
+      // Dividing by the smallest scale keeps the local search conservative
+      const localRadius = radius / collider.minScale;
+      const hit = collider.bvh.closestPointToPoint(localCenter, hitInfo, 0, localRadius);
+      if (!hit) return;
+
+      worldPoint.copy(hit.point).applyMatrix4(collider.matrixWorld);
+      offset.subVectors(center, worldPoint);
+      const distance = offset.length();
+      if (distance >= radius) return;
+
+      const depth = radius - distance;
+      if (!best || depth > best.depth) {
+        // Push straight away from the contact; fall back to the face normal
+        // when the center sits exactly on the surface
+        const normal = distance > SKIN
+          ? offset.clone().divideScalar(distance)
+          : getFaceNormal(collider, hit.faceIndex, worldNormal).clone();
+        best = {
+          point: worldPoint.clone(),
+          normal,
+          depth,
+          mesh: collider.mesh,
+          instanceId: collider.instanceId,
+        };
+      }
+    });
+
+    return best;
+  };
+
+  return {
+    /**
+     * Register all collidable meshes under a root object
+     *
+     * @param {Object3D} root - Object to traverse
+     * @returns {number} Number of colliders added (one per instance for instanced meshes)
+     */
+    addObject: (root) => {
+      let added = 0;
+      root.updateWorldMatrix(true, true);
+      root.traverse((object) => {
+        if (!isCollidable(object)) return;
+        // Collide with full detail even while SpatialSystem shows a simplified LOD geometry
+        const geometry = object.userData.originalGeometry || object.geometry;
+        getColliderIds(object).forEach((id, i) => {
+          if (colliders.has(id)) return;
+          const collider = {
+            mesh: object,
+            instanceId: object.isInstancedMesh ? i : null,
+            geometry,
+            bvh: ensureBoundsTree(geometry),
+            matrixWorld: new Matrix4(),
+            inverseMatrix: new Matrix4(),
+            worldBox: new Box3(),
+            minScale: 1,
+          };
+          updateCollider(collider);
+          colliders.set(id, collider);
+          index.insert(id, collider, collider);
+          added++;
+        });
+      });
+      return added;
+    },
+
+    /**
+     * Remove every collider under a root object
+     *
+     * @param {Object3D} root - Object previously passed to addObject
+     */
+    removeObject: (root) => {
+      root.traverse((object) => {
+        getColliderIds(object).forEach((id) => {
+          colliders.delete(id);
+          index.remove(id);
+        });
+      });
+    },
+
+    // Re-read world transforms after colliders have moved
+    refresh: () => colliders.forEach((collider, id) => {
+      updateCollider(collider);
+      index.update(id);
+    }),
+
+    clear: () => {
+      colliders.clear();
+      index.clear();
+    },
+
+    size: () => colliders.size,
+
+    getContact,
+
+    /**
+     * Move a sphere, stopping at or sliding along surfaces
+     *
+     * @param {Vector3} start - Current sphere center
+     * @param {Vector3} displacement - Desired movement this step
+     * @param {number} radius - Sphere radius
+     * @param {Object} options - Movement options
+     * @param {boolean} options.slide - Slide along surfaces instead of stopping
+     * @returns {{position: Vector3, hasCollision: boolean, normal: Vector3|null,
+     *   point: Vector3|null, mesh: Mesh|null, instanceId: number|null}}
+     */
+    moveSphere: (start, displacement, radius, { slide = true } = {}) => {
+      const position = start.clone();
+      const remaining = displacement.clone();
+      const result = { position, hasCollision: false, normal: null, point: null, mesh: null, instanceId: null };
+      if (colliders.size === 0) {
+        position.add(remaining);
+        return result;
+      }
+
+      // Skip the narrow phase entirely when the swept sphere touches nothing
+      tempBox.setFromPoints([start, offset.copy(start).add(displacement)]).expandByScalar(radius);
+      nearbyEntries.length = 0;
+      if (index.queryBox(tempBox, nearbyEntries).length === 0) {
+        position.add(remaining);
+        return result;
+      }
+
+      const maxStep = radius * MAX_STEP_FRACTION;
+      const steps = Math.max(1, Math.ceil(remaining.length() / maxStep));
+      const step = remaining.divideScalar(steps);
+
+      for (let i = 0; i < steps; i++) {
+        position.add(step);
+
+        for (let iteration = 0; iteration < MAX_RESOLVE_ITERATIONS; iteration++) {
+          const contact = getContact(position, radius);
+          if (!contact) break;
+
+          position.addScaledVector(contact.normal, contact.depth + SKIN);
+          result.hasCollision = true;
+          result.normal = contact.normal;
+          result.point = contact.point;
+          result.mesh = contact.mesh;
+          result.instanceId = contact.instanceId;
+
+          if (!slide) {
+            return result;
+          }
+          // Remove the part of the remaining movement that pushes into the surface
+          const into = step.dot(contact.normal);
+          if (into < 0) step.addScaledVector(contact.normal, -into);
+        }
+      }
+
+      return result;
+    },
+  };
+};
+
+export default createCollisionWorld;
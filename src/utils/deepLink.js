@@ -0,0 +1,96 @@
+/**
+ * URL helpers for deep linking into the city.
+ *
+ * Routes:
+ *   /project/:slug              - open a project and fly to its hotspot
+ *   #cam=x,y,z;tx,ty,tz         - optional exact camera position and target
+ *
+ * Static hosts must rewrite /project/* to index.html (Vite's dev server does this already).
+ */
+
+const BASE_PATH = (import.meta.env?.BASE_URL || '/').replace(/\/$/, '');
+const PROJECT_ROUTE = /^\/project\/([^/]+)\/?$/;
+const CAMERA_HASH = /(?:^#|&)cam=([^&]+)/;
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Parse "x,y,z" into a number triple
+ *
+ * @param {string} text - Comma separated coordinates
+ * @returns {number[]|null} Triple or null when invalid
+ */
+const parseTriple = (text) => {
+  const values = text.split(',').map(Number);
+  if (values.length !== 3 || values.some((value) => !Number.isFinite(value))) return null;
+  return values;
+};
+
+/**
+ * Read the project slug and camera pose from a location
+ *
+ * @param {Location|{pathname: string, hash: string}} location - Usually window.location
+ * @returns {{slug: string|null, cameraPose: {position: number[], target: number[]}|null}}
+ */
+export const parseLocation = (location = window.location) => {
+  const path = location.pathname.startsWith(BASE_PATH)
+    ? location.pathname.slice(BASE_PATH.length) || '/'
+    : location.pathname;
+  const routeMatch = path.match(PROJECT_ROUTE);
+  const hashMatch = (location.hash || '').match(CAMERA_HASH);
+
+  let cameraPose = null;
+  if (hashMatch) {
+    const [positionText, targetText] = decodeURIComponent(hashMatch[1]).split(';');
+    const position = positionText ? parseTriple(positionText) : null;
+    const target = targetText ? parseTriple(targetText) : null;
+    if (position && target) {
+      cameraPose = { position, target };
+    }
+  }
+
+  return {
+    slug: routeMatch ? decodeURIComponent(routeMatch[1]) : null,
+    cameraPose,
+  };
+};
+
+/**
+ * Build the path for a project, or the city root when slug is empty
+ *
+ * @param {string|null} slug - Project slug from projects.json
+ * @returns {string} Path including the app base
+ */
+export const buildProjectPath = (slug) =>
+  slug ? `${BASE_PATH}/project/${encodeURIComponent(slug)}` : `${BASE_PATH}/`;
+
+/**
+ * Format a camera pose as a "#cam=" hash
+ *
+ * @param {{position: number[], target: number[]}} pose - Camera pose
+ * @returns {string} Hash string including the leading '#'
+ */
+export const formatCameraHash = (pose) => {
+  if (!pose) return '';
+  const position = pose.position.map(formatNumber).join(',');
+  const target = pose.target.map(formatNumber).join(',');
+  return `#cam=${position};${target}`;
+};
+
+/**
+ * Find the project for a slug (falls back to matching the id)
+ *
+ * @param {Object[]} projects - Projects from the store
+ * @param {string} slug - Slug from the URL
+ * @returns {Object|undefined} Matching project
+ */
+export const findProjectBySlug = (projects, slug) =>
+  projects.find((project) => project.slug === slug) ||
+  projects.find((project) => project.id === slug);
+
+export default {
+  parseLocation,
+  buildProjectPath,
+  formatCameraHash,
+  findProjectBySlug,
+};
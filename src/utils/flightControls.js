@@ -0,0 +1,186 @@
+/**
+ * Manual flight input for the drone.
+ *
+ * Keyboard state is fed from KEY_PRESS / KEY_RELEASE events, gamepads are
+ * polled once per frame. Both are merged into a single set of axes in the
+ * range -1..1 that the flight system turns into acceleration.
+ */
+
+// Actions that can be bound to keys. Values are KeyboardEvent.code strings so
+// bindings work regardless of keyboard layout.
+export const DEFAULT_KEY_BINDINGS = {
+  forward: ['KeyW', 'ArrowUp'],
+  backward: ['KeyS', 'ArrowDown'],
+  left: ['KeyA', 'ArrowLeft'],
+  right: ['KeyD', 'ArrowRight'],
+  ascend: ['Space'],
+  descend: ['ShiftLeft', 'ShiftRight'],
+  yawLeft: ['KeyQ'],
+  yawRight: ['KeyE'],
+};
+
+// Standard gamepad layout: left stick moves, right stick yaws, triggers change altitude
+export const DEFAULT_GAMEPAD_MAPPING = {
+  strafeAxis: 0,
+  forwardAxis: 1,
+  yawAxis: 2,
+  ascendButton: 7,
+  descendButton: 6,
+  deadzone: 0.15,
+};
+
+// Flight model tuning (units per second / radians per second)
+export const FLIGHT_TUNING = {
+  acceleration: 40,
+  verticalAcceleration: 25,
+  maxSpeed: 25,
+  maxVerticalSpeed: 12,
+  drag: 2.5,
+  yawRate: 1.8,
+  yawResponse: 6,
+  maxBankAngle: 0.35,
+  bankResponse: 5,
+  minAltitude: 5,
+};
+
+/**
+ * Rescale an axis so values inside the deadzone read as zero and the
+ * remaining travel still covers the full 0-1 range
+ *
+ * @param {number} value - Raw axis value (-1 to 1)
+ * @param {number} deadzone - Deadzone size (0-1)
+ * @returns {number} Adjusted axis value
+ */
+export const applyDeadzone = (value, deadzone = DEFAULT_GAMEPAD_MAPPING.deadzone) => {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadzone) return 0;
+  return Math.sign(value) * Math.min((magnitude - deadzone) / (1 - deadzone), 1);
+};
+
+/**
+ * Merge user overrides on top of the default key bindings
+ *
+ * @param {Object<string, string[]>} overrides - Action -> key codes
+ * @returns {Object<string, string[]>} Complete binding table
+ */
+export const resolveKeyBindings = (overrides = {}) => ({
+  ...DEFAULT_KEY_BINDINGS,
+  ...overrides,
+});
+
+/**
+ * Whether a key code is bound to any flight action
+ *
+ * @param {Object<string, string[]>} bindings - Complete binding table
+ * @param {string} code - KeyboardEvent.code
+ * @returns {boolean} True if the key flies the drone
+ */
+export const isFlightKey = (bindings, code) =>
+  Object.values(bindings).some((codes) => codes.includes(code));
+
+// Input types that don't take typed text, so flight keys may be claimed over them
+const NON_TEXT_INPUT_TYPES = ['button', 'checkbox', 'radio', 'range', 'reset', 'submit'];
+
+/**
+ * Whether a key event target is a field the user types into
+ *
+ * @param {EventTarget} target - KeyboardEvent.target
+ * @returns {boolean} True for text inputs, textareas, selects and editable content
+ */
+export const isTextEntryTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'INPUT') return !NON_TEXT_INPUT_TYPES.includes(target.type);
+  return target.tagName === 'TEXTAREA' || target.tagName === 'SELECT';
+};
+
+/**
+ * Read the first connected gamepad
+ *
+ * @returns {Gamepad|null} Gamepad or null when none is connected
+ */
+const getActiveGamepad = () => {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+  const pads = navigator.getGamepads();
+  for (let i = 0; i < pads.length; i++) {
+    if (pads[i] && pads[i].connected) return pads[i];
+  }
+  return null;
+};
+
+// Keep whichever input is pushed further so keyboard and gamepad can be mixed
+const strongest = (a, b) => (Math.abs(b) > Math.abs(a) ? b : a);
+
+/**
+ * Create a flight input reader
+ *
+ * @param {Object} options - Input options
+ * @param {Function} options.getBindings - Returns the current binding table
+ * @param {Object} options.gamepadMapping - Axis/button indices and deadzone
+ * @returns {Object} Input API: press, release, clear, read
+ */
+export const createFlightInput = ({
+  getBindings = () => DEFAULT_KEY_BINDINGS,
+  gamepadMapping = DEFAULT_GAMEPAD_MAPPING,
+} = {}) => {
+  const pressed = new Set();
+
+  const isDown = (action) => {
+    const codes = getBindings()[action] || [];
+    return codes.some((code) => pressed.has(code));
+  };
+
+  const axis = (negative, positive) => (isDown(positive) ? 1 : 0) - (isDown(negative) ? 1 : 0);
+
+  return {
+    press: (code) => pressed.add(code),
+    release: (code) => pressed.delete(code),
+    clear: () => pressed.clear(),
+
+    /**
+     * Sample the current input
+     *
+     * @returns {{forward: number, strafe: number, lift: number, yaw: number, active: boolean}}
+     */
+    read: () => {
+      let forward = axis('backward', 'forward');
+      let strafe = axis('left', 'right');
+      let lift = axis('descend', 'ascend');
+      let yaw = axis('yawRight', 'yawLeft');
+
+      const gamepad = getActiveGamepad();
+      if (gamepad) {
+        const { deadzone } = gamepadMapping;
+        const readAxis = (index) => applyDeadzone(gamepad.axes[index] || 0, deadzone);
+        const readButton = (index) => (gamepad.buttons[index] ? gamepad.buttons[index].value : 0);
+
+        forward = strongest(forward, -readAxis(gamepadMapping.forwardAxis));
+        strafe = strongest(strafe, readAxis(gamepadMapping.strafeAxis));
+        yaw = strongest(yaw, -readAxis(gamepadMapping.yawAxis));
+        lift = strongest(
+          lift,
+          applyDeadzone(readButton(gamepadMapping.ascendButton) - readButton(gamepadMapping.descendButton), deadzone)
+        );
+      }
+
+      return {
+        forward,
+        strafe,
+        lift,
+        yaw,
+        active: forward !== 0 || strafe !== 0 || lift !== 0 || yaw !== 0,
+      };
+    },
+  };
+};
+
+export default {
+  DEFAULT_KEY_BINDINGS,
+  DEFAULT_GAMEPAD_MAPPING,
+  FLIGHT_TUNING,
+  applyDeadzone,
+  resolveKeyBindings,
+  isFlightKey,
+  isTextEntryTarget,
+  createFlightInput,
+};
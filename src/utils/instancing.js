@@ -0,0 +1,209 @@
+import { Color, DynamicDrawUsage, InstancedMesh, Matrix4 } from 'three';
+import { createCitySectors } from './citySectors';
+
+/**
+ * GPU instancing helpers.
+ *
+ * batchRepeatedMeshes() folds meshes that repeat the same geometry and
+ * material (lampposts, trash, trees, ...) into one InstancedMesh per sector of
+ * the city grid, so each prop type costs one draw call per sector instead of
+ * one per copy while sector culling keeps working. Geometries that were
+ * exported as separate but identical buffers are matched by content.
+ *
+ * createDynamicInstances() and enableInstanceEmissive() are for effects that
+ * animate many copies of one shape every frame.
+ */
+
+// Fewer copies than this aren't worth a batch
+export const MIN_INSTANCES = 3;
+
+// Geometries larger than this are matched by identity only, not by content
+const MAX_FINGERPRINT_VERTICES = 10000;
+
+const tempMatrix = new Matrix4();
+const rootInverse = new Matrix4();
+const white = new Color(1, 1, 1);
+
+/**
+ * Whether a mesh can be folded into a batch
+ *
+ * @param {Object3D} object - Candidate object
+ * @returns {boolean} True for plain static meshes with a single material
+ */
+const canInstance = (object) =>
+  object.isMesh &&
+  !object.isSkinnedMesh &&
+  !object.isInstancedMesh &&
+  !object.userData.noInstancing &&
+  !Array.isArray(object.material) &&
+  object.children.length === 0 &&
+  !!object.geometry?.attributes?.position &&
+  Object.keys(object.geometry.morphAttributes).length === 0;
+
+// FNV-1a over a typed array's values (floats by their bits), folded into `hash`
+const hashArray = (array, hash) => {
+  const words = array instanceof Float32Array
+    ? new Uint32Array(array.buffer, array.byteOffset, array.length)
+    : array;
+  let result = hash;
+  for (let i = 0; i < words.length; i++) {
+    result ^= words[i] >>> 0;
+    result = Math.imul(result, 16777619) >>> 0;
+  }
+  return result;
+};
+
+const sameArray = (a, b) => {
+  if (a.length !== b.length || a.constructor !== b.constructor) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+};
+
+const sameGeometry = (a, b) => {
+  const names = Object.keys(a.attributes);
+  if (names.length !== Object.keys(b.attributes).length) return false;
+  if (!!a.index !== !!b.index) return false;
+  if (a.index && !sameArray(a.index.array, b.index.array)) return false;
+  return names.every(name =>
+    b.attributes[name] &&
+    a.attributes[name].itemSize === b.attributes[name].itemSize &&
+    sameArray(a.attributes[name].array, b.attributes[name].array)
+  );
+};
+
+/**
+ * Maps each geometry to a representative with the same content, so
+ * duplicated buffers end up in the same batch
+ *
+ * @returns {Function} (geometry) => representative geometry
+ */
+const createGeometryMatcher = () => {
+  const representatives = new Map();
+  const matched = new Map();
+
+  return (geometry) => {
+    if (matched.has(geometry)) return matched.get(geometry);
+
+    const position = geometry.attributes.position;
+    let representative = geometry;
+    if (position.count <= MAX_FINGERPRINT_VERTICES && !position.isInterleavedBufferAttribute) {
+      let hash = hashArray(position.array, 2166136261);
+      if (geometry.index) hash = hashArray(geometry.index.array, hash);
+      const key = `${position.count}:${geometry.index ? geometry.index.count : 0}:${hash}`;
+      const candidates = representatives.get(key) || [];
+      representative = candidates.find(candidate => sameGeometry(candidate, geometry)) || geometry;
+      if (representative === geometry) representatives.set(key, [...candidates, geometry]);
+    }
+    matched.set(geometry, representative);
+    return representative;
+  };
+};
+
+/**
+ * Replace repeated meshes under a root with instanced meshes. The root's
+ * world transform must be final (InstancedMeshes are added to the root with
+ * instance matrices relative to it).
+ *
+ * @param {Object3D} root - Model to batch
+ * @param {Object} options
+ * @param {number} options.minInstances - Smallest group worth batching
+ * @param {number} options.gridSize - Sectors per side, see utils/citySectors
+ * @returns {{batches: number, instances: number, drawCalls: {before: number, after: number}}} Stats
+ */
+export const batchRepeatedMeshes = (root, { minInstances = MIN_INSTANCES, gridSize } = {}) => {
+  const stats = { batches: 0, instances: 0, drawCalls: { before: 0, after: 0 } };
+  const matchGeometry = createGeometryMatcher();
+  const { sectors } = createCitySectors(root, { gridSize });
+  rootInverse.copy(root.matrixWorld).invert();
+
+  sectors.forEach((sector) => {
+    // Same geometry, material, layers and shadow flags draw identically
+    const groups = new Map();
+    sector.meshes.forEach((mesh) => {
+      if (!canInstance(mesh)) return;
+      const geometry = matchGeometry(mesh.geometry);
+      const key = `${geometry.uuid}|${mesh.material.uuid}|${mesh.layers.mask}|${mesh.castShadow}|${mesh.receiveShadow}`;
+      if (!groups.has(key)) groups.set(key, { geometry, meshes: [] });
+      groups.get(key).meshes.push(mesh);
+    });
+
+    groups.forEach(({ geometry, meshes }) => {
+      if (meshes.length < minInstances) return;
+
+      const [first] = meshes;
+      const instanced = new InstancedMesh(geometry, first.material, meshes.length);
+      instanced.name = `${first.name || geometry.name || 'mesh'}_instanced`;
+      instanced.layers.mask = first.layers.mask;
+      instanced.castShadow = first.castShadow;
+      instanced.receiveShadow = first.receiveShadow;
+      instanced.userData = { ...first.userData, instancedFrom: meshes.map(mesh => mesh.name) };
+
+      meshes.forEach((mesh, i) => {
+        instanced.setMatrixAt(i, tempMatrix.multiplyMatrices(rootInverse, mesh.matrixWorld));
+        mesh.removeFromParent();
+      });
+      instanced.computeBoundingBox();
+      instanced.computeBoundingSphere();
+      root.add(instanced);
+
+      stats.batches++;
+      stats.instances += meshes.length;
+    });
+    stats.drawCalls.before += sector.meshes.length;
+  });
+
+  stats.drawCalls.after = stats.drawCalls.before - stats.instances + stats.batches;
+  root.updateMatrixWorld(true);
+  return stats;
+};
+
+/**
+ * Instanced mesh for effects that rewrite every instance each frame. Every
+ * instance starts white; set per-instance colors with setColorAt.
+ *
+ * @param {BufferGeometry} geometry - Shape of one instance
+ * @param {Material} material - Shared material; instance colors multiply its color
+ * @param {number} count - Number of instances
+ * @returns {InstancedMesh} Instanced mesh that is never frustum culled as a whole
+ */
+export const createDynamicInstances = (geometry, material, count) => {
+  const instanced = new InstancedMesh(geometry, material, count);
+  instanced.instanceMatrix.setUsage(DynamicDrawUsage);
+  for (let i = 0; i < count; i++) {
+    instanced.setColorAt(i, white);
+  }
+  if (instanced.instanceColor) instanced.instanceColor.setUsage(DynamicDrawUsage);
+  // Instances move every frame, so the cached bounds would always be stale
+  instanced.frustumCulled = false;
+  return instanced;
+};
+
+/**
+ * Let instance colors tint a lit material's emissive light as well as its
+ * diffuse color, so each instance can glow in its own color
+ *
+ * @param {Material} material - MeshStandardMaterial or similar
+ * @returns {Material} The same material
+ */
+export const enableInstanceEmissive = (material) => {
+  material.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader.replace(
+      '#include <emissivemap_fragment>',
+      `#include <emissivemap_fragment>
+      #ifdef USE_INSTANCING_COLOR
+        totalEmissiveRadiance *= vColor;
+      #endif`
+    );
+  };
+  material.customProgramCacheKey = () => 'instance-emissive';
+  return material;
+};
+
+export default {
+  MIN_INSTANCES,
+  batchRepeatedMeshes,
+  createDynamicInstances,
+  enableInstanceEmissive,
+};
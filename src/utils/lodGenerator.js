@@ -0,0 +1,208 @@
+import { BufferAttribute, BufferGeometry } from 'three';
+import { MeshoptSimplifier } from 'meshoptimizer';
+
+/**
+ * Load-time geometry LOD for SpatialSystem.
+ *
+ * Every eligible mesh gets `userData.lodGeometries` - one simplified geometry
+ * per LOD level, keyed like SpatialSystem's levels (HIGH, MEDIUM, ...) - and
+ * `userData.originalGeometry`. Each level keeps roughly `scale` of the
+ * original triangles. Simplified geometries only carry a new index buffer and
+ * share every vertex attribute with the original, so the GPU memory cost is
+ * small. Results are cached per geometry, so meshes sharing a geometry share
+ * its levels.
+ */
+
+// Meshes below this many triangles aren't worth simplifying
+export const MIN_LOD_TRIANGLES = 150;
+
+// A level must drop at least this fraction of the previous level's triangles,
+// otherwise the previous level is reused
+const MIN_REDUCTION = 0.05;
+
+// Simplification error allowed at scale 0, relative to the mesh's extent
+const MAX_SIMPLIFY_ERROR = 0.05;
+
+// Main-thread budget (ms) per slice before yielding to the frame loop
+const SLICE_BUDGET = 8;
+
+// Positions closer than this (in local units) are welded for the simplifier
+const WELD_PRECISION = 1e4;
+
+const lodCache = new WeakMap();
+
+const nextSlice = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Whether a mesh can get generated LOD levels
+ *
+ * @param {Object3D} object - Candidate object
+ * @param {number} minTriangles - Smallest mesh worth simplifying
+ * @returns {boolean} True for static single-material triangle meshes
+ */
+const canSimplify = (object, minTriangles) => {
+  if (!object.isMesh || object.isSkinnedMesh || object.isInstancedMesh) return false;
+  if (object.userData.noLod || Array.isArray(object.material)) return false;
+  const { geometry } = object;
+  const position = geometry?.attributes?.position;
+  if (!position || geometry.groups.length > 1 || Object.keys(geometry.morphAttributes).length > 0) return false;
+  const indexCount = geometry.index ? geometry.index.count : position.count;
+  return indexCount / 3 >= minTriangles;
+};
+
+/**
+ * Position-only copy of a mesh for the simplifier. Imported meshes split
+ * vertices along UV and normal seams, which stops the simplifier from
+ * collapsing edges across them, so vertices at the same position are welded.
+ *
+ * @param {BufferGeometry} geometry - Source geometry
+ * @returns {{indices: Uint32Array, positions: Float32Array, sourceVertex: Uint32Array}}
+ *   Welded mesh, and the source vertex each welded vertex stands for
+ */
+const weldPositions = (geometry) => {
+  const position = geometry.attributes.position;
+  const weldedIds = new Map();
+  const remap = new Uint32Array(position.count);
+  const positions = [];
+  const sourceVertex = [];
+
+  for (let i = 0; i < position.count; i++) {
+    const x = position.getX(i);
+    const y = position.getY(i);
+    const z = position.getZ(i);
+    const key = `${Math.round(x * WELD_PRECISION)},${Math.round(y * WELD_PRECISION)},${Math.round(z * WELD_PRECISION)}`;
+    if (!weldedIds.has(key)) {
+      weldedIds.set(key, sourceVertex.length);
+      sourceVertex.push(i);
+      positions.push(x, y, z);
+    }
+    remap[i] = weldedIds.get(key);
+  }
+
+  const indexCount = geometry.index ? geometry.index.count : position.count;
+  const indices = new Uint32Array(indexCount);
+  for (let i = 0; i < indexCount; i++) {
+    indices[i] = remap[geometry.index ? geometry.index.getX(i) : i];
+  }
+  return { indices, positions: new Float32Array(positions), sourceVertex: new Uint32Array(sourceVertex) };
+};
+
+/**
+ * Geometry sharing the source's attributes with a simplified index
+ *
+ * @param {BufferGeometry} geometry - Source geometry
+ * @param {Uint32Array} indices - Simplified index buffer into the source's vertices
+ * @returns {BufferGeometry} LOD geometry
+ */
+const createLodGeometry = (geometry, indices) => {
+  const lod = new BufferGeometry();
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    lod.setAttribute(name, attribute);
+  });
+  const IndexArray = geometry.attributes.position.count > 65535 ? Uint32Array : Uint16Array;
+  lod.setIndex(new BufferAttribute(IndexArray.from(indices), 1));
+  // Same extent as the original, so culling doesn't change between levels
+  lod.boundingBox = geometry.boundingBox.clone();
+  lod.boundingSphere = geometry.boundingSphere.clone();
+  lod.name = geometry.name;
+  lod.userData.lodSource = geometry.uuid;
+  return lod;
+};
+
+/**
+ * Build simplified geometries for every LOD level below full detail
+ *
+ * @param {BufferGeometry} geometry - Source geometry
+ * @param {Object} levels - LOD levels { NAME: { distance, scale } }, scale is the triangle ratio
+ * @returns {Object|null} Geometries by level name, or null if nothing could be simplified
+ */
+export const generateLodGeometries = (geometry, levels) => {
+  if (lodCache.has(geometry)) return lodCache.get(geometry);
+
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+  if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+
+  const { indices, positions, sourceVertex } = weldPositions(geometry);
+  const lodGeometries = {};
+  let previous = { geometry, indexCount: indices.length };
+
+  // Finest level first, so each level can fall back to the one before it
+  Object.entries(levels)
+    .filter(([, level]) => level.scale < 1)
+    .sort(([, a], [, b]) => b.scale - a.scale)
+    .forEach(([name, { scale }]) => {
+      const targetCount = Math.max(3, Math.floor((indices.length * scale) / 3) * 3);
+      const [simplified] = MeshoptSimplifier.simplify(
+        indices,
+        positions,
+        3,
+        targetCount,
+        MAX_SIMPLIFY_ERROR * (1 - scale)
+      );
+
+      const count = simplified.length;
+      if (count > 0 && count <= previous.indexCount * (1 - MIN_REDUCTION)) {
+        const sourceIndices = simplified.map(welded => sourceVertex[welded]);
+        previous = { geometry: createLodGeometry(geometry, sourceIndices), indexCount: count };
+      }
+      lodGeometries[name] = previous.geometry;
+    });
+
+  const result = Object.values(lodGeometries).some(lod => lod !== geometry) ? lodGeometries : null;
+  lodCache.set(geometry, result);
+  return result;
+};
+
+/**
+ * Generate LOD levels for every eligible mesh under a root object. Work is
+ * split into time slices so a large model doesn't stall the frame loop.
+ *
+ * @param {Object3D} root - Model to process
+ * @param {Object} options
+ * @param {Object} options.levels - LOD levels { NAME: { distance, scale } }
+ * @param {number} options.minTriangles - Smallest mesh worth simplifying
+ * @returns {Promise<Object>} Stats: meshes processed, triangles at full detail and per level
+ */
+export const generateModelLods = async (root, { levels, minTriangles = MIN_LOD_TRIANGLES } = {}) => {
+  const stats = { meshes: 0, triangles: { FULL: 0 } };
+
+  if (!MeshoptSimplifier.supported) {
+    console.warn('LOD: WebAssembly is unavailable, keeping full-detail geometry');
+    return stats;
+  }
+  await MeshoptSimplifier.ready;
+
+  const meshes = [];
+  root.traverse((object) => {
+    if (canSimplify(object, minTriangles)) meshes.push(object);
+  });
+
+  let sliceStart = performance.now();
+  for (const mesh of meshes) {
+    if (performance.now() - sliceStart > SLICE_BUDGET) {
+      await nextSlice();
+      sliceStart = performance.now();
+    }
+
+    const original = mesh.userData.originalGeometry || mesh.geometry;
+    const lodGeometries = generateLodGeometries(original, levels);
+    if (!lodGeometries) continue;
+
+    mesh.userData.originalGeometry = original;
+    mesh.userData.lodGeometries = lodGeometries;
+    stats.meshes++;
+    stats.triangles.FULL += (original.index ? original.index.count : original.attributes.position.count) / 3;
+    Object.entries(lodGeometries).forEach(([name, lod]) => {
+      const count = lod.index ? lod.index.count : lod.attributes.position.count;
+      stats.triangles[name] = (stats.triangles[name] || 0) + count / 3;
+    });
+  }
+
+  return stats;
+};
+
+export default {
+  MIN_LOD_TRIANGLES,
+  generateLodGeometries,
+  generateModelLods,
+};
@@ -0,0 +1,111 @@
+import { Vector3 } from 'three';
+import { useStore } from '../state/useStore';
+import { useEventSystem, EVENT_TYPES } from '../systems/EventSystem';
+
+// Offset from a hotspot to the camera when framing it
+const VIEW_OFFSET = new Vector3(18, 14, 18);
+
+/**
+ * Camera position/target that frames a hotspot
+ *
+ * @param {number[]|Vector3} position - Hotspot world position
+ * @returns {{position: Vector3, target: Vector3}} Camera viewpoint
+ */
+export const getHotspotViewpoint = (position) => {
+  const target = Array.isArray(position) ? new Vector3(...position) : position.clone();
+  return {
+    position: target.clone().add(VIEW_OFFSET),
+    target,
+  };
+};
+
+/**
+ * Select a project, fly the drone to its hotspot and frame it with the camera
+ *
+ * @param {Object} project - Entry from projects.json (needs id and position)
+ * @param {Object} options - Navigation options
+ * @param {boolean} options.openOverlay - Whether to show the project overlay (default: true)
+ * @param {boolean} options.moveCamera - Whether to play the camera reveal shot (default: true)
+ * @param {number} options.duration - Camera animation duration in seconds (default: 2)
+ * @param {string} options.source - Source tag forwarded on drone events (default: 'navigation')
+ * @returns {boolean} False if the project has no position
+ */
+export const flyToProject = (project, options = {}) => {
+  const {
+    openOverlay = true,
+    moveCamera = true,
+    duration = 2,
+    source = 'navigation'
+  } = options;
+  if (!project || !Array.isArray(project.position)) return false;
+
+  const { emit } = useEventSystem.getState();
+  const store = useStore.getState();
+  const hotspotPosition = new Vector3(...project.position);
+
+  store.setActiveHotspot(project.id, { position: hotspotPosition.clone(), projectData: project });
+  emit(EVENT_TYPES.DRONE_FLY_TO, {
+    targetPosition: hotspotPosition.clone(),
+    hotspotId: project.id,
+    source
+  });
+  if (moveCamera) {
+    // Authored reveal shot (per-project variant if there is one), or a plain move
+    const viewpoint = getHotspotViewpoint(hotspotPosition);
+    emit(EVENT_TYPES.CAMERA_PLAY_PATH, {
+      path: 'reveal',
+      variant: project.id,
+      origin: hotspotPosition.clone(),
+      fromCurrent: true,
+      fallback: { ...viewpoint, duration }
+    });
+  }
+  if (openOverlay) {
+    store.showOverlay(project);
+  }
+  return true;
+};
+
+/**
+ * Fly the camera to a bookmarked viewpoint. Bookmarks are orbit-mode views,
+ * so follow modes are switched back to orbit first.
+ *
+ * @param {Object} viewpoint - Bookmark or authored viewpoint ({ position, target, fov })
+ * @param {Object} options - Navigation options
+ * @param {number} options.duration - Camera animation duration in seconds (default: 2)
+ * @returns {boolean} False if the viewpoint is incomplete
+ */
+export const flyToViewpoint = (viewpoint, options = {}) => {
+  const { duration = 2 } = options;
+  if (!viewpoint || !Array.isArray(viewpoint.position) || !Array.isArray(viewpoint.target)) return false;
+
+  useStore.getState().setCameraMode('orbit');
+  useEventSystem.getState().emit(EVENT_TYPES.CAMERA_TARGET, {
+    position: new Vector3(...viewpoint.position),
+    target: new Vector3(...viewpoint.target),
+    fov: viewpoint.fov,
+    duration
+  });
+  return true;
+};
+
+/**
+ * Projects the guided tour visits, in order
+ *
+ * @param {Object[]} projects - Projects from the store
+ * @param {string[]|null} order - Project ids in tour order (null = projects order)
+ * @returns {Object[]} Projects that have a hotspot position
+ */
+export const getTourStops = (projects, order = null) => {
+  const ordered = order
+    ? order.map(id => projects.find(project => project.id === id)).filter(Boolean)
+    : projects;
+  return ordered.filter(project => Array.isArray(project.position));
+};
+
+export default {
+  getHotspotViewpoint,
+  flyToProject,
+  flyToViewpoint,
+  getTourStops
+};
@@ -0,0 +1,443 @@
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+
+/**
+ * Hierarchical-Z occlusion culling.
+ *
+ * Occluders (opaque city meshes on OCCLUDER_LAYER) are drawn depth-only into a
+ * persistent low-resolution float target. The GPU max-reduces that depth a
+ * couple of times and the smallest level is copied into a pixel buffer
+ * without waiting for it. Once a fence says the copy is done (usually a frame
+ * or two later) the CPU builds the rest of the pyramid. A box is occluded when
+ * its nearest point is further away than the furthest occluder depth over the
+ * pixels it covers, taken at the pyramid level where it spans at most two
+ * texels per axis.
+ *
+ * Boxes are tested from the camera the pyramid was drawn with. A new capture
+ * is only started once the camera has moved or turned past a threshold, and
+ * the pyramid is dropped (nothing is occluded) once the camera is a full
+ * threshold away from where it was drawn. That is the trade-off for not
+ * stalling on the readback: inside that window, something that has just come
+ * out from behind an occluder edge can stay hidden for the frame or two until
+ * the next readback lands. Lower thresholds shrink the window at the cost of
+ * more captures.
+ *
+ * Every reduction keeps the furthest depth, so the test only errs towards
+ * drawing. Occluders hidden by the last test don't occlude until they are
+ * shown again, which can only make more things visible.
+ */
+
+export const OCCLUDER_LAYER = 2;
+
+const DEFAULT_OPTIONS = {
+  // Depth target size as a fraction of the drawing buffer
+  resolution: 0.25,
+  // Max-reductions done on the GPU before reading back
+  gpuLevels: 2,
+  // Camera movement (world units) or turn (radians) that starts a new capture
+  moveThreshold: 1,
+  turnThreshold: 0.02,
+  // A pyramid is ignored once the camera is this many thresholds away from it
+  staleFactor: 1,
+};
+
+// Depths closer than this count as equal, so surfaces don't occlude themselves
+const DEPTH_EPSILON = 1e-6;
+
+// Window-space depth of every occluder fragment
+const OccluderDepthShader = {
+  vertexShader: /* glsl */`
+    #include <common>
+    void main() {
+      #include <begin_vertex>
+      #include <project_vertex>
+    }
+  `,
+  fragmentShader: /* glsl */`
+    void main() {
+      gl_FragColor = vec4( gl_FragCoord.z, 0.0, 0.0, 1.0 );
+    }
+  `,
+};
+
+// Halves a depth level, keeping the furthest of each 2x2 block
+const DepthReduceShader = {
+  uniforms: {
+    tDepth: { value: null },
+    sourceSize: { value: new THREE.Vector2() },
+  },
+  vertexShader: /* glsl */`
+    void main() {
+      gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+    }
+  `,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDepth;
+    uniform vec2 sourceSize;
+    void main() {
+      ivec2 base = ivec2( gl_FragCoord.xy ) * 2;
+      ivec2 last = ivec2( sourceSize ) - 1;
+      float depth = texelFetch( tDepth, min( base, last ), 0 ).r;
+      depth = max( depth, texelFetch( tDepth, min( base + ivec2( 1, 0 ), last ), 0 ).r );
+      depth = max( depth, texelFetch( tDepth, min( base + ivec2( 0, 1 ), last ), 0 ).r );
+      depth = max( depth, texelFetch( tDepth, min( base + ivec2( 1, 1 ), last ), 0 ).r );
+      gl_FragColor = vec4( depth, 0.0, 0.0, 1.0 );
+    }
+  `,
+};
+
+const corners = Array.from({ length: 8 }, () => new THREE.Vector4());
+const drawingBufferSize = new THREE.Vector2();
+const clearColor = new THREE.Color();
+const cameraPosition = new THREE.Vector3();
+const cameraQuaternion = new THREE.Quaternion();
+
+// Where a camera was when a depth capture was drawn
+const createViewpoint = (camera) => ({
+  position: new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld),
+  quaternion: new THREE.Quaternion().setFromRotationMatrix(camera.matrixWorld),
+  projection: camera.projectionMatrix.clone(),
+  viewProjection: new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse),
+});
+
+// How far a camera is from a viewpoint, in multiples of the thresholds
+const viewpointDistance = (viewpoint, camera, moveThreshold, turnThreshold) => {
+  if (!camera.projectionMatrix.equals(viewpoint.projection)) return Infinity;
+  cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+  cameraQuaternion.setFromRotationMatrix(camera.matrixWorld);
+  return Math.max(
+    cameraPosition.distanceTo(viewpoint.position) / moveThreshold,
+    cameraQuaternion.angleTo(viewpoint.quaternion) / turnThreshold
+  );
+};
+
+/**
+ * Whether a mesh hides what is behind it
+ *
+ * @param {THREE.Object3D} object - Candidate object
+ * @returns {boolean} True for meshes whose materials are all fully opaque
+ */
+const isOccluderCandidate = (object) => {
+  if (!object.isMesh || object.isSkinnedMesh || object.userData.noOcclusion) return false;
+  const materials = Array.isArray(object.material) ? object.material : [object.material];
+  return materials.every(material =>
+    material && material.visible && !material.transparent && material.opacity >= 1 &&
+    !material.alphaTest && !material.alphaMap
+  );
+};
+
+/**
+ * Put the opaque meshes under a root on the occluder layer
+ *
+ * @param {THREE.Object3D} root - Model to tag
+ * @returns {number} Number of occluder meshes
+ */
+export const tagOccluders = (root) => {
+  let count = 0;
+  root.traverse((object) => {
+    if (!isOccluderCandidate(object)) return;
+    object.layers.enable(OCCLUDER_LAYER);
+    count++;
+  });
+  return count;
+};
+
+// Furthest-depth pyramid level from the level below it
+const reduceLevel = ({ width, height, data }) => {
+  const level = {
+    width: Math.ceil(width / 2),
+    height: Math.ceil(height / 2),
+  };
+  level.data = new Float32Array(level.width * level.height);
+  for (let y = 0; y < level.height; y++) {
+    const y0 = y * 2;
+    const y1 = Math.min(y0 + 1, height - 1);
+    for (let x = 0; x < level.width; x++) {
+      const x0 = x * 2;
+      const x1 = Math.min(x0 + 1, width - 1);
+      level.data[y * level.width + x] = Math.max(
+        data[y0 * width + x0], data[y0 * width + x1],
+        data[y1 * width + x0], data[y1 * width + x1]
+      );
+    }
+  }
+  return level;
+};
+
+/**
+ * Create an occlusion culler
+ *
+ * @param {THREE.WebGLRenderer} renderer - Renderer to draw the depth with
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {Object} Culler API: supported, update, isOccluded, getLevels, dispose
+ */
+export const createOcclusionCuller = (renderer, options = {}) => {
+  const { resolution, gpuLevels, moveThreshold, turnThreshold, staleFactor } = { ...DEFAULT_OPTIONS, ...options };
+
+  // Float color targets are needed to read depth back
+  const supported = renderer.capabilities.isWebGL2 && renderer.extensions.has('EXT_color_buffer_float');
+  const gl = renderer.getContext();
+
+  const targetOptions = {
+    type: THREE.FloatType,
+    format: THREE.RGBAFormat,
+    minFilter: THREE.NearestFilter,
+    magFilter: THREE.NearestFilter,
+    depthBuffer: false,
+    stencilBuffer: false,
+  };
+  const depthTarget = new THREE.WebGLRenderTarget(1, 1, { ...targetOptions, depthBuffer: true });
+  const reduceTargets = Array.from({ length: gpuLevels }, () => new THREE.WebGLRenderTarget(1, 1, targetOptions));
+
+  const depthMaterial = new THREE.ShaderMaterial({
+    vertexShader: OccluderDepthShader.vertexShader,
+    fragmentShader: OccluderDepthShader.fragmentShader,
+  });
+  const reduceMaterial = new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.clone(DepthReduceShader.uniforms),
+    vertexShader: DepthReduceShader.vertexShader,
+    // WebGL2 compiles this as GLSL ES 3.0, which has texelFetch
+    fragmentShader: DepthReduceShader.fragmentShader,
+  });
+  const quad = new FullScreenQuad(reduceMaterial);
+
+  let baseWidth = 0;
+  let baseHeight = 0;
+  let readBuffer = null;
+  let pixelBuffer = null;
+  // Capture whose readback hasn't landed yet: { fence, width, height, viewpoint }
+  let pending = null;
+  // Viewpoint of the last capture started, landed or not
+  let lastCapture = null;
+  // Landed pyramid: { viewpoint, baseWidth, baseHeight, levels } where
+  // levels[i] is reduced gpuLevels + i times from the base
+  let pyramid = null;
+  // Whether the camera is still close enough to the pyramid to use it
+  let usable = false;
+
+  const cancelPending = () => {
+    if (!pending) return;
+    gl.deleteSync(pending.fence);
+    pending = null;
+  };
+
+  const resize = () => {
+    renderer.getDrawingBufferSize(drawingBufferSize);
+    const width = Math.max(16, Math.round(drawingBufferSize.x * resolution));
+    const height = Math.max(16, Math.round(drawingBufferSize.y * resolution));
+    if (width === baseWidth && height === baseHeight) return;
+
+    // Anything captured at the old size is dropped and redrawn
+    cancelPending();
+    lastCapture = null;
+    baseWidth = width;
+    baseHeight = height;
+    depthTarget.setSize(width, height);
+    let levelWidth = width;
+    let levelHeight = height;
+    reduceTargets.forEach((target) => {
+      levelWidth = Math.ceil(levelWidth / 2);
+      levelHeight = Math.ceil(levelHeight / 2);
+      target.setSize(levelWidth, levelHeight);
+    });
+    readBuffer = new Float32Array(levelWidth * levelHeight * 4);
+    if (!pixelBuffer) pixelBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pixelBuffer);
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, readBuffer.byteLength, gl.STREAM_READ);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+  };
+
+  // Draw the occluder depth, reduce it and queue the copy into the pixel buffer
+  const captureDepth = (scene, camera) => {
+    const previousTarget = renderer.getRenderTarget();
+    const previousAutoClear = renderer.autoClear;
+    const previousClearAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(clearColor);
+    const previousShadowUpdate = renderer.shadowMap.autoUpdate;
+    const previousLayers = camera.layers.mask;
+    const { overrideMaterial, background } = scene;
+
+    renderer.autoClear = false;
+    renderer.shadowMap.autoUpdate = false;
+    camera.layers.set(OCCLUDER_LAYER);
+    scene.overrideMaterial = depthMaterial;
+    scene.background = null;
+
+    try {
+      renderer.setRenderTarget(depthTarget);
+      renderer.setClearColor(0xffffff, 1);
+      renderer.clear();
+      renderer.render(scene, camera);
+
+      let source = depthTarget;
+      reduceTargets.forEach((target) => {
+        reduceMaterial.uniforms.tDepth.value = source.texture;
+        reduceMaterial.uniforms.sourceSize.value.set(source.width, source.height);
+        renderer.setRenderTarget(target);
+        quad.render(renderer);
+        source = target;
+      });
+
+      // readPixels into a bound pack buffer returns at once; the fence tells
+      // us when the GPU has actually written it
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pixelBuffer);
+      gl.readPixels(0, 0, source.width, source.height, gl.RGBA, gl.FLOAT, 0);
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+      const fence = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+      gl.flush();
+      return { fence, width: source.width, height: source.height };
+    } finally {
+      scene.overrideMaterial = overrideMaterial;
+      scene.background = background;
+      camera.layers.mask = previousLayers;
+      renderer.shadowMap.autoUpdate = previousShadowUpdate;
+      renderer.setClearColor(clearColor, previousClearAlpha);
+      renderer.autoClear = previousAutoClear;
+      renderer.setRenderTarget(previousTarget);
+    }
+  };
+
+  // Build the CPU pyramid from a finished readback
+  const landPending = () => {
+    const { fence, width, height, viewpoint } = pending;
+    gl.deleteSync(fence);
+    pending = null;
+
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pixelBuffer);
+    gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, readBuffer);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = readBuffer[i * 4];
+    }
+    const levels = [{ width, height, data }];
+    while (levels[levels.length - 1].width > 1 || levels[levels.length - 1].height > 1) {
+      levels.push(reduceLevel(levels[levels.length - 1]));
+    }
+    pyramid = { viewpoint, baseWidth, baseHeight, levels };
+  };
+
+  const culler = {
+    supported,
+
+    /**
+     * Call once per frame. Picks up a finished readback, and starts a new
+     * capture when none is in flight and the camera has moved past the
+     * thresholds since the last one.
+     *
+     * @param {THREE.Scene} scene - Scene holding the occluders
+     * @param {THREE.Camera} camera - Camera the next frame is drawn from
+     * @returns {boolean} True when isOccluded answers may have changed
+     */
+    update: (scene, camera) => {
+      if (!supported) return false;
+      resize();
+      camera.updateMatrixWorld();
+
+      let changed = false;
+      if (pending && gl.getSyncParameter(pending.fence, gl.SYNC_STATUS) === gl.SIGNALED) {
+        landPending();
+        changed = true;
+      }
+
+      if (!pending && (!lastCapture || viewpointDistance(lastCapture, camera, moveThreshold, turnThreshold) >= 1)) {
+        lastCapture = createViewpoint(camera);
+        pending = { ...captureDepth(scene, camera), viewpoint: lastCapture };
+      }
+
+      const wasUsable = usable;
+      usable = !!pyramid && viewpointDistance(pyramid.viewpoint, camera, moveThreshold, turnThreshold) < staleFactor;
+      return changed || usable !== wasUsable;
+    },
+
+    /**
+     * Whether a box is hidden behind the occluders of the last landed capture
+     *
+     * @param {THREE.Box3} box - World-space box
+     * @returns {boolean} True only if every pixel the box covers is nearer
+     */
+    isOccluded: (box) => {
+      if (!usable || box.isEmpty()) return false;
+
+      const { viewpoint, levels } = pyramid;
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      let minDepth = Infinity;
+      for (let i = 0; i < 8; i++) {
+        const corner = corners[i].set(
+          i & 1 ? box.max.x : box.min.x,
+          i & 2 ? box.max.y : box.min.y,
+          i & 4 ? box.max.z : box.min.z,
+          1
+        ).applyMatrix4(viewpoint.viewProjection);
+        // Crosses the camera plane: too close to test
+        if (corner.w <= 0) return false;
+        const x = corner.x / corner.w;
+        const y = corner.y / corner.w;
+        const z = corner.z / corner.w;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+        minDepth = Math.min(minDepth, z * 0.5 + 0.5);
+      }
+      // Off screen boxes are the frustum test's business
+      if (minDepth < 0 || maxX < -1 || minX > 1 || maxY < -1 || minY > 1) return false;
+
+      // Covered pixels at base resolution
+      const toPixel = (ndc, size) => Math.min(size - 1, Math.max(0, Math.floor((ndc * 0.5 + 0.5) * size)));
+      const x0 = toPixel(minX, pyramid.baseWidth);
+      const x1 = toPixel(maxX, pyramid.baseWidth);
+      const y0 = toPixel(minY, pyramid.baseHeight);
+      const y1 = toPixel(maxY, pyramid.baseHeight);
+
+      // Coarsest detail needed: at most two texels per axis
+      let levelIndex = 0;
+      let shift = gpuLevels;
+      while (
+        levelIndex < levels.length - 1 &&
+        ((x1 >> shift) - (x0 >> shift) > 1 || (y1 >> shift) - (y0 >> shift) > 1)
+      ) {
+        levelIndex++;
+        shift++;
+      }
+
+      const { width, data } = levels[levelIndex];
+      let maxDepth = 0;
+      for (let y = y0 >> shift; y <= y1 >> shift; y++) {
+        for (let x = x0 >> shift; x <= x1 >> shift; x++) {
+          maxDepth = Math.max(maxDepth, data[y * width + x]);
+        }
+      }
+      return minDepth > maxDepth + DEPTH_EPSILON;
+    },
+
+    // CPU pyramid levels { width, height, data }, finest first (for debugging)
+    getLevels: () => (pyramid ? pyramid.levels : []),
+
+    dispose: () => {
+      cancelPending();
+      if (pixelBuffer) gl.deleteBuffer(pixelBuffer);
+      pixelBuffer = null;
+      depthTarget.dispose();
+      reduceTargets.forEach(target => target.dispose());
+      depthMaterial.dispose();
+      reduceMaterial.dispose();
+      quad.dispose();
+      pyramid = null;
+      lastCapture = null;
+      usable = false;
+    },
+  };
+
+  return culler;
+};
+
+export default {
+  OCCLUDER_LAYER,
+  tagOccluders,
+  createOcclusionCuller,
+};
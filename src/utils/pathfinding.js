@@ -0,0 +1,348 @@
+import { Vector3 } from 'three';
+import { cubicBezier } from './mathUtils';
+
+/**
+ * Voxel navigation grid and A* search for drone routes.
+ *
+ * The grid covers the city bounds and is evaluated lazily: a cell is only
+ * tested against the city geometry the first time a search touches it, so
+ * building a grid is free and a search costs roughly as many collision
+ * queries as the cells it expands.
+ */
+
+const CELL_UNKNOWN = 0;
+const CELL_FREE = 1;
+const CELL_BLOCKED = 2;
+
+// 26-connected neighbourhood with the cost of each step in cells
+const NEIGHBOUR_OFFSETS = [];
+for (let dx = -1; dx <= 1; dx++) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dz = -1; dz <= 1; dz++) {
+      if (dx || dy || dz) {
+        NEIGHBOUR_OFFSETS.push([dx, dy, dz, Math.sqrt(dx * dx + dy * dy + dz * dz)]);
+      }
+    }
+  }
+}
+
+/**
+ * Create a navigation grid over an axis-aligned volume
+ *
+ * @param {{min: Vector3, max: Vector3}} bounds - City bounds (from setCityBounds)
+ * @param {Function} isBlocked - (center: Vector3, radius: number) => boolean
+ * @param {Object} options - Grid options
+ * @param {number} options.maxCells - Cells along the longest axis
+ * @param {number} options.minCellSize - Smallest allowed cell size in world units
+ * @param {number} options.clearance - Extra space kept around the drone
+ * @param {number} options.minAltitude - Lowest flyable height
+ * @param {number} options.headroom - Flyable space above the tallest building
+ * @returns {Object} Grid API
+ */
+export const createNavigationGrid = (bounds, isBlocked, {
+  maxCells = 48,
+  minCellSize = 2,
+  clearance = 0.8,
+  minAltitude = 5,
+  headroom = 10,
+} = {}) => {
+  const min = new Vector3(bounds.min.x, Math.max(bounds.min.y, minAltitude), bounds.min.z);
+  const max = new Vector3(bounds.max.x, Math.max(bounds.max.y, minAltitude) + headroom, bounds.max.z);
+  const size = new Vector3().subVectors(max, min);
+  const cellSize = Math.max(minCellSize, Math.max(size.x, size.y, size.z) / maxCells);
+  const nx = Math.ceil(size.x / cellSize) + 1;
+  const ny = Math.ceil(size.y / cellSize) + 1;
+  const nz = Math.ceil(size.z / cellSize) + 1;
+  const cells = new Uint8Array(nx * ny * nz);
+  const probeRadius = cellSize * 0.5 + clearance;
+  const center = new Vector3();
+
+  const indexOf = (ix, iy, iz) => ix + nx * (iy + ny * iz);
+  const inGrid = (ix, iy, iz) => ix >= 0 && iy >= 0 && iz >= 0 && ix < nx && iy < ny && iz < nz;
+
+  const cellCenter = (ix, iy, iz, target = new Vector3()) =>
+    target.set(min.x + ix * cellSize, min.y + iy * cellSize, min.z + iz * cellSize);
+
+  const isFree = (ix, iy, iz) => {
+    if (!inGrid(ix, iy, iz)) return false;
+    const index = indexOf(ix, iy, iz);
+    if (cells[index] === CELL_UNKNOWN) {
+      cells[index] = isBlocked(cellCenter(ix, iy, iz, center), probeRadius) ? CELL_BLOCKED : CELL_FREE;
+    }
+    return cells[index] === CELL_FREE;
+  };
+
+  const worldToCell = (point) => [
+    Math.min(nx - 1, Math.max(0, Math.round((point.x - min.x) / cellSize))),
+    Math.min(ny - 1, Math.max(0, Math.round((point.y - min.y) / cellSize))),
+    Math.min(nz - 1, Math.max(0, Math.round((point.z - min.z) / cellSize))),
+  ];
+
+  return {
+    cellSize,
+    dimensions: [nx, ny, nz],
+    indexOf,
+    cellCenter,
+    isFree,
+    worldToCell,
+
+    // Forget cached occupancy, e.g. after colliders were added
+    reset: () => cells.fill(CELL_UNKNOWN),
+
+    /**
+     * Find the closest free cell to a cell, searching outward shell by shell
+     *
+     * @param {number[]} cell - [ix, iy, iz]
+     * @param {number} maxRadius - Largest shell to search
+     * @returns {number[]|null} Free cell or null
+     */
+    nearestFree: (cell, maxRadius = 4) => {
+      const [cx, cy, cz] = cell;
+      if (isFree(cx, cy, cz)) return cell;
+      for (let r = 1; r <= maxRadius; r++) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (let dx = -r; dx <= r; dx++) {
+          for (let dy = -r; dy <= r; dy++) {
+            for (let dz = -r; dz <= r; dz++) {
+              if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) !== r) continue;
+              const distance = dx * dx + dy * dy + dz * dz;
+              if (distance < bestDistance && isFree(cx + dx, cy + dy, cz + dz)) {
+                best = [cx + dx, cy + dy, cz + dz];
+                bestDistance = distance;
+              }
+            }
+          }
+        }
+        if (best) return best;
+      }
+      return null;
+    },
+
+    /**
+     * Check that a straight segment only crosses free cells
+     *
+     * @param {Vector3} from - Segment start
+     * @param {Vector3} to - Segment end
+     * @returns {boolean} True when the segment is clear
+     */
+    isSegmentFree: (from, to) => {
+      const length = from.distanceTo(to);
+      const steps = Math.max(1, Math.ceil(length / (cellSize * 0.5)));
+      const point = new Vector3();
+      for (let i = 0; i <= steps; i++) {
+        point.lerpVectors(from, to, i / steps);
+        const [ix, iy, iz] = worldToCell(point);
+        if (!isFree(ix, iy, iz)) return false;
+      }
+      return true;
+    },
+  };
+};
+
+/**
+ * Minimal binary min-heap of (index, score) entries. The score is captured at
+ * push time, so later score updates never reorder entries already queued;
+ * callers push again with the better score and skip the stale copy on pop.
+ *
+ * @returns {Object} Heap with push(index, score), pop() => { index, score } and size
+ */
+const createHeap = () => {
+  const items = [];
+  const swap = (a, b) => {
+    const tmp = items[a];
+    items[a] = items[b];
+    items[b] = tmp;
+  };
+  return {
+    size: () => items.length,
+    push: (index, score) => {
+      items.push({ index, score });
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].score <= items[i].score) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop: () => {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left].score < items[smallest].score) smallest = left;
+          if (right < items.length && items[right].score < items[smallest].score) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+};
+
+/**
+ * Drop waypoints that can be skipped with a clear straight line
+ *
+ * @param {Object} grid - Navigation grid
+ * @param {Vector3[]} points - Raw waypoints
+ * @returns {Vector3[]} Simplified waypoints
+ */
+const simplifyPath = (grid, points) => {
+  if (points.length <= 2) return points;
+  const result = [points[0]];
+  let anchor = 0;
+  for (let i = 2; i < points.length; i++) {
+    if (!grid.isSegmentFree(points[anchor], points[i])) {
+      result.push(points[i - 1]);
+      anchor = i - 1;
+    }
+  }
+  result.push(points[points.length - 1]);
+  return result;
+};
+
+/**
+ * A* search between two world positions
+ *
+ * @param {Object} grid - Grid from createNavigationGrid
+ * @param {Vector3} start - Start position
+ * @param {Vector3} goal - Goal position
+ * @param {Object} options - Search options
+ * @param {number} options.maxIterations - Give up after expanding this many cells
+ * @returns {Vector3[]|null} Simplified waypoints from start to goal, or null if unreachable
+ */
+export const findPath = (grid, start, goal, { maxIterations = 20000 } = {}) => {
+  const startCell = grid.nearestFree(grid.worldToCell(start));
+  const goalCell = grid.nearestFree(grid.worldToCell(goal));
+  if (!startCell || !goalCell) return null;
+
+  // Nothing in the way - skip the search
+  if (grid.isSegmentFree(start, goal)) {
+    return [start.clone(), goal.clone()];
+  }
+
+  const [nx, ny, nz] = grid.dimensions;
+  const total = nx * ny * nz;
+  const gScore = new Float32Array(total).fill(Infinity);
+  const fScore = new Float32Array(total).fill(Infinity);
+  const cameFrom = new Int32Array(total).fill(-1);
+  const closed = new Uint8Array(total);
+  const open = createHeap();
+
+  const decode = (index) => {
+    const ix = index % nx;
+    const iy = Math.floor(index / nx) % ny;
+    const iz = Math.floor(index / (nx * ny));
+    return [ix, iy, iz];
+  };
+  const [gx, gy, gz] = goalCell;
+  const heuristic = (ix, iy, iz) => Math.hypot(ix - gx, iy - gy, iz - gz);
+
+  const startIndex = grid.indexOf(...startCell);
+  const goalIndex = grid.indexOf(...goalCell);
+  gScore[startIndex] = 0;
+  fScore[startIndex] = heuristic(...startCell);
+  open.push(startIndex, fScore[startIndex]);
+
+  let iterations = 0;
+  let found = false;
+  while (open.size() > 0 && iterations++ < maxIterations) {
+    const { index: current, score } = open.pop();
+    // Skip entries superseded by a cheaper push of the same cell
+    if (closed[current] || score > fScore[current]) continue;
+    if (current === goalIndex) {
+      found = true;
+      break;
+    }
+    closed[current] = 1;
+
+    const [cx, cy, cz] = decode(current);
+    for (let i = 0; i < NEIGHBOUR_OFFSETS.length; i++) {
+      const [dx, dy, dz, cost] = NEIGHBOUR_OFFSETS[i];
+      const ix = cx + dx;
+      const iy = cy + dy;
+      const iz = cz + dz;
+      if (!grid.isFree(ix, iy, iz)) continue;
+      const neighbour = grid.indexOf(ix, iy, iz);
+      if (closed[neighbour]) continue;
+      const tentative = gScore[current] + cost;
+      if (tentative < gScore[neighbour]) {
+        cameFrom[neighbour] = current;
+        gScore[neighbour] = tentative;
+        fScore[neighbour] = tentative + heuristic(ix, iy, iz);
+        open.push(neighbour, fScore[neighbour]);
+      }
+    }
+  }
+
+  if (!found) return null;
+
+  const points = [];
+  for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+    points.push(grid.cellCenter(...decode(index)));
+  }
+  points.reverse();
+  // Use the exact endpoints rather than the cell centers
+  points[0] = start.clone();
+  points.push(goal.clone());
+
+  return simplifyPath(grid, points);
+};
+
+/**
+ * Turn waypoints into a smooth curve using Catmull-Rom style bezier segments.
+ * With a grid, any curved segment that cuts through an obstacle falls back to
+ * the straight line between its waypoints.
+ *
+ * @param {Vector3[]} points - Waypoints
+ * @param {number} samplesPerSegment - Points generated per segment
+ * @param {Object} grid - Optional navigation grid to validate the curve against
+ * @returns {Vector3[]} Dense smoothed path including both endpoints
+ */
+export const smoothPath = (points, samplesPerSegment = 8, grid = null) => {
+  if (points.length <= 2) return points.map((point) => point.clone());
+
+  const result = [points[0].clone()];
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[i];
+    const p3 = points[i + 1];
+    const previous = points[Math.max(i - 1, 0)];
+    const next = points[Math.min(i + 2, points.length - 1)];
+    const p1 = new Vector3().subVectors(p3, previous).multiplyScalar(1 / 6).add(p0);
+    const p2 = new Vector3().subVectors(next, p0).multiplyScalar(-1 / 6).add(p3);
+    const segment = [];
+    let last = p0;
+    let blocked = false;
+    for (let s = 1; s <= samplesPerSegment; s++) {
+      const sample = cubicBezier(s / samplesPerSegment, p0, p1, p2, p3);
+      if (grid && !grid.isSegmentFree(last, sample)) {
+        blocked = true;
+        break;
+      }
+      segment.push(sample);
+      last = sample;
+    }
+    if (blocked) {
+      segment.length = 0;
+      for (let s = 1; s <= samplesPerSegment; s++) {
+        segment.push(new Vector3().lerpVectors(p0, p3, s / samplesPerSegment));
+      }
+    }
+    result.push(...segment);
+  }
+  return result;
+};
+
+export default {
+  createNavigationGrid,
+  findPath,
+  smoothPath,
+};
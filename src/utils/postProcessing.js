@@ -0,0 +1,440 @@
+import {
+  Vector2,
+  MeshBasicMaterial,
+  ShaderMaterial,
+  UniformsUtils,
+  NoToneMapping,
+  LinearToneMapping,
+  ReinhardToneMapping,
+  CineonToneMapping,
+  ACESFilmicToneMapping,
+} from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { Pass, FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
+import { FilmShader } from 'three/examples/jsm/shaders/FilmShader.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+import { isBloomObject } from './bloomLayers';
+
+/**
+ * Post-processing stack for the composer pipeline.
+ *
+ * The stack is an ordered list of entries `{ type, enabled, ...params }`.
+ * Passes run in list order after the scene render; reorder or toggle entries
+ * through RenderingSystem's `postEffects` prop or the store's postEffects.
+ */
+
+// Default look: bloom, then lens/film artifacts, then tone mapping and AA on the final image
+export const DEFAULT_POST_EFFECTS = [
+  // selective: only objects on the bloom layer glow (see utils/bloomLayers)
+  { type: 'bloom', enabled: true, selective: true },
+  { type: 'chromaticAberration', enabled: true, amount: 0.0015 },
+  // Short datamosh bursts fired by the listed events
+  { type: 'glitch', enabled: true, strength: 1, duration: 0.45, triggers: ['hotspot:select'] },
+  { type: 'scanlines', enabled: true, intensity: 0.12, spacing: 4, speed: 6 },
+  { type: 'filmGrain', enabled: true, intensity: 0.15 },
+  { type: 'vignette', enabled: true, offset: 1.0, darkness: 1.15 },
+  // mode: 'none', 'linear', 'reinhard', 'cineon' or 'aces'
+  { type: 'toneMapping', enabled: true, mode: 'aces', exposure: 1 },
+  { type: 'fxaa', enabled: true },
+];
+
+export const TONE_MAPPING_MODES = {
+  none: NoToneMapping,
+  linear: LinearToneMapping,
+  reinhard: ReinhardToneMapping,
+  cineon: CineonToneMapping,
+  aces: ACESFilmicToneMapping,
+};
+
+const fullscreenVertexShader = /* glsl */`
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+  }
+`;
+
+// Adds the bloom layer's glow on top of the full scene
+export const BloomMixShader = {
+  uniforms: {
+    baseTexture: { value: null },
+    bloomTexture: { value: null },
+  },
+  vertexShader: fullscreenVertexShader,
+  fragmentShader: /* glsl */`
+    uniform sampler2D baseTexture;
+    uniform sampler2D bloomTexture;
+    varying vec2 vUv;
+
+    void main() {
+      vec4 base = texture2D( baseTexture, vUv );
+      gl_FragColor = vec4( base.rgb + texture2D( bloomTexture, vUv ).rgb, base.a );
+    }
+  `,
+};
+
+// Radial RGB split, stronger toward the edges like a cheap lens
+export const ChromaticAberrationShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    amount: { value: 0.0015 },
+  },
+  vertexShader: fullscreenVertexShader,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform float amount;
+    varying vec2 vUv;
+
+    void main() {
+      vec2 offset = ( vUv - 0.5 ) * amount * 2.0;
+      vec4 base = texture2D( tDiffuse, vUv );
+      float r = texture2D( tDiffuse, vUv + offset ).r;
+      float b = texture2D( tDiffuse, vUv - offset ).b;
+      gl_FragColor = vec4( r, base.g, b, base.a );
+    }
+  `,
+};
+
+// Rolling CRT scanlines with a faint cyan phosphor tint
+export const ScanlineShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    resolution: { value: new Vector2(1, 1) },
+    time: { value: 0 },
+    intensity: { value: 0.12 },
+    spacing: { value: 4 },
+    speed: { value: 6 },
+  },
+  vertexShader: fullscreenVertexShader,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform vec2 resolution;
+    uniform float time;
+    uniform float intensity;
+    uniform float spacing;
+    uniform float speed;
+    varying vec2 vUv;
+
+    void main() {
+      vec4 color = texture2D( tDiffuse, vUv );
+      float line = 0.5 + 0.5 * sin( ( vUv.y * resolution.y + time * speed ) * 3.14159265 * 2.0 / spacing );
+      color.rgb *= 1.0 - intensity * line;
+      color.rgb += vec3( 0.0, 1.0, 1.0 ) * intensity * 0.1 * ( 1.0 - line );
+      gl_FragColor = color;
+    }
+  `,
+};
+
+// Datamosh-style burst: torn horizontal slices, smeared blocks and an RGB split
+export const GlitchShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    amount: { value: 0 },
+    seed: { value: 0 },
+  },
+  vertexShader: fullscreenVertexShader,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform float amount;
+    uniform float seed;
+    varying vec2 vUv;
+
+    float rand( vec2 co ) {
+      return fract( sin( dot( co, vec2( 12.9898, 78.233 ) ) ) * 43758.5453 );
+    }
+
+    void main() {
+      vec2 uv = vUv;
+
+      // Tear random slices sideways
+      float slice = floor( uv.y * 28.0 );
+      float tear = step( 1.0 - amount * 0.6, rand( vec2( slice, seed ) ) );
+      uv.x += ( rand( vec2( seed, slice ) ) - 0.5 ) * 0.12 * amount * tear;
+
+      // Smear whole blocks vertically
+      vec2 block = floor( vUv * vec2( 16.0, 9.0 ) );
+      float smear = step( 1.0 - amount * 0.25, rand( block + seed ) );
+      uv.y += ( rand( block.yx - seed ) - 0.5 ) * 0.06 * amount * smear;
+
+      vec2 split = vec2( 0.012 * amount, 0.0 );
+      vec4 color = texture2D( tDiffuse, uv );
+      color.r = texture2D( tDiffuse, uv + split ).r;
+      color.b = texture2D( tDiffuse, uv - split ).b;
+      gl_FragColor = color;
+    }
+  `,
+};
+
+// Stand-in for everything that shouldn't glow: still occludes, adds nothing
+const bloomOccluderMaterial = new MeshBasicMaterial({ color: 0x000000, fog: false });
+
+// Bloom that only picks up objects on the bloom layer. The scene is rendered a
+// second time with every other mesh blacked out (points, lines and sprites are
+// hidden), bloomed, and the glow is added over the full-colour frame.
+// With `selective` off it blooms the whole frame like a plain UnrealBloomPass.
+class SelectiveBloomPass extends Pass {
+  constructor({ gl, scene, camera, size, bloomStrength, bloomRadius, bloomThreshold }) {
+    super();
+    this.scene = scene;
+    this.selective = true;
+
+    this.bloomComposer = new EffectComposer(gl);
+    this.bloomComposer.renderToScreen = false;
+    // setSize receives device pixels from the outer composer
+    this.bloomComposer.setPixelRatio(1);
+    this.bloomComposer.addPass(new RenderPass(scene, camera));
+    this.bloomPass = new UnrealBloomPass(new Vector2(size.width, size.height), bloomStrength, bloomRadius, bloomThreshold);
+    this.bloomComposer.addPass(this.bloomPass);
+
+    this.material = new ShaderMaterial({
+      uniforms: UniformsUtils.clone(BloomMixShader.uniforms),
+      vertexShader: BloomMixShader.vertexShader,
+      fragmentShader: BloomMixShader.fragmentShader,
+    });
+    this.fsQuad = new FullScreenQuad(this.material);
+
+    // Restored after every bloom render
+    this.swappedMaterials = new Map();
+    this.hiddenObjects = [];
+  }
+
+  get strength() {
+    return this.bloomPass.strength;
+  }
+
+  set strength(value) {
+    this.bloomPass.strength = value;
+  }
+
+  get radius() {
+    return this.bloomPass.radius;
+  }
+
+  set radius(value) {
+    this.bloomPass.radius = value;
+  }
+
+  get threshold() {
+    return this.bloomPass.threshold;
+  }
+
+  set threshold(value) {
+    this.bloomPass.threshold = value;
+  }
+
+  setSize(width, height) {
+    this.bloomComposer.setSize(width, height);
+  }
+
+  darkenNonBloomed() {
+    this.scene.traverse((object) => {
+      if (isBloomObject(object)) return;
+      if (object.isMesh) {
+        this.swappedMaterials.set(object, object.material);
+        object.material = bloomOccluderMaterial;
+      } else if ((object.isPoints || object.isLine || object.isSprite) && object.visible) {
+        this.hiddenObjects.push(object);
+        object.visible = false;
+      }
+    });
+  }
+
+  restoreNonBloomed() {
+    this.swappedMaterials.forEach((material, object) => {
+      object.material = material;
+    });
+    this.swappedMaterials.clear();
+    this.hiddenObjects.forEach((object) => {
+      object.visible = true;
+    });
+    this.hiddenObjects.length = 0;
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime) {
+    if (this.selective) {
+      const background = this.scene.background;
+      this.scene.background = null;
+      this.darkenNonBloomed();
+      try {
+        this.bloomComposer.render(deltaTime);
+      } finally {
+        this.restoreNonBloomed();
+        this.scene.background = background;
+      }
+    } else {
+      this.bloomComposer.render(deltaTime);
+    }
+
+    this.material.uniforms.baseTexture.value = readBuffer.texture;
+    this.material.uniforms.bloomTexture.value = this.bloomComposer.readBuffer.texture;
+    renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+    this.fsQuad.render(renderer);
+  }
+
+  dispose() {
+    this.bloomComposer.dispose();
+    this.bloomPass.dispose();
+    this.material.dispose();
+    this.fsQuad.dispose();
+  }
+}
+
+// OutputPass with its own tone-mapping choice instead of the renderer's
+class ToneMappingPass extends OutputPass {
+  constructor() {
+    super();
+    this.toneMapping = ACESFilmicToneMapping;
+    this.exposure = 1;
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+    const { toneMapping, toneMappingExposure } = renderer;
+    renderer.toneMapping = this.toneMapping;
+    renderer.toneMappingExposure = this.exposure;
+    super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+    renderer.toneMapping = toneMapping;
+    renderer.toneMappingExposure = toneMappingExposure;
+  }
+}
+
+// Pass factories by entry type.
+//   create(context)            - build the pass
+//   apply(pass, entry)         - copy entry params onto the pass
+//   tick(pass, deltaTime)      - advance animated uniforms once per rendered frame
+//   resize(pass, width, height) - drawing buffer size in device pixels
+const POST_EFFECT_FACTORIES = {
+  bloom: {
+    create: context => new SelectiveBloomPass(context),
+    apply: (pass, { selective = true }) => {
+      pass.selective = selective;
+    },
+  },
+  chromaticAberration: {
+    create: () => new ShaderPass(ChromaticAberrationShader),
+    apply: (pass, { amount = 0.0015 }) => {
+      pass.uniforms.amount.value = amount;
+    },
+  },
+  glitch: {
+    create: () => {
+      const pass = new ShaderPass(GlitchShader);
+      pass.burst = { strength: 0, remaining: 0, duration: 1 };
+      return pass;
+    },
+    tick: (pass, deltaTime) => {
+      const { burst } = pass;
+      burst.remaining = Math.max(0, burst.remaining - deltaTime);
+      pass.uniforms.amount.value = burst.strength * (burst.remaining / burst.duration);
+      pass.uniforms.seed.value = Math.random() * 100;
+    },
+  },
+  scanlines: {
+    create: () => new ShaderPass(ScanlineShader),
+    apply: (pass, { intensity = 0.12, spacing = 4, speed = 6 }) => {
+      pass.uniforms.intensity.value = intensity;
+      pass.uniforms.spacing.value = spacing;
+      pass.uniforms.speed.value = speed;
+    },
+    tick: (pass, deltaTime) => {
+      pass.uniforms.time.value += deltaTime;
+    },
+    resize: (pass, width, height) => {
+      pass.uniforms.resolution.value.set(width, height);
+    },
+  },
+  filmGrain: {
+    create: () => new ShaderPass(FilmShader),
+    apply: (pass, { intensity = 0.15 }) => {
+      pass.uniforms.intensity.value = intensity;
+    },
+    tick: (pass, deltaTime) => {
+      pass.uniforms.time.value += deltaTime;
+    },
+  },
+  vignette: {
+    create: () => new ShaderPass(VignetteShader),
+    apply: (pass, { offset = 1.0, darkness = 1.15 }) => {
+      pass.uniforms.offset.value = offset;
+      pass.uniforms.darkness.value = darkness;
+    },
+  },
+  toneMapping: {
+    create: () => new ToneMappingPass(),
+    apply: (pass, { mode = 'aces', exposure = 1 }) => {
+      pass.toneMapping = TONE_MAPPING_MODES[mode] ?? ACESFilmicToneMapping;
+      pass.exposure = exposure;
+    },
+  },
+  fxaa: {
+    create: () => new ShaderPass(FXAAShader),
+    resize: (pass, width, height) => {
+      pass.material.uniforms.resolution.value.set(1 / width, 1 / height);
+    },
+  },
+};
+
+export const POST_EFFECT_TYPES = Object.keys(POST_EFFECT_FACTORIES);
+
+/**
+ * Create the pass for a stack entry
+ *
+ * @param {string} type - Entry type (see POST_EFFECT_TYPES)
+ * @param {Object} context - Pipeline context (renderer, scene, camera, size and bloom settings)
+ * @returns {Pass|null} The pass, or null for unknown types
+ */
+export const createPostEffectPass = (type, context) => {
+  const factory = POST_EFFECT_FACTORIES[type];
+  if (!factory) {
+    console.warn(`Unknown post effect "${type}"`);
+    return null;
+  }
+  return factory.create(context);
+};
+
+/**
+ * Copy an entry's params onto its pass
+ *
+ * @param {Pass} pass - Pass created by createPostEffectPass
+ * @param {Object} entry - Stack entry
+ */
+export const applyPostEffect = (pass, entry) => {
+  POST_EFFECT_FACTORIES[entry.type]?.apply?.(pass, entry);
+};
+
+/**
+ * Advance a pass's animated uniforms
+ *
+ * @param {string} type - Entry type
+ * @param {Pass} pass - Pass created by createPostEffectPass
+ * @param {number} deltaTime - Seconds since the last rendered frame
+ */
+export const tickPostEffect = (type, pass, deltaTime) => {
+  POST_EFFECT_FACTORIES[type]?.tick?.(pass, deltaTime);
+};
+
+/**
+ * Tell a pass the drawing buffer size
+ *
+ * @param {string} type - Entry type
+ * @param {Pass} pass - Pass created by createPostEffectPass
+ * @param {number} width - Width in device pixels
+ * @param {number} height - Height in device pixels
+ */
+export const resizePostEffect = (type, pass, width, height) => {
+  POST_EFFECT_FACTORIES[type]?.resize?.(pass, width, height);
+};
+
+export default {
+  DEFAULT_POST_EFFECTS,
+  POST_EFFECT_TYPES,
+  TONE_MAPPING_MODES,
+  createPostEffectPass,
+  applyPostEffect,
+  tickPostEffect,
+  resizePostEffect,
+};
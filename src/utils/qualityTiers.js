@@ -0,0 +1,141 @@
+/**
+ * Render quality tiers and the frame-rate governor that moves between them.
+ *
+ * Each tier describes how much every effect should spend. Effects read the
+ * settings for the current tier and scale themselves when the store's
+ * qualityTier changes (announced as render:qualityTier).
+ */
+
+// Lowest to highest
+export const QUALITY_TIERS = ['potato', 'low', 'medium', 'high', 'ultra'];
+
+export const DEFAULT_QUALITY_TIER = 'high';
+
+// dpr:           device pixel ratio cap (never above window.devicePixelRatio)
+// bloom:         multiplier on the configured bloom strength (0 turns bloom off)
+// fxaa:          run the FXAA pass
+// rainDensity:   multiplier on CyberpunkRain's raindrop count
+// vehicleDensity: multiplier on FlyingVehicles' count
+// cullDistance:  multiplier on SpatialSystem cull distances
+export const QUALITY_TIER_SETTINGS = {
+  ultra: { dpr: 2, bloom: 1, fxaa: true, rainDensity: 1.5, vehicleDensity: 1.5, cullDistance: 1.5 },
+  high: { dpr: 1.5, bloom: 1, fxaa: true, rainDensity: 1, vehicleDensity: 1, cullDistance: 1 },
+  medium: { dpr: 1.25, bloom: 0.8, fxaa: true, rainDensity: 0.6, vehicleDensity: 0.6, cullDistance: 0.8 },
+  low: { dpr: 1, bloom: 0.5, fxaa: false, rainDensity: 0.3, vehicleDensity: 0.3, cullDistance: 0.6 },
+  potato: { dpr: 0.75, bloom: 0, fxaa: false, rainDensity: 0, vehicleDensity: 0, cullDistance: 0.4 },
+};
+
+// Governor thresholds (frames per second, samples are one per second)
+export const QUALITY_GOVERNOR_DEFAULTS = {
+  // Rolling window the average FPS is taken over
+  windowSize: 5,
+  // Step down when the average stays below this...
+  downgradeFps: 40,
+  // ...for this many consecutive samples
+  downgradeSamples: 3,
+  // Step up only when the average stays above this for much longer
+  upgradeFps: 57,
+  upgradeSamples: 10,
+  // Samples ignored after a change while the new tier settles
+  cooldownSamples: 3,
+};
+
+/**
+ * Settings for a tier, falling back to the default tier for unknown names
+ *
+ * @param {string} tier - Tier name
+ * @returns {Object} Tier settings
+ */
+export const getQualitySettings = (tier) =>
+  QUALITY_TIER_SETTINGS[tier] || QUALITY_TIER_SETTINGS[DEFAULT_QUALITY_TIER];
+
+/**
+ * Tier-adjusted device pixel ratio for this display
+ *
+ * @param {Object} settings - Tier settings
+ * @returns {number} Device pixel ratio to render at
+ */
+export const getTierDpr = (settings) => {
+  const deviceDpr = typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1;
+  return Math.min(deviceDpr, settings.dpr);
+};
+
+/**
+ * Create a governor that picks a tier from FPS samples. The gap between the
+ * downgrade and upgrade thresholds, the longer upgrade streak and the cooldown
+ * after every change keep it from oscillating between two tiers.
+ *
+ * @param {Object} options - Governor options (see QUALITY_GOVERNOR_DEFAULTS)
+ * @param {string} options.tier - Starting tier
+ * @returns {Object} Governor with addSample(fps), setTier(tier), reset() and tier
+ */
+export const createQualityGovernor = ({ tier = DEFAULT_QUALITY_TIER, ...options } = {}) => {
+  const config = { ...QUALITY_GOVERNOR_DEFAULTS, ...options };
+  let currentTier = tier;
+  let samples = [];
+  let lowStreak = 0;
+  let highStreak = 0;
+  let cooldown = 0;
+
+  const reset = () => {
+    samples = [];
+    lowStreak = 0;
+    highStreak = 0;
+    cooldown = config.cooldownSamples;
+  };
+
+  const step = (direction) => {
+    const index = QUALITY_TIERS.indexOf(currentTier) + direction;
+    if (index < 0 || index >= QUALITY_TIERS.length) return null;
+    currentTier = QUALITY_TIERS[index];
+    reset();
+    return currentTier;
+  };
+
+  return {
+    get tier() {
+      return currentTier;
+    },
+
+    /**
+     * Feed one FPS sample
+     *
+     * @param {number} fps - Measured frames per second
+     * @returns {string|null} The new tier if it changed, otherwise null
+     */
+    addSample(fps) {
+      if (cooldown > 0) {
+        cooldown--;
+        return null;
+      }
+
+      samples.push(fps);
+      if (samples.length > config.windowSize) samples.shift();
+      const average = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+
+      lowStreak = average < config.downgradeFps ? lowStreak + 1 : 0;
+      highStreak = average > config.upgradeFps && samples.length === config.windowSize ? highStreak + 1 : 0;
+
+      if (lowStreak >= config.downgradeSamples) return step(-1);
+      if (highStreak >= config.upgradeSamples) return step(1);
+      return null;
+    },
+
+    // Jump to a tier (e.g. picked by hand) and start measuring afresh
+    setTier(nextTier) {
+      currentTier = nextTier;
+      reset();
+    },
+
+    reset,
+  };
+};
+
+export default {
+  QUALITY_TIERS,
+  QUALITY_TIER_SETTINGS,
+  DEFAULT_QUALITY_TIER,
+  getQualitySettings,
+  getTierDpr,
+  createQualityGovernor,
+};
@@ -0,0 +1,262 @@
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import RenderingManager from './RenderingManager';
+import {
+  DEFAULT_POST_EFFECTS,
+  createPostEffectPass,
+  applyPostEffect,
+  tickPostEffect,
+  resizePostEffect,
+} from './postProcessing';
+
+/**
+ * Render pipelines RenderingSystem can switch between at runtime.
+ *
+ * A pipeline factory receives `{ gl, scene, camera, size, bloomStrength,
+ * bloomRadius, bloomThreshold }` and returns an object with:
+ *   render()                      - draw one frame to the screen
+ *   setSize(width, height)        - canvas size in CSS pixels; also picks up a new renderer DPR
+ *   setResolutionScale(scale)     - adaptive resolution (0-1 of full size)
+ *   configure({ bloomStrength, bloomRadius, bloomThreshold, fxaa })
+ *   dispose()
+ * and optionally, for pipelines with a configurable post-processing stack:
+ *   setEffects(stack)             - ordered entries (see utils/postProcessing)
+ *   update(deltaTime)             - advance animated passes; true while one still needs frames
+ *   triggerGlitch({ strength, duration })
+ * Pipelines ignore settings they have no pass for. RenderingSystem measures
+ * every pipeline the same way, so stats are comparable.
+ */
+
+/**
+ * EffectComposer chain: the scene followed by the post-processing stack
+ * (selective bloom, lens and film passes, tone mapping, FXAA by default)
+ *
+ * @param {Object} context - Renderer, scene, camera, size and bloom settings
+ * @returns {Object} Render pipeline
+ */
+export const createComposerPipeline = ({ gl, scene, camera, size, bloomStrength, bloomRadius, bloomThreshold }) => {
+  const composer = new EffectComposer(gl);
+  const renderPass = new RenderPass(scene, camera);
+  let width = size.width;
+  let height = size.height;
+  let resolutionScale = 1;
+  let pixelRatio = gl.getPixelRatio();
+  // Settings owned by RenderingSystem (props and quality tier) rather than the stack
+  const tuning = { bloomStrength, bloomRadius, bloomThreshold, fxaa: true };
+  // Passes are built on first use and kept when the stack is reordered or toggled
+  const passes = new Map();
+  let stack = [];
+
+  composer.addPass(renderPass);
+
+  // Drawing buffer size the passes actually run at
+  const getBufferSize = () => {
+    const pixelRatio = gl.getPixelRatio() * resolutionScale;
+    return [width * pixelRatio, height * pixelRatio];
+  };
+
+  const resizePasses = () => {
+    const [bufferWidth, bufferHeight] = getBufferSize();
+    passes.forEach((pass, type) => resizePostEffect(type, pass, bufferWidth, bufferHeight));
+  };
+
+  const getPass = (type) => {
+    if (!passes.has(type)) {
+      const pass = createPostEffectPass(type, { gl, scene, camera, size: { width, height }, ...tuning });
+      if (!pass) return null;
+      // The chain is assigned directly rather than through addPass, so size new passes here
+      const [bufferWidth, bufferHeight] = getBufferSize();
+      pass.setSize(bufferWidth, bufferHeight);
+      resizePostEffect(type, pass, bufferWidth, bufferHeight);
+      passes.set(type, pass);
+    }
+    return passes.get(type);
+  };
+
+  // Disabled entries stay in the chain but are skipped; bloom at zero strength,
+  // FXAA on tiers without it and an idle glitch are skipped too
+  const updateEnabled = () => {
+    stack.forEach((entry) => {
+      const pass = passes.get(entry.type);
+      let enabled = entry.enabled !== false;
+      if (entry.type === 'bloom') enabled = enabled && tuning.bloomStrength > 0;
+      if (entry.type === 'fxaa') enabled = enabled && tuning.fxaa;
+      if (entry.type === 'glitch') enabled = enabled && pass.burst.remaining > 0;
+      pass.enabled = enabled;
+    });
+  };
+
+  const applyTuning = () => {
+    const bloomPass = passes.get('bloom');
+    if (bloomPass) {
+      bloomPass.strength = tuning.bloomStrength;
+      bloomPass.radius = tuning.bloomRadius;
+      bloomPass.threshold = tuning.bloomThreshold;
+    }
+    updateEnabled();
+  };
+
+  const setEffects = (effects) => {
+    // One pass per type; the first entry of a type wins
+    const seen = new Set();
+    stack = effects.filter((entry) => {
+      if (seen.has(entry.type) || !getPass(entry.type)) return false;
+      seen.add(entry.type);
+      return true;
+    });
+
+    composer.passes = [renderPass, ...stack.map(entry => passes.get(entry.type))];
+    stack.forEach(entry => applyPostEffect(passes.get(entry.type), entry));
+    applyTuning();
+  };
+
+  setEffects(DEFAULT_POST_EFFECTS);
+
+  // Store globally for debugging
+  window.composer = composer;
+
+  return {
+    name: 'composer',
+    composer,
+    render: () => composer.render(),
+    setSize: (nextWidth, nextHeight) => {
+      width = nextWidth;
+      height = nextHeight;
+      // The Canvas DPR follows the quality tier; the composer caches it
+      if (gl.getPixelRatio() !== pixelRatio) {
+        pixelRatio = gl.getPixelRatio();
+        composer.setPixelRatio(pixelRatio);
+      }
+      composer.setSize(width * resolutionScale, height * resolutionScale);
+      resizePasses();
+    },
+    setResolutionScale: (scale) => {
+      resolutionScale = scale;
+      composer.setSize(width * scale, height * scale);
+      resizePasses();
+    },
+    configure: (options) => {
+      ['bloomStrength', 'bloomRadius', 'bloomThreshold'].forEach((key) => {
+        if (typeof options[key] === 'number') tuning[key] = options[key];
+      });
+      if (typeof options.fxaa === 'boolean') tuning.fxaa = options.fxaa;
+      applyTuning();
+    },
+    setEffects,
+    update: (deltaTime) => {
+      stack.forEach((entry) => {
+        if (entry.enabled !== false) {
+          tickPostEffect(entry.type, passes.get(entry.type), deltaTime);
+        }
+      });
+      updateEnabled();
+      return passes.get('glitch')?.enabled === true;
+    },
+    triggerGlitch: ({ strength, duration } = {}) => {
+      const entry = stack.find(item => item.type === 'glitch');
+      if (!entry || entry.enabled === false) return false;
+      const { burst } = passes.get('glitch');
+      burst.strength = strength ?? entry.strength ?? 1;
+      burst.duration = Math.max(0.01, duration ?? entry.duration ?? 0.45);
+      burst.remaining = burst.duration;
+      updateEnabled();
+      return true;
+    },
+    dispose: () => {
+      composer.dispose();
+      renderPass.dispose();
+      passes.forEach(pass => pass.dispose());
+      passes.clear();
+      if (window.composer === composer) {
+        delete window.composer;
+      }
+    },
+  };
+};
+
+/**
+ * Custom multi-pass RenderingManager: half-res bloom, ping-pong blur and a
+ * tone-mapped composite. Its own adaptive resolution is turned off so
+ * RenderingSystem stays in charge of quality.
+ *
+ * Unsupported: selective bloom. The bright pass blooms the whole frame and
+ * ignores BLOOM_LAYER and userData.bloom (see utils/bloomLayers), so meshes
+ * that opted out glow anyway. A warning is logged when it is created.
+ *
+ * @param {Object} context - Renderer, scene, camera, size and bloom settings
+ * @returns {Object} Render pipeline
+ */
+export const createManagerPipeline = ({ gl, scene, camera, size, bloomStrength, bloomThreshold }) => {
+  const manager = new RenderingManager(gl, scene, camera, {
+    width: size.width,
+    height: size.height,
+    pixelRatio: gl.getPixelRatio(),
+  });
+  manager.adaptiveResolution = false;
+  manager.configure({ bloomStrength, bloomThreshold });
+  console.warn('Render pipeline "manager" blooms the whole frame; BLOOM_LAYER and userData.bloom are ignored');
+
+  // Store globally for debugging
+  window.renderingManager = manager;
+
+  return {
+    name: 'manager',
+    manager,
+    render: () => manager.render(),
+    setSize: (width, height) => {
+      manager.pixelRatio = gl.getPixelRatio();
+      manager.setSize(width, height);
+    },
+    setResolutionScale: (scale) => manager.setResolutionScale(scale),
+    configure: (options) => manager.configure(options),
+    dispose: () => {
+      manager.dispose();
+      if (window.renderingManager === manager) {
+        delete window.renderingManager;
+      }
+    },
+  };
+};
+
+// Available pipelines by name; register more with registerRenderPipeline.
+// The manager pipeline isn't listed: it has no post-processing stack, so it
+// would silently drop scanlines, glitch and the other stack effects. Register
+// it by hand (registerRenderPipeline('manager', createManagerPipeline)) to compare.
+export const RENDER_PIPELINES = {
+  composer: createComposerPipeline,
+};
+
+export const DEFAULT_RENDER_PIPELINE = 'composer';
+
+/**
+ * Add (or replace) a pipeline factory
+ *
+ * @param {string} name - Pipeline name used with setRenderPipeline
+ * @param {Function} factory - (context) => pipeline
+ */
+export const registerRenderPipeline = (name, factory) => {
+  RENDER_PIPELINES[name] = factory;
+};
+
+/**
+ * Create a pipeline by name, falling back to the default for unknown names
+ *
+ * @param {string} name - Pipeline name
+ * @param {Object} context - Renderer, scene, camera, size and bloom settings
+ * @returns {Object} Render pipeline
+ */
+export const createRenderPipeline = (name, context) => {
+  const factory = RENDER_PIPELINES[name];
+  if (!factory) {
+    console.warn(`Unknown render pipeline "${name}", using "${DEFAULT_RENDER_PIPELINE}"`);
+    return RENDER_PIPELINES[DEFAULT_RENDER_PIPELINE](context);
+  }
+  return factory(context);
+};
+
+export default {
+  RENDER_PIPELINES,
+  DEFAULT_RENDER_PIPELINE,
+  registerRenderPipeline,
+  createRenderPipeline,
+};
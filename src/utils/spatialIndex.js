@@ -0,0 +1,358 @@
+import { Box3, Raycaster, Sphere, Vector3 } from 'three';
+
+/**
+ * Octree over world-space bounding boxes.
+ *
+ * Each entry lives in the smallest node that fully contains its box, so large
+ * objects stay near the root and small ones sink to the leaves. Nodes split
+ * once they hold more than `maxItems` entries and stop splitting at
+ * `minNodeSize`. The root grows to fit entries added outside it, so the index
+ * works before the world bounds are known.
+ *
+ * Moving objects call update(id) after they move; an entry only changes node
+ * when it leaves the one it is in.
+ */
+
+const DEFAULT_OPTIONS = {
+  // Entries per node before it splits
+  maxItems: 8,
+  // Nodes smaller than this (edge length, world units) don't split
+  minNodeSize: 4,
+  // Edge length of the first root node, centered on the first entry
+  initialSize: 64,
+};
+
+const tempSphere = new Sphere();
+const tempPoint = new Vector3();
+const tempCenter = new Vector3();
+const raycaster = new Raycaster();
+
+/**
+ * World-space bounds of an object: its geometry's box (every instance's for
+ * instanced meshes), or every descendant's for groups
+ *
+ * @param {Object3D} object - Object to measure
+ * @param {Box3} target - Output box
+ * @returns {Box3} target
+ */
+export const getObjectBounds = (object, target) => {
+  object.updateWorldMatrix(true, false);
+  if (object.isInstancedMesh) {
+    if (!object.boundingBox) object.computeBoundingBox();
+    return target.copy(object.boundingBox).applyMatrix4(object.matrixWorld);
+  }
+  const { geometry } = object;
+  if (geometry?.attributes?.position) {
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    return target.copy(geometry.boundingBox).applyMatrix4(object.matrixWorld);
+  }
+  target.setFromObject(object);
+  // Empty groups still need a position in the tree
+  if (target.isEmpty()) {
+    object.getWorldPosition(tempPoint);
+    target.setFromCenterAndSize(tempPoint, tempCenter.set(0, 0, 0));
+  }
+  return target;
+};
+
+const createNode = (center, size) => ({
+  box: new Box3(
+    new Vector3(center.x - size / 2, center.y - size / 2, center.z - size / 2),
+    new Vector3(center.x + size / 2, center.y + size / 2, center.z + size / 2)
+  ),
+  center: center.clone(),
+  size,
+  entries: new Set(),
+  children: null,
+});
+
+// Child octant (0-7) a point falls in
+const getOctant = (node, point) =>
+  (point.x >= node.center.x ? 1 : 0) |
+  (point.y >= node.center.y ? 2 : 0) |
+  (point.z >= node.center.z ? 4 : 0);
+
+const createChild = (node, octant) => {
+  const quarter = node.size / 4;
+  const center = new Vector3(
+    node.center.x + (octant & 1 ? quarter : -quarter),
+    node.center.y + (octant & 2 ? quarter : -quarter),
+    node.center.z + (octant & 4 ? quarter : -quarter)
+  );
+  return createNode(center, node.size / 2);
+};
+
+/**
+ * Create a spatial index
+ *
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @param {Function} options.getBounds - (object, targetBox) => targetBox, defaults to getObjectBounds
+ * @returns {Object} Index API: insert, update, remove, has, get, clear, size,
+ *   queryBox, queryRadius, queryFrustum, raycast, nearest
+ */
+export const createSpatialIndex = (options = {}) => {
+  const { maxItems, minNodeSize, initialSize, getBounds = getObjectBounds } = { ...DEFAULT_OPTIONS, ...options };
+  const entries = new Map();
+  let root = null;
+
+  // Child of a split `node` that can hold `box`, or null if it must stay in `node`
+  const childFor = (node, box) => {
+    if (!node.children) return null;
+    box.getCenter(tempCenter);
+    const octant = getOctant(node, tempCenter);
+    const child = node.children[octant] || createChild(node, octant);
+    if (!child.box.containsBox(box)) return null;
+    node.children[octant] = child;
+    return child;
+  };
+
+  const split = (node) => {
+    node.children = new Array(8).fill(null);
+    const moved = [];
+    node.entries.forEach((entry) => {
+      const child = childFor(node, entry.box);
+      if (child) moved.push([entry, child]);
+    });
+    moved.forEach(([entry, child]) => {
+      node.entries.delete(entry);
+      placeEntry(child, entry);
+    });
+  };
+
+  const placeEntry = (start, entry) => {
+    let node = start;
+    let child = childFor(node, entry.box);
+    while (child) {
+      node = child;
+      child = childFor(node, entry.box);
+    }
+    node.entries.add(entry);
+    entry.node = node;
+    if (!node.children && node.entries.size > maxItems && node.size / 2 >= minNodeSize) {
+      split(node);
+    }
+  };
+
+  // Double the root toward `box` until it fits; the old root becomes one octant
+  const growToFit = (box) => {
+    if (!root) {
+      box.getCenter(tempCenter);
+      box.getSize(tempPoint);
+      root = createNode(tempCenter, Math.max(initialSize, tempPoint.x, tempPoint.y, tempPoint.z) * 2);
+    }
+    while (!root.box.containsBox(box)) {
+      box.getCenter(tempCenter);
+      const { size } = root;
+      const center = new Vector3(
+        root.center.x + (tempCenter.x < root.center.x ? -size / 2 : size / 2),
+        root.center.y + (tempCenter.y < root.center.y ? -size / 2 : size / 2),
+        root.center.z + (tempCenter.z < root.center.z ? -size / 2 : size / 2)
+      );
+      const grown = createNode(center, size * 2);
+      grown.children = new Array(8).fill(null);
+      grown.children[getOctant(grown, root.center)] = root;
+      root = grown;
+    }
+  };
+
+  // Visit nodes whose box passes `test`, depth first
+  const walk = (test, visit) => {
+    if (!root) return;
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!test(node.box)) continue;
+      node.entries.forEach(visit);
+      if (node.children) {
+        node.children.forEach((child) => {
+          if (child) stack.push(child);
+        });
+      }
+    }
+  };
+
+  const index = {
+    /**
+     * Add (or re-add) an object
+     *
+     * @param {string} id - Unique key, usually object.uuid
+     * @param {Object3D} object - Object to index
+     * @param {*} data - Anything the caller wants back from queries
+     */
+    insert: (id, object, data = null) => {
+      if (entries.has(id)) index.remove(id);
+      const entry = { id, object, data, box: getBounds(object, new Box3()), node: null };
+      growToFit(entry.box);
+      entries.set(id, entry);
+      placeEntry(root, entry);
+      return entry;
+    },
+
+    /**
+     * Re-measure an object after it moved
+     *
+     * @param {string} id - Key passed to insert
+     * @returns {boolean} False if the id isn't indexed
+     */
+    update: (id) => {
+      const entry = entries.get(id);
+      if (!entry) return false;
+      getBounds(entry.object, entry.box);
+      const { node } = entry;
+      // Still fits where it is and can't sink any further
+      if (node.box.containsBox(entry.box) && !childFor(node, entry.box)) return true;
+      node.entries.delete(entry);
+      growToFit(entry.box);
+      placeEntry(root, entry);
+      return true;
+    },
+
+    remove: (id) => {
+      const entry = entries.get(id);
+      if (!entry) return false;
+      entry.node.entries.delete(entry);
+      entries.delete(id);
+      return true;
+    },
+
+    has: (id) => entries.has(id),
+
+    get: (id) => entries.get(id),
+
+    clear: () => {
+      entries.clear();
+      root = null;
+    },
+
+    size: () => entries.size,
+
+    /**
+     * Entries whose bounds intersect a box
+     *
+     * @param {Box3} box - World-space box
+     * @param {Array} target - Optional output array
+     * @returns {Array} Entries { id, object, data, box }
+     */
+    queryBox: (box, target = []) => {
+      walk(
+        nodeBox => nodeBox.intersectsBox(box),
+        (entry) => {
+          if (entry.box.intersectsBox(box)) target.push(entry);
+        }
+      );
+      return target;
+    },
+
+    /**
+     * Entries whose bounds come within `radius` of a point
+     *
+     * @param {Vector3} point - World-space point
+     * @param {number} radius - Search radius
+     * @param {Array} target - Optional output array
+     * @returns {Array} Entries { id, object, data, box }
+     */
+    queryRadius: (point, radius, target = []) => {
+      tempSphere.set(point, radius);
+      walk(
+        nodeBox => nodeBox.intersectsSphere(tempSphere),
+        (entry) => {
+          if (entry.box.intersectsSphere(tempSphere)) target.push(entry);
+        }
+      );
+      return target;
+    },
+
+    /**
+     * Entries whose bounds are at least partly inside a frustum
+     *
+     * @param {Frustum} frustum - World-space frustum
+     * @param {Array} target - Optional output array
+     * @returns {Array} Entries { id, object, data, box }
+     */
+    queryFrustum: (frustum, target = []) => {
+      walk(
+        nodeBox => frustum.intersectsBox(nodeBox),
+        (entry) => {
+          if (frustum.intersectsBox(entry.box)) target.push(entry);
+        }
+      );
+      return target;
+    },
+
+    /**
+     * Objects hit by a ray, nearest first
+     *
+     * @param {Ray} ray - World-space ray
+     * @param {Object} options
+     * @param {number} options.far - Ignore hits beyond this distance
+     * @param {boolean} options.precise - Test the objects' triangles, not just their bounds
+     * @param {Function} options.filter - (entry) => boolean
+     * @returns {Array} Precise: three.js intersections. Otherwise { entry, object, distance, point }
+     */
+    raycast: (ray, { far = Infinity, precise = true, filter } = {}) => {
+      const candidates = [];
+      walk(
+        nodeBox => ray.intersectsBox(nodeBox),
+        (entry) => {
+          if (filter && !filter(entry)) return;
+          const hit = ray.intersectBox(entry.box, tempPoint);
+          if (!hit) return;
+          const distance = hit.distanceTo(ray.origin);
+          if (distance <= far) {
+            candidates.push({ entry, object: entry.object, distance, point: hit.clone() });
+          }
+        }
+      );
+      candidates.sort((a, b) => a.distance - b.distance);
+      if (!precise) return candidates;
+
+      raycaster.ray.copy(ray);
+      raycaster.far = far;
+      const intersections = [];
+      candidates.forEach(({ object }) => object.raycast(raycaster, intersections));
+      return intersections.sort((a, b) => a.distance - b.distance);
+    },
+
+    /**
+     * Entry whose bounds are closest to a point
+     *
+     * @param {Vector3} point - World-space point
+     * @param {Function} filter - (entry) => boolean, entries failing it are skipped
+     * @param {number} maxDistance - Give up beyond this distance
+     * @returns {{entry: Object, distance: number}|null} Nearest entry and its distance to the point
+     */
+    nearest: (point, filter, maxDistance = Infinity) => {
+      if (!root) return null;
+      let best = null;
+      let bestDistance = maxDistance;
+      // Best-first: always open the node closest to the point
+      const queue = [{ node: root, distance: root.box.distanceToPoint(point) }];
+      while (queue.length > 0) {
+        queue.sort((a, b) => b.distance - a.distance);
+        const { node, distance } = queue.pop();
+        if (distance > bestDistance) break;
+
+        node.entries.forEach((entry) => {
+          if (filter && !filter(entry)) return;
+          const entryDistance = entry.box.distanceToPoint(point);
+          if (entryDistance <= bestDistance) {
+            best = entry;
+            bestDistance = entryDistance;
+          }
+        });
+        if (node.children) {
+          node.children.forEach((child) => {
+            if (!child) return;
+            const childDistance = child.box.distanceToPoint(point);
+            if (childDistance <= bestDistance) queue.push({ node: child, distance: childDistance });
+          });
+        }
+      }
+      return best ? { entry: best, distance: bestDistance } : null;
+    },
+  };
+
+  return index;
+};
+
+export default createSpatialIndex;